@@ -0,0 +1,43 @@
+const { safeEqual } = require('./lark-security');
+
+/**
+ * Let the request through when it carries one of the keys, sent as
+ * `x-admin-key` or a Bearer token
+ */
+function requireKey(keys, req, res, next) {
+  if (keys.length === 0) {
+    if (process.env.NODE_ENV === 'production' || process.env.VERCEL) {
+      return res.status(503).json({ error: 'Admin API is not configured (set ADMIN_API_KEY)' });
+    }
+    console.log('⚠️ ADMIN_API_KEY not set - admin endpoint open (development only)');
+    return next();
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const provided = req.headers['x-admin-key'] ||
+    (authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null);
+
+  if (!provided || !keys.some(key => safeEqual(provided, key))) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+/**
+ * Guard admin endpoints with ADMIN_API_KEY
+ */
+function requireAdmin(req, res, next) {
+  return requireKey([process.env.ADMIN_API_KEY].filter(Boolean), req, res, next);
+}
+
+/**
+ * Guard the endpoints Vercel Cron calls (the job runner and the SLA check).
+ * They take CRON_SECRET, which Vercel sends as a Bearer token, as well as
+ * ADMIN_API_KEY; CRON_SECRET opens nothing else.
+ */
+function requireCron(req, res, next) {
+  return requireKey([process.env.ADMIN_API_KEY, process.env.CRON_SECRET].filter(Boolean), req, res, next);
+}
+
+module.exports = { requireAdmin, requireCron };
@@ -1,18 +1,8 @@
-const { Client } = require('@larksuiteoapi/node-sdk');
-const OpenAI = require('openai');
-
-// Initialize Lark client
-const larkClient = new Client({
-  appId: process.env.LARK_APP_ID,
-  appSecret: process.env.LARK_APP_SECRET,
-  appType: 'self-built',
-  domain: 'larksuite'
-});
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const larkSecurity = require('../lark-security');
+const larkClient = require('../lark-client');
+const messageRenderer = require('../message-renderer');
+const knowledgeIndex = require('../knowledge-index');
+const llm = require('../llm-providers');
 
 // Load PM-Next Application Knowledge Base from markdown file
 const fs = require('fs');
@@ -54,19 +44,20 @@ async function handleMessage(event) {
   }
 }
 
-// Generate AI response using OpenAI
+// Generate AI response through the LLM provider chain
 async function generateAIResponse(userMessage) {
   try {
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
+    const knowledgeChunks = await knowledgeIndex.retrieve(PM_NEXT_KNOWLEDGE, userMessage);
+
+    const completion = await llm.complete('answer', {
       messages: [
         {
           role: 'system',
           content: `You are a helpful assistant for the PM-Next Recruitment Management System. 
           Your role is to help users navigate and understand how to use the application effectively.
           
-          Use this knowledge base about PM-Next:
-          ${PM_NEXT_KNOWLEDGE}
+          Use these knowledge base excerpts about PM-Next (the sections most relevant to the question):
+          ${knowledgeIndex.formatChunks(knowledgeChunks)}
           
           Guidelines:
           - Provide clear, step-by-step instructions for navigation
@@ -81,11 +72,11 @@ async function generateAIResponse(userMessage) {
           content: userMessage
         }
       ],
-      max_tokens: 500,
+      maxTokens: 500,
       temperature: 0.7
     });
 
-    return completion.choices[0].message.content;
+    return completion.content;
   } catch (error) {
     console.error('Error generating AI response:', error);
     return 'Sorry, I encountered an error processing your request. Please try again or contact support if the issue persists.';
@@ -95,14 +86,26 @@ async function generateAIResponse(userMessage) {
 // Send message to Lark
 async function sendMessage(chatId, message) {
   try {
-    await larkClient.im.message.create({
-      receive_id_type: 'chat_id',
-      receive_id: chatId,
-      msg_type: 'text',
-      content: JSON.stringify({
-        text: message
-      })
-    });
+    const send = async (rendered) => {
+      const messageData = await larkClient.request('POST', '/open-apis/im/v1/messages', {
+        query: { receive_id_type: 'chat_id' },
+        body: {
+          receive_id: chatId,
+          ...rendered
+        }
+      });
+
+      if (messageData.code !== 0) {
+        throw new Error(`Failed to send message: ${messageData.msg || 'Unknown error'}`);
+      }
+    };
+
+    try {
+      await send(messageRenderer.renderMessage(message));
+    } catch (renderError) {
+      // Fall back to plain text if the card/rich text is rejected
+      await send(messageRenderer.renderMessage(message, 'text'));
+    }
   } catch (error) {
     console.error('Error sending message to Lark:', error);
   }
@@ -122,7 +125,33 @@ module.exports = async (req, res) => {
 
   try {
     if (req.method === 'POST') {
-      const { type, challenge, event } = req.body;
+      let rawBody;
+      try {
+        rawBody = await larkSecurity.readRawBody(req);
+      } catch (readError) {
+        console.error('Error reading webhook body:', readError.message);
+        return res.status(500).json({ error: readError.message });
+      }
+
+      let body;
+      try {
+        body = JSON.parse(rawBody || '{}');
+      } catch (parseError) {
+        return res.status(400).json({ error: 'Invalid JSON body' });
+      }
+
+      // Verify token/signature and decrypt the payload before trusting anything in it
+      const verification = await larkSecurity.verifyLarkRequest({
+        headers: req.headers,
+        rawBody,
+        body
+      });
+
+      if (!verification.valid) {
+        return res.status(verification.status).json({ error: verification.error });
+      }
+
+      const { type, challenge, event } = verification.payload;
 
       // Handle URL verification
       if (type === 'url_verification') {
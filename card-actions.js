@@ -0,0 +1,107 @@
+/**
+ * Message card action callbacks
+ *
+ * Buttons on bot cards carry a `value` with an `action` name. Handlers are
+ * registered per action and return { toast, card } - the shape is converted
+ * to whatever the callback format (legacy card request URL or the 2.0
+ * card.action.trigger event) expects.
+ */
+
+// action name -> async handler(action)
+const handlers = new Map();
+
+/**
+ * Register the handler for a card button action
+ */
+function registerCardAction(actionName, handler) {
+  handlers.set(actionName, handler);
+}
+
+/**
+ * Build a card button whose click is routed back to a registered handler
+ */
+function button(text, value, type = 'default') {
+  return {
+    tag: 'button',
+    text: { tag: 'plain_text', content: text },
+    type,
+    value
+  };
+}
+
+/**
+ * Normalise legacy and 2.0 card callbacks to one shape
+ */
+function normalizeCardAction(payload) {
+  if (payload.schema === '2.0' && payload.event) {
+    const { operator = {}, action = {}, context = {} } = payload.event;
+    return {
+      schema: '2.0',
+      name: action.value && action.value.action,
+      value: action.value || {},
+      formValue: action.form_value || {},
+      operator: { open_id: operator.open_id, user_id: operator.user_id, union_id: operator.union_id },
+      messageId: context.open_message_id,
+      chatId: context.open_chat_id
+    };
+  }
+
+  const action = payload.action || {};
+  return {
+    schema: '1.0',
+    name: action.value && action.value.action,
+    value: action.value || {},
+    formValue: action.form_value || {},
+    operator: { open_id: payload.open_id, user_id: payload.user_id, union_id: payload.union_id },
+    messageId: payload.open_message_id,
+    chatId: payload.open_chat_id
+  };
+}
+
+/**
+ * Shape a handler result for the callback format
+ */
+function buildResponse(action, result = {}) {
+  if (action.schema === '2.0') {
+    const response = {};
+    if (result.toast) {
+      response.toast = { type: result.toastType || 'info', content: result.toast };
+    }
+    if (result.card) {
+      response.card = { type: 'raw', data: result.card };
+    }
+    return response;
+  }
+
+  // Legacy callbacks replace the card with the returned body, {} leaves it alone
+  return result.card || {};
+}
+
+/**
+ * Run the handler registered for a card callback payload
+ */
+async function handleCardAction(payload) {
+  const action = normalizeCardAction(payload);
+  console.log('🖱️ Card action received:', action.name, JSON.stringify(action.value));
+
+  const handler = handlers.get(action.name);
+  if (!handler) {
+    console.log('⚠️ No handler registered for card action:', action.name);
+    return buildResponse(action, { toast: 'This button is no longer available.', toastType: 'warning' });
+  }
+
+  try {
+    const result = await handler(action);
+    return buildResponse(action, result);
+  } catch (error) {
+    console.error('❌ Error handling card action:', action.name, error);
+    return buildResponse(action, { toast: 'Something went wrong, please try again.', toastType: 'error' });
+  }
+}
+
+module.exports = {
+  registerCardAction,
+  button,
+  normalizeCardAction,
+  handleCardAction
+};
@@ -0,0 +1,151 @@
+const express = require('express');
+const configStore = require('./config-store');
+const { requireAdmin } = require('./admin-auth');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+function sendError(res, error, fallbackMessage) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+function getEditor(req) {
+  return req.body.updatedBy || req.headers['x-admin-user'] || null;
+}
+
+/**
+ * Every config key with its current value and version
+ */
+router.get('/', async (req, res) => {
+  try {
+    await configStore.refresh({ force: true });
+    res.json({
+      success: true,
+      config: configStore.listEntries(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch bot config');
+  }
+});
+
+/**
+ * Check a value without saving it
+ */
+router.post('/:key/validate', (req, res) => {
+  try {
+    configStore.validate(req.params.key, req.body.value);
+    res.json({ success: true, valid: true });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.json({ success: true, valid: false, error: error.message });
+    }
+    sendError(res, error, 'Failed to validate config');
+  }
+});
+
+router.get('/:key', async (req, res) => {
+  try {
+    await configStore.refresh({ force: true });
+    res.json({ success: true, ...configStore.getEntry(req.params.key) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch config');
+  }
+});
+
+/**
+ * Version history, newest first (version 0 is the file default)
+ */
+router.get('/:key/versions', async (req, res) => {
+  try {
+    res.json({ success: true, versions: await configStore.listVersions(req.params.key) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch config versions');
+  }
+});
+
+/**
+ * Replace a key's value. Body: { value, expectedVersion?, comment?, updatedBy? }
+ */
+router.put('/:key', async (req, res) => {
+  try {
+    const { value, expectedVersion, comment } = req.body;
+    const entry = await configStore.update(req.params.key, value, {
+      expectedVersion,
+      comment,
+      updatedBy: getEditor(req)
+    });
+    res.json({ success: true, ...entry });
+  } catch (error) {
+    sendError(res, error, 'Failed to save config');
+  }
+});
+
+/**
+ * Restore the file default as a new version
+ */
+router.delete('/:key', async (req, res) => {
+  try {
+    const entry = await configStore.rollback(req.params.key, 0, {
+      comment: 'Reset to default',
+      updatedBy: getEditor(req)
+    });
+    res.json({ success: true, ...entry });
+  } catch (error) {
+    sendError(res, error, 'Failed to reset config');
+  }
+});
+
+/**
+ * Save an earlier version as the newest one. Body: { version }
+ */
+router.post('/:key/rollback', async (req, res) => {
+  try {
+    if (req.body.version === undefined) {
+      return res.status(400).json({ error: 'version is required' });
+    }
+    const entry = await configStore.rollback(req.params.key, req.body.version, {
+      updatedBy: getEditor(req)
+    });
+    res.json({ success: true, ...entry });
+  } catch (error) {
+    sendError(res, error, 'Failed to roll back config');
+  }
+});
+
+/**
+ * Add or change one entry of an object key, e.g. PUT /faq_responses/entries/authentication
+ */
+router.put('/:key/entries/:entryKey', async (req, res) => {
+  try {
+    if (req.body.value === undefined) {
+      return res.status(400).json({ error: 'value is required' });
+    }
+    const entry = await configStore.updateEntry(req.params.key, req.params.entryKey, req.body.value, {
+      comment: req.body.comment,
+      updatedBy: getEditor(req)
+    });
+    res.json({ success: true, ...entry });
+  } catch (error) {
+    sendError(res, error, 'Failed to save config entry');
+  }
+});
+
+router.delete('/:key/entries/:entryKey', async (req, res) => {
+  try {
+    const entry = await configStore.updateEntry(req.params.key, req.params.entryKey, undefined, {
+      comment: req.body.comment,
+      updatedBy: getEditor(req)
+    });
+    res.json({ success: true, ...entry });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete config entry');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,521 @@
+/**
+ * Bot configuration store
+ *
+ * Issue categories, FAQ answers, solution keywords, cacheable question
+ * patterns and the escalation rules live in the bot_config_versions table so
+ * support leads can change them through the admin API without a redeploy.
+ * Every change is a new version of its key (the latest version wins), so any
+ * edit can be rolled back. Running instances pick changes up within
+ * CONFIG_REFRESH_MS. Keys that were never edited use the defaults in
+ * bot-config.json (and escalation-rules.json), which is also all a local run
+ * without Supabase needs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const escalationEngine = require('./escalation-engine');
+const { URGENCY_LEVELS } = require('./message-classifier');
+
+const VERSIONS_TABLE = 'bot_config_versions';
+const CURRENT_VIEW = 'bot_config';
+const SEED_PATH = path.join(__dirname, 'bot-config.json');
+const REFRESH_INTERVAL_MS = parseInt(process.env.CONFIG_REFRESH_MS || '30000', 10);
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function validateStringList(value) {
+  if (!Array.isArray(value) || !value.every(isNonEmptyString)) {
+    throw validationError('Value must be a list of non-empty strings');
+  }
+  return value;
+}
+
+function validatePatternList(value) {
+  validateStringList(value);
+  const invalid = [];
+  value.forEach(pattern => {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      invalid.push(`${pattern} (${error.message})`);
+    }
+  });
+  if (invalid.length > 0) {
+    throw validationError(`Invalid regular expressions: ${invalid.join('; ')}`);
+  }
+  return value;
+}
+
+const SLA_TARGETS = ['first_response_minutes', 'resolution_minutes'];
+
+function validateSlaTargets(targets, where, required) {
+  if (!isPlainObject(targets)) throw validationError(`${where} must be an object of targets`);
+  Object.entries(targets).forEach(([target, minutes]) => {
+    if (!SLA_TARGETS.includes(target)) {
+      throw validationError(`Unknown SLA target "${target}" in ${where}: use ${SLA_TARGETS.join(' or ')}`);
+    }
+    if (typeof minutes !== 'number' || !(minutes > 0)) {
+      throw validationError(`${where}.${target} must be a positive number of minutes`);
+    }
+  });
+  if (required) {
+    SLA_TARGETS.forEach(target => {
+      if (targets[target] === undefined) throw validationError(`${where}.${target} is required`);
+    });
+  }
+}
+
+function validateSlaPolicies(value) {
+  if (!isPlainObject(value) || !isPlainObject(value.urgency)) {
+    throw validationError('Value must be an object with an "urgency" object of targets per urgency level');
+  }
+  URGENCY_LEVELS.forEach(level => validateSlaTargets(value.urgency[level], `urgency.${level}`, true));
+
+  if (value.categories !== undefined) {
+    if (!isPlainObject(value.categories)) throw validationError('categories must be an object of category -> urgency -> targets');
+    Object.entries(value.categories).forEach(([category, levels]) => {
+      if (!isPlainObject(levels)) throw validationError(`categories.${category} must be an object of urgency -> targets`);
+      Object.entries(levels).forEach(([level, targets]) => {
+        if (!URGENCY_LEVELS.includes(level)) throw validationError(`Unknown urgency "${level}" in categories.${category}`);
+        validateSlaTargets(targets, `categories.${category}.${level}`, false);
+      });
+    });
+  }
+
+  const warnAt = value.warn_at_percent;
+  if (warnAt !== undefined && (typeof warnAt !== 'number' || warnAt <= 0 || warnAt >= 100)) {
+    throw validationError('warn_at_percent must be a number between 0 and 100');
+  }
+  return value;
+}
+
+const ROUTING_STRATEGIES = ['round_robin', 'least_loaded'];
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function validateStrategy(strategy, where) {
+  if (!ROUTING_STRATEGIES.includes(strategy)) {
+    throw validationError(`${where} must be one of ${ROUTING_STRATEGIES.join(', ')}`);
+  }
+}
+
+function validateAgent(agent, index) {
+  const where = `agents[${index}]`;
+  if (!isPlainObject(agent) || !isNonEmptyString(agent.id)) {
+    throw validationError(`${where} must be an object with a Lark open_id as "id"`);
+  }
+  if (agent.categories !== undefined && (!Array.isArray(agent.categories) || !agent.categories.every(isNonEmptyString))) {
+    throw validationError(`${where}.categories must be a list of categories`);
+  }
+  ['active', 'on_call'].forEach(flag => {
+    if (agent[flag] !== undefined && typeof agent[flag] !== 'boolean') {
+      throw validationError(`${where}.${flag} must be true or false`);
+    }
+  });
+  if (agent.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: agent.timezone });
+    } catch (error) {
+      throw validationError(`${where}.timezone "${agent.timezone}" is not a valid time zone`);
+    }
+  }
+
+  const hours = agent.working_hours;
+  if (hours !== undefined) {
+    if (!isPlainObject(hours) || !TIME_OF_DAY.test(hours.start) || !TIME_OF_DAY.test(hours.end)) {
+      throw validationError(`${where}.working_hours needs "start" and "end" as HH:MM`);
+    }
+    if (hours.days !== undefined && (!Array.isArray(hours.days) || !hours.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+      throw validationError(`${where}.working_hours.days must be weekday numbers (0 = Sunday ... 6 = Saturday)`);
+    }
+  }
+}
+
+function validateSupportAgents(value) {
+  if (!isPlainObject(value) || !Array.isArray(value.agents)) {
+    throw validationError('Value must be an object with an "agents" list');
+  }
+  value.agents.forEach(validateAgent);
+
+  const ids = value.agents.map(agent => agent.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) throw validationError(`Agent ${duplicate} is listed twice`);
+
+  if (value.strategy !== undefined) validateStrategy(value.strategy, 'strategy');
+  if (value.category_strategies !== undefined) {
+    if (!isPlainObject(value.category_strategies)) throw validationError('category_strategies must be an object of category -> strategy');
+    Object.entries(value.category_strategies).forEach(([category, strategy]) => {
+      validateStrategy(strategy, `category_strategies.${category}`);
+    });
+  }
+  return value;
+}
+
+// What each key holds, how it is checked and how the stored value is used
+const CONFIG_KEYS = {
+  issue_categories: {
+    description: 'Keyword -> issue category, used to pick FAQs and ticket categories',
+    entries: true,
+    validate(value) {
+      if (!isPlainObject(value)) throw validationError('Value must be an object of keyword -> category');
+      Object.entries(value).forEach(([keyword, category]) => {
+        if (!isNonEmptyString(keyword) || typeof category !== 'string' || !/^[a-z0-9_]+$/.test(category)) {
+          throw validationError(`Invalid category for "${keyword}": use lower_snake_case`);
+        }
+      });
+      return value;
+    }
+  },
+  faq_responses: {
+    description: 'Category -> FAQ text shown before a ticket is offered (markdown)',
+    entries: true,
+    validate(value) {
+      if (!isPlainObject(value)) throw validationError('Value must be an object of category -> FAQ text');
+      Object.entries(value).forEach(([category, text]) => {
+        if (!isNonEmptyString(text)) throw validationError(`FAQ text for "${category}" must be a non-empty string`);
+      });
+      return value;
+    }
+  },
+  solution_keywords: {
+    description: 'Phrases that mark a support message as a solution',
+    validate: validateStringList
+  },
+  solution_indicators: {
+    description: 'Words that suggest an actionable solution',
+    validate: validateStringList
+  },
+  knowledge_update_indicators: {
+    description: 'Phrases asking for a solution to be added to the knowledge base',
+    validate: validateStringList
+  },
+  cacheable_patterns: {
+    description: 'Case-insensitive regular expressions for questions whose answers are cached',
+    validate: validatePatternList,
+    compile: value => value.map(pattern => new RegExp(pattern, 'i'))
+  },
+  escalation_rules: {
+    description: 'Escalation signals, weights and thresholds (see escalation-rules.json)',
+    seed: () => escalationEngine.readRulesFile(),
+    validate(value) {
+      try {
+        escalationEngine.validateRules(value);
+      } catch (error) {
+        throw validationError(error.message);
+      }
+      return value;
+    },
+    apply: value => escalationEngine.setRules(value)
+  },
+  sla_policies: {
+    description: 'First response and resolution targets (minutes) per urgency, per-category overrides and when to warn',
+    validate: validateSlaPolicies
+  },
+  support_agents: {
+    description: 'Support agent roster (categories, working hours, on-call) and how tickets are routed to them',
+    validate: validateSupportAgents
+  }
+};
+
+let seed = null;
+const current = new Map(); // key -> { version, value, compiled, updatedAt, updatedBy, comment }
+let lastRefresh = 0;
+let refreshPromise = null;
+
+function assertKnownKey(key) {
+  if (!CONFIG_KEYS[key]) {
+    const error = new Error(`Unknown config key: ${key}`);
+    error.statusCode = 404;
+    throw error;
+  }
+}
+
+function loadSeed() {
+  if (seed) return seed;
+
+  const fileValues = JSON.parse(fs.readFileSync(SEED_PATH, 'utf8'));
+  seed = {};
+  Object.entries(CONFIG_KEYS).forEach(([key, spec]) => {
+    seed[key] = spec.seed ? spec.seed() : fileValues[key];
+  });
+  return seed;
+}
+
+/**
+ * Check a value for a key. Returns the value, throws (statusCode 400) if invalid.
+ */
+function validate(key, value) {
+  assertKnownKey(key);
+  if (value === undefined || value === null) {
+    throw validationError('A value is required');
+  }
+  return CONFIG_KEYS[key].validate(value);
+}
+
+function applyEntry(key, entry) {
+  const spec = CONFIG_KEYS[key];
+  const compiled = spec.compile ? spec.compile(entry.value) : entry.value;
+  if (spec.apply) spec.apply(entry.value);
+  current.set(key, { ...entry, compiled });
+}
+
+function ensureLoaded() {
+  if (current.size > 0) return;
+  Object.entries(loadSeed()).forEach(([key, value]) => {
+    applyEntry(key, { version: 0, value, updatedAt: null, updatedBy: null, comment: 'Default from file' });
+  });
+}
+
+/**
+ * In-memory backend for local runs - edits last until the process restarts
+ */
+function createMemoryBackend() {
+  const versions = []; // rows shaped like bot_config_versions
+
+  return {
+    name: 'memory',
+
+    async getCurrent() {
+      const latest = new Map();
+      versions.forEach(row => {
+        if (!latest.has(row.config_key) || latest.get(row.config_key).version < row.version) {
+          latest.set(row.config_key, row);
+        }
+      });
+      return [...latest.values()];
+    },
+
+    async getVersions(key) {
+      return versions.filter(row => row.config_key === key).sort((a, b) => b.version - a.version);
+    },
+
+    async insertVersion(row) {
+      if (versions.some(existing => existing.config_key === row.config_key && existing.version === row.version)) {
+        return { conflict: true };
+      }
+      const inserted = { ...row, created_at: new Date().toISOString() };
+      versions.push(inserted);
+      return { row: inserted };
+    }
+  };
+}
+
+/**
+ * Supabase backend - the unique (config_key, version) index turns a
+ * concurrent edit of the same version into a conflict instead of a lost update
+ */
+function createSupabaseBackend(client = require('./supabase-client')) {
+  return {
+    name: 'supabase',
+
+    async getCurrent() {
+      const { data, error } = await client
+        .from(CURRENT_VIEW)
+        .select('*');
+      if (error) throw error;
+      return data || [];
+    },
+
+    async getVersions(key) {
+      const { data, error } = await client
+        .from(VERSIONS_TABLE)
+        .select('*')
+        .eq('config_key', key)
+        .order('version', { ascending: false });
+      if (error) throw error;
+      return data || [];
+    },
+
+    async insertVersion(row) {
+      const { data, error } = await client
+        .from(VERSIONS_TABLE)
+        .insert([row])
+        .select()
+        .single();
+      if (error && error.code === '23505') return { conflict: true };
+      if (error) throw error;
+      return { row: data };
+    }
+  };
+}
+
+const backendName = process.env.CONFIG_STORE_BACKEND || (process.env.SUPABASE_URL ? 'supabase' : 'memory');
+const backend = backendName === 'supabase' ? createSupabaseBackend() : createMemoryBackend();
+
+function rowToEntry(row) {
+  return {
+    version: row.version,
+    value: row.value,
+    updatedAt: row.created_at,
+    updatedBy: row.updated_by,
+    comment: row.comment
+  };
+}
+
+async function loadFromBackend() {
+  const rows = await backend.getCurrent();
+
+  rows.forEach(row => {
+    if (!CONFIG_KEYS[row.config_key]) return;
+    const loaded = current.get(row.config_key);
+    if (loaded && loaded.version === row.version) return;
+
+    try {
+      CONFIG_KEYS[row.config_key].validate(row.value);
+      applyEntry(row.config_key, rowToEntry(row));
+      console.log(`⚙️ Config ${row.config_key} updated to version ${row.version}`);
+    } catch (error) {
+      console.error(`❌ Ignoring invalid config ${row.config_key} v${row.version}:`, error.message);
+    }
+  });
+}
+
+/**
+ * Pick up changes made by other instances. Cheap to call on every message:
+ * the backend is only read once per CONFIG_REFRESH_MS unless force is set.
+ */
+async function refresh({ force = false } = {}) {
+  ensureLoaded();
+  if (!force && Date.now() - lastRefresh < REFRESH_INTERVAL_MS) return;
+  if (refreshPromise) return refreshPromise;
+
+  lastRefresh = Date.now();
+  refreshPromise = loadFromBackend()
+    .catch(error => console.error('❌ Error refreshing bot config, keeping current values:', error.message))
+    .finally(() => { refreshPromise = null; });
+  return refreshPromise;
+}
+
+/**
+ * Current value of a key, ready to use (cacheable_patterns come back as RegExps)
+ */
+function get(key) {
+  assertKnownKey(key);
+  ensureLoaded();
+  return current.get(key).compiled;
+}
+
+/**
+ * Current value of a key with its version details
+ */
+function getEntry(key) {
+  assertKnownKey(key);
+  ensureLoaded();
+  const { compiled, ...entry } = current.get(key);
+  return {
+    key,
+    description: CONFIG_KEYS[key].description,
+    source: entry.version === 0 ? 'default' : 'database',
+    ...entry
+  };
+}
+
+function listEntries() {
+  return Object.keys(CONFIG_KEYS).map(getEntry);
+}
+
+/**
+ * Every saved version of a key, newest first. Version 0 is the file default.
+ */
+async function listVersions(key) {
+  assertKnownKey(key);
+  const rows = await backend.getVersions(key);
+  return [
+    ...rows.map(row => ({ key, ...rowToEntry(row) })),
+    { key, version: 0, value: loadSeed()[key], updatedAt: null, updatedBy: null, comment: 'Default from file' }
+  ];
+}
+
+/**
+ * Save a new version of a key. Pass expectedVersion (the version the edit was
+ * based on) to reject the save if someone else changed the key in between.
+ */
+async function update(key, value, { expectedVersion, updatedBy = null, comment = null } = {}) {
+  validate(key, value);
+  await refresh({ force: true });
+
+  const latest = current.get(key);
+  if (expectedVersion !== undefined && expectedVersion !== null && Number(expectedVersion) !== latest.version) {
+    const error = new Error(`${key} was changed (now version ${latest.version}); reload and try again`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const { row, conflict } = await backend.insertVersion({
+    config_key: key,
+    version: latest.version + 1,
+    value,
+    updated_by: updatedBy,
+    comment
+  });
+  if (conflict) {
+    const error = new Error(`${key} was changed at the same time; reload and try again`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  applyEntry(key, rowToEntry(row));
+  console.log(`⚙️ Config ${key} saved as version ${row.version}${updatedBy ? ` by ${updatedBy}` : ''}`);
+  return getEntry(key);
+}
+
+/**
+ * Save an earlier version's value as a new version
+ */
+async function rollback(key, version, options = {}) {
+  const target = (await listVersions(key)).find(entry => entry.version === Number(version));
+  if (!target) {
+    const error = new Error(`Version ${version} of ${key} not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return update(key, target.value, { comment: `Rollback to version ${target.version}`, ...options });
+}
+
+/**
+ * Add, change (value given) or remove (value undefined) one entry of an
+ * object key such as a single FAQ
+ */
+async function updateEntry(key, entryKey, value, options = {}) {
+  assertKnownKey(key);
+  if (!CONFIG_KEYS[key].entries) {
+    throw validationError(`${key} is a list; save the whole value instead`);
+  }
+
+  await refresh({ force: true });
+  const latest = current.get(key);
+  const next = { ...latest.value };
+
+  if (value === undefined) {
+    if (!(entryKey in next)) {
+      const error = new Error(`${entryKey} not found in ${key}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    delete next[entryKey];
+  } else {
+    next[entryKey] = value;
+  }
+
+  return update(key, next, { expectedVersion: latest.version, ...options });
+}
+
+module.exports = {
+  CONFIG_KEYS: Object.keys(CONFIG_KEYS),
+  isPlainObject,
+  refresh,
+  get,
+  getEntry,
+  listEntries,
+  listVersions,
+  validate,
+  update,
+  updateEntry,
+  rollback
+};
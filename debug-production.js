@@ -1,5 +1,5 @@
 require('dotenv').config();
-const { Client } = require('@larksuiteoapi/node-sdk');
+const larkClient = require('./lark-client');
 
 console.log('🔍 Production Environment Debug Check\n');
 
@@ -26,25 +26,16 @@ requiredEnvVars.forEach(varName => {
 
 // Check Lark client initialization
 console.log('\n🤖 Lark Client Test:');
-try {
-  const larkClient = new Client({
-    appId: process.env.LARK_APP_ID,
-    appSecret: process.env.LARK_APP_SECRET
+console.log('🌐 API base URL:', larkClient.getBaseUrl());
+
+// Test getting tenant access token
+larkClient.getTenantAccessToken()
+  .then(token => {
+    console.log('✅ Tenant access token obtained:', token.substring(0, 20) + '...');
+  })
+  .catch(error => {
+    console.log('❌ Failed to get tenant access token:', error.message);
   });
-  console.log('✅ Lark client initialized successfully');
-  
-  // Test getting tenant access token
-  larkClient.auth.getTenantAccessToken()
-    .then(token => {
-      console.log('✅ Tenant access token obtained:', token.substring(0, 20) + '...');
-    })
-    .catch(error => {
-      console.log('❌ Failed to get tenant access token:', error.message);
-    });
-    
-} catch (error) {
-  console.log('❌ Lark client initialization failed:', error.message);
-}
 
 // Environment-specific checks
 console.log('\n🌍 Environment Info:');
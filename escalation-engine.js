@@ -0,0 +1,203 @@
+/**
+ * Escalation engine
+ *
+ * Scores each user message for signs that the bot cannot help and a person
+ * should: an explicit request for a human, frustration, the same failure
+ * across turns, blocked work, data loss, time pressure and a run of negative
+ * messages. Each signal that fires adds its weight to the score; the score is
+ * compared with the escalate/direct thresholds. Signals, patterns, weights
+ * and thresholds live in a JSON or YAML rules file (ESCALATION_RULES_PATH,
+ * default escalation-rules.json), and every decision comes with its reasons
+ * so it can be logged.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const messageClassifier = require('./message-classifier');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, 'escalation-rules.json');
+const RULES_PATH = process.env.ESCALATION_RULES_PATH
+  ? path.resolve(process.env.ESCALATION_RULES_PATH)
+  : DEFAULT_RULES_PATH;
+
+// Signals computed from the conversation rather than from patterns alone
+const TREND_SIGNAL = 'negative_trend';
+const REPEATED_FAILURE_SIGNAL = 'repeated_failure';
+const NEGATIVE_SENTIMENTS = ['negative', 'frustrated'];
+
+let rules = null; // { thresholds, signals: [{ name, weight, direct, patterns: [RegExp], ... }] }
+
+function parseRulesFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  return /\.ya?ml$/i.test(filePath) ? yaml.load(text) : JSON.parse(text);
+}
+
+/**
+ * Check a rules object and compile its patterns. Throws with every problem
+ * found so a bad rules file is rejected as a whole.
+ */
+function validateRules(raw) {
+  const problems = [];
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Escalation rules must be an object');
+  }
+
+  const thresholds = raw.thresholds || {};
+  if (!isNumber(thresholds.escalate)) problems.push('thresholds.escalate must be a number');
+  if (!isNumber(thresholds.direct)) problems.push('thresholds.direct must be a number');
+  if (isNumber(thresholds.escalate) && isNumber(thresholds.direct) && thresholds.direct < thresholds.escalate) {
+    problems.push('thresholds.direct must not be lower than thresholds.escalate');
+  }
+
+  const signals = [];
+  Object.entries(raw.signals || {}).forEach(([name, signal]) => {
+    if (!signal || typeof signal !== 'object') {
+      problems.push(`signals.${name} must be an object`);
+      return;
+    }
+    if (!isNumber(signal.weight)) problems.push(`signals.${name}.weight must be a number`);
+
+    const patterns = [];
+    if (signal.patterns !== undefined && !Array.isArray(signal.patterns)) {
+      problems.push(`signals.${name}.patterns must be a list`);
+    }
+    (Array.isArray(signal.patterns) ? signal.patterns : []).forEach(pattern => {
+      try {
+        patterns.push(new RegExp(pattern, 'i'));
+      } catch (error) {
+        problems.push(`signals.${name}: invalid pattern ${pattern} (${error.message})`);
+      }
+    });
+
+    if (name !== TREND_SIGNAL && patterns.length === 0) {
+      problems.push(`signals.${name} needs at least one pattern`);
+    }
+
+    signals.push({ ...signal, name, direct: signal.direct === true, patterns });
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid escalation rules: ${problems.join('; ')}`);
+  }
+
+  return {
+    thresholds: { escalate: thresholds.escalate, direct: thresholds.direct },
+    signals
+  };
+}
+
+/**
+ * Replace the active rules (e.g. from an admin update). Invalid rules throw
+ * and leave the current rules in place.
+ */
+function setRules(raw) {
+  rules = validateRules(raw);
+  return rules;
+}
+
+/**
+ * The unvalidated rules from ESCALATION_RULES_PATH, or from the bundled
+ * escalation-rules.json when that file is missing or invalid
+ */
+function readRulesFile() {
+  try {
+    const raw = parseRulesFile(RULES_PATH);
+    validateRules(raw);
+    return raw;
+  } catch (error) {
+    if (RULES_PATH === DEFAULT_RULES_PATH) throw error;
+    console.error(`❌ Error loading ${RULES_PATH}, using default escalation rules:`, error.message);
+    return parseRulesFile(DEFAULT_RULES_PATH);
+  }
+}
+
+function getRules() {
+  if (!rules) {
+    rules = validateRules(readRulesFile());
+    console.log(`🚦 Escalation rules loaded: ${rules.signals.map(signal => signal.name).join(', ')}`);
+  }
+  return rules;
+}
+
+function findMatch(signal, text) {
+  for (const pattern of signal.patterns) {
+    const match = text.match(pattern);
+    if (match) return match[0];
+  }
+  return null;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Score a message against the rules.
+ *
+ * context is the conversation so far ([{ role, content }], oldest first,
+ * without the current message). Returns
+ * { escalate, direct, score, reasons: [{ signal, weight, detail }], thresholds }
+ */
+function evaluateEscalation(userMessage, context = []) {
+  const { thresholds, signals } = getRules();
+  const message = String(userMessage || '');
+  const earlierUserTurns = context
+    .filter(msg => msg.role === 'user' && msg.content)
+    .map(msg => String(msg.content));
+
+  const reasons = [];
+  let direct = false;
+
+  signals.forEach(signal => {
+    if (signal.name === TREND_SIGNAL) {
+      const window = signal.window || 3;
+      const recent = [...earlierUserTurns.slice(-(window - 1)), message];
+      const negative = recent.filter(text => NEGATIVE_SENTIMENTS.includes(messageClassifier.analyzeSentiment(text))).length;
+      if (negative >= (signal.minNegative || 2)) {
+        reasons.push({ signal: signal.name, weight: signal.weight, detail: `${negative} of the last ${recent.length} messages negative` });
+      }
+      return;
+    }
+
+    const matched = findMatch(signal, message);
+    if (!matched) return;
+
+    let weight = signal.weight;
+    let detail = `matched "${matched}"`;
+
+    if (signal.name === REPEATED_FAILURE_SIGNAL) {
+      const earlierFailures = earlierUserTurns
+        .slice(-(signal.window || 6))
+        .filter(text => findMatch(signal, text)).length;
+      const counted = Math.min(earlierFailures, signal.maxEarlierTurns || 0);
+      if (counted > 0) {
+        weight += counted * (signal.perEarlierTurn || 0);
+        detail += `, ${earlierFailures} earlier failed attempt${earlierFailures === 1 ? '' : 's'}`;
+      }
+    }
+
+    if (signal.direct) direct = true;
+    reasons.push({ signal: signal.name, weight: round(weight), detail });
+  });
+
+  const score = round(reasons.reduce((total, reason) => total + reason.weight, 0));
+  direct = direct || score >= thresholds.direct;
+
+  return {
+    escalate: direct || score >= thresholds.escalate,
+    direct,
+    score,
+    reasons,
+    thresholds
+  };
+}
+
+module.exports = {
+  readRulesFile,
+  validateRules,
+  setRules,
+  evaluateEscalation
+};
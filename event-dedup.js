@@ -0,0 +1,233 @@
+/**
+ * Event de-duplication store for Lark deliveries
+ *
+ * Lark retries a callback until it gets a 2xx, and on Vercel every cold start
+ * or parallel instance has its own memory - so the "have we seen this" check
+ * has to live in a shared store. Keys are claimed as "in progress" before the
+ * message is handled and marked done afterwards.
+ */
+
+const PROCESSED_EVENTS_TABLE = 'processed_events';
+
+// How long a finished event is remembered (Lark retries for several hours)
+const DEDUP_TTL_MS = parseInt(process.env.EVENT_DEDUP_TTL_MS || String(24 * 60 * 60 * 1000), 10);
+
+// How long an "in progress" claim blocks other deliveries before it can be taken over
+const IN_PROGRESS_TTL_MS = parseInt(process.env.EVENT_DEDUP_IN_PROGRESS_TTL_MS || String(5 * 60 * 1000), 10);
+
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * In-memory backend - only protects a single instance
+ */
+function createMemoryBackend() {
+  const entries = new Map(); // key -> { status, expiresAt }
+
+  function purgeExpired() {
+    const now = Date.now();
+    for (const [key, entry] of entries.entries()) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async claim(key, ttlMs) {
+      purgeExpired();
+      if (entries.has(key)) {
+        return false;
+      }
+      entries.set(key, { status: 'in_progress', expiresAt: Date.now() + ttlMs });
+      return true;
+    },
+
+    async complete(key, ttlMs) {
+      entries.set(key, { status: 'done', expiresAt: Date.now() + ttlMs });
+    },
+
+    async release(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+/**
+ * Supabase/Postgres backend - shared by every instance.
+ * The primary key on event_key makes the insert the atomic "claim".
+ */
+function createSupabaseBackend(client = require('./supabase-client')) {
+  let lastPurge = 0;
+
+  async function purgeExpired() {
+    if (Date.now() - lastPurge < PURGE_INTERVAL_MS) return;
+    lastPurge = Date.now();
+
+    const { error } = await client
+      .from(PROCESSED_EVENTS_TABLE)
+      .delete()
+      .lt('expires_at', new Date().toISOString());
+
+    if (error) {
+      console.log('⚠️ Could not purge expired processed events:', error.message);
+    }
+  }
+
+  return {
+    name: 'supabase',
+
+    async claim(key, ttlMs) {
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + ttlMs).toISOString();
+
+      const { error } = await client
+        .from(PROCESSED_EVENTS_TABLE)
+        .insert([{ event_key: key, status: 'in_progress', expires_at: expiresAt }]);
+
+      if (!error) {
+        purgeExpired().catch(() => {});
+        return true;
+      }
+
+      if (error.code !== '23505') {
+        throw error;
+      }
+
+      // Key already exists - take it over only if the previous claim expired
+      const { data, error: takeoverError } = await client
+        .from(PROCESSED_EVENTS_TABLE)
+        .update({ status: 'in_progress', expires_at: expiresAt, updated_at: now.toISOString() })
+        .eq('event_key', key)
+        .lt('expires_at', now.toISOString())
+        .select('event_key');
+
+      if (takeoverError) {
+        throw takeoverError;
+      }
+
+      return Boolean(data && data.length > 0);
+    },
+
+    async complete(key, ttlMs) {
+      const now = new Date();
+      const { error } = await client
+        .from(PROCESSED_EVENTS_TABLE)
+        .update({
+          status: 'done',
+          expires_at: new Date(now.getTime() + ttlMs).toISOString(),
+          updated_at: now.toISOString()
+        })
+        .eq('event_key', key);
+
+      if (error) {
+        throw error;
+      }
+    },
+
+    async release(key) {
+      const { error } = await client
+        .from(PROCESSED_EVENTS_TABLE)
+        .delete()
+        .eq('event_key', key);
+
+      if (error) {
+        throw error;
+      }
+    }
+  };
+}
+
+function createBackend(name) {
+  switch (name) {
+    case 'memory':
+      return createMemoryBackend();
+    case 'supabase':
+      return createSupabaseBackend();
+    default:
+      throw new Error(`Unknown event dedup backend: ${name}`);
+  }
+}
+
+/**
+ * Build a dedup store. If the shared backend errors we fall back to the
+ * in-memory one rather than dropping the event.
+ */
+function createDedupStore(options = {}) {
+  const backendName = options.backend ||
+    process.env.EVENT_DEDUP_BACKEND ||
+    (process.env.SUPABASE_URL ? 'supabase' : 'memory');
+
+  const backend = typeof backendName === 'string' ? createBackend(backendName) : backendName;
+  const fallback = backend.name === 'memory' ? backend : createMemoryBackend();
+  const ttlMs = options.ttlMs || DEDUP_TTL_MS;
+  const inProgressTtlMs = options.inProgressTtlMs || IN_PROGRESS_TTL_MS;
+
+  async function withFallback(operation, ...args) {
+    try {
+      return await backend[operation](...args);
+    } catch (error) {
+      console.log(`⚠️ Event dedup (${backend.name}) ${operation} failed, using in-memory fallback:`, error.message);
+      return fallback[operation](...args);
+    }
+  }
+
+  /**
+   * Build the keys for a delivery from its event and message IDs (or, for
+   * the request replay check, the request's own ID)
+   */
+  function getKeys({ eventId, messageId, requestId }) {
+    const keys = [];
+    if (eventId) keys.push(`event:${eventId}`);
+    if (messageId) keys.push(`message:${messageId}`);
+    if (requestId) keys.push(`request:${requestId}`);
+    return keys;
+  }
+
+  return {
+    backend: backend.name,
+
+    /**
+     * Mark a delivery as in progress. Returns the claimed keys, or null if
+     * any of them is already being (or has been) processed.
+     */
+    async claim(ids) {
+      const keys = getKeys(ids);
+      const claimed = [];
+
+      for (const key of keys) {
+        const ok = await withFallback('claim', key, inProgressTtlMs);
+        if (!ok) {
+          // Release the keys we already took so they don't outlive this attempt
+          await Promise.all(claimed.map(k => withFallback('release', k)));
+          console.log('🔄 Duplicate delivery detected:', key);
+          return null;
+        }
+        claimed.push(key);
+      }
+
+      return claimed;
+    },
+
+    /**
+     * Remember the delivery as processed for the dedup TTL
+     */
+    async complete(keys) {
+      await Promise.all((keys || []).map(key => withFallback('complete', key, ttlMs)));
+    },
+
+    /**
+     * Drop the claim so a Lark retry can process the event again
+     */
+    async release(keys) {
+      await Promise.all((keys || []).map(key => withFallback('release', key)));
+    }
+  };
+}
+
+module.exports = {
+  createDedupStore,
+  createMemoryBackend,
+  createSupabaseBackend
+};
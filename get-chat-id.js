@@ -2,33 +2,12 @@
 // Run this to find your support group chat ID
 
 require('dotenv').config();
+const larkClient = require('./lark-client');
 
 async function getChatId() {
   try {
-    // Get access token
-    const tokenResponse = await fetch('https://open.larksuite.com/open-apis/auth/v3/tenant_access_token/internal', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        app_id: process.env.LARK_APP_ID,
-        app_secret: process.env.LARK_APP_SECRET
-      })
-    });
-
-    const tokenData = await tokenResponse.json();
-    const accessToken = tokenData.tenant_access_token;
-
     // Get list of chats the bot is in
-    const chatsResponse = await fetch('https://open.larksuite.com/open-apis/im/v1/chats', {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`
-      }
-    });
-
-    const chatsData = await chatsResponse.json();
+    const chatsData = await larkClient.request('GET', '/open-apis/im/v1/chats');
     
     console.log('📋 Available chats:');
     console.log(JSON.stringify(chatsData, null, 2));
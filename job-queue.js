@@ -0,0 +1,395 @@
+/**
+ * Background job queue
+ *
+ * Lark expects a 200 within 3 seconds, so /lark/events only enqueues work here
+ * and returns. Jobs live in Postgres (job_queue) so they survive cold starts,
+ * with an in-process queue as fallback when the database is unavailable.
+ * Failed jobs are retried with exponential backoff and moved to
+ * job_dead_letters once they run out of attempts.
+ */
+
+const { waitUntil } = require('@vercel/functions');
+
+const JOB_QUEUE_TABLE = 'job_queue';
+const DEAD_LETTER_TABLE = 'job_dead_letters';
+
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS || '3', 10);
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10);
+const BASE_BACKOFF_MS = parseInt(process.env.JOB_BACKOFF_MS || '2000', 10);
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const LOCK_TIMEOUT_SECONDS = 300; // Running jobs older than this are considered abandoned
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '5000', 10);
+
+const isServerless = !!(process.env.VERCEL || process.env.NETLIFY || process.env.AWS_LAMBDA_FUNCTION_NAME);
+
+// job_type -> async handler(payload, job)
+const handlers = new Map();
+
+let activeJobs = 0;
+let drainPromise = null;
+
+function generateJobId() {
+  return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * In-process backend - used when Postgres is unavailable, lost on restart
+ */
+function createLocalBackend() {
+  const jobs = [];
+  const deadLetters = [];
+
+  return {
+    name: 'local',
+
+    async insert(job) {
+      const record = {
+        id: generateJobId(),
+        ...job,
+        status: 'pending',
+        attempts: 0,
+        created_at: new Date().toISOString()
+      };
+      jobs.push(record);
+      return record;
+    },
+
+    async claim(limit) {
+      const now = Date.now();
+      const claimed = jobs
+        .filter(job => job.status === 'pending' && new Date(job.run_at).getTime() <= now)
+        .slice(0, limit);
+
+      claimed.forEach(job => {
+        job.status = 'running';
+        job.attempts += 1;
+        job.locked_at = new Date().toISOString();
+      });
+
+      return claimed;
+    },
+
+    async complete(job) {
+      const index = jobs.findIndex(j => j.id === job.id);
+      if (index !== -1) jobs.splice(index, 1);
+    },
+
+    async reschedule(job, runAt, errorMessage) {
+      const record = jobs.find(j => j.id === job.id);
+      if (record) {
+        record.status = 'pending';
+        record.run_at = runAt;
+        record.last_error = errorMessage;
+        record.locked_at = null;
+      }
+    },
+
+    async moveToDeadLetter(job, errorMessage) {
+      await this.complete(job);
+      deadLetters.unshift({
+        id: generateJobId(),
+        job_id: job.id,
+        job_type: job.job_type,
+        payload: job.payload,
+        attempts: job.attempts,
+        last_error: errorMessage,
+        failed_at: new Date().toISOString()
+      });
+      deadLetters.splice(100); // Keep memory bounded
+    },
+
+    async stats(limit) {
+      return {
+        pending: jobs.filter(j => j.status === 'pending').length,
+        running: jobs.filter(j => j.status === 'running').length,
+        failed: deadLetters.length,
+        deadLetters: deadLetters.slice(0, limit)
+      };
+    },
+
+    async takeDeadLetter(id) {
+      const index = deadLetters.findIndex(d => d.id === id);
+      return index === -1 ? null : deadLetters.splice(index, 1)[0];
+    }
+  };
+}
+
+/**
+ * Postgres backend through Supabase. Claiming goes through the claim_jobs()
+ * function so concurrent instances never pick up the same job.
+ */
+function createSupabaseBackend(client = require('./supabase-client')) {
+  async function countByStatus(status) {
+    const { count, error } = await client
+      .from(JOB_QUEUE_TABLE)
+      .select('id', { count: 'exact', head: true })
+      .eq('status', status);
+    if (error) throw error;
+    return count || 0;
+  }
+
+  return {
+    name: 'supabase',
+
+    async insert(job) {
+      const { data, error } = await client
+        .from(JOB_QUEUE_TABLE)
+        .insert([{ ...job, status: 'pending', attempts: 0 }])
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    },
+
+    async claim(limit) {
+      const { data, error } = await client.rpc('claim_jobs', {
+        batch_size: limit,
+        lock_timeout_seconds: LOCK_TIMEOUT_SECONDS
+      });
+      if (error) throw error;
+      return data || [];
+    },
+
+    async complete(job) {
+      const { error } = await client
+        .from(JOB_QUEUE_TABLE)
+        .delete()
+        .eq('id', job.id);
+      if (error) throw error;
+    },
+
+    async reschedule(job, runAt, errorMessage) {
+      const { error } = await client
+        .from(JOB_QUEUE_TABLE)
+        .update({
+          status: 'pending',
+          run_at: runAt,
+          last_error: errorMessage,
+          locked_at: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', job.id);
+      if (error) throw error;
+    },
+
+    async moveToDeadLetter(job, errorMessage) {
+      const { error } = await client
+        .from(DEAD_LETTER_TABLE)
+        .insert([{
+          job_id: job.id,
+          job_type: job.job_type,
+          payload: job.payload,
+          attempts: job.attempts,
+          last_error: errorMessage
+        }]);
+      if (error) throw error;
+      await this.complete(job);
+    },
+
+    async stats(limit) {
+      const [pending, running] = await Promise.all([
+        countByStatus('pending'),
+        countByStatus('running')
+      ]);
+
+      const { data, count, error } = await client
+        .from(DEAD_LETTER_TABLE)
+        .select('*', { count: 'exact' })
+        .order('failed_at', { ascending: false })
+        .limit(limit);
+      if (error) throw error;
+
+      return { pending, running, failed: count || 0, deadLetters: data || [] };
+    },
+
+    async takeDeadLetter(id) {
+      const { data, error } = await client
+        .from(DEAD_LETTER_TABLE)
+        .delete()
+        .eq('id', id)
+        .select()
+        .single();
+      if (error) return null;
+      return data;
+    }
+  };
+}
+
+const localBackend = createLocalBackend();
+const backendName = process.env.JOB_QUEUE_BACKEND || (process.env.SUPABASE_URL ? 'supabase' : 'local');
+const primaryBackend = backendName === 'supabase' ? createSupabaseBackend() : localBackend;
+
+/**
+ * Register the function that processes a job type
+ */
+function registerHandler(jobType, handler) {
+  handlers.set(jobType, handler);
+}
+
+/**
+ * Add a job to the queue. Falls back to the in-process queue if the
+ * database insert fails so the work is not lost for this instance.
+ */
+async function enqueue(jobType, payload, options = {}) {
+  const job = {
+    job_type: jobType,
+    payload,
+    max_attempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    run_at: new Date(Date.now() + (options.delayMs || 0)).toISOString()
+  };
+
+  try {
+    const record = await primaryBackend.insert(job);
+    console.log(`📥 Job queued (${primaryBackend.name}):`, jobType, record.id);
+    return record;
+  } catch (error) {
+    console.log(`⚠️ Could not queue job in ${primaryBackend.name}, using local queue:`, error.message);
+    const record = await localBackend.insert(job);
+    console.log('📥 Job queued (local):', jobType, record.id);
+    return record;
+  }
+}
+
+function getBackoffMs(attempts) {
+  const backoff = BASE_BACKOFF_MS * Math.pow(2, Math.max(attempts - 1, 0));
+  const jitter = Math.random() * BASE_BACKOFF_MS;
+  return Math.min(backoff + jitter, MAX_BACKOFF_MS);
+}
+
+async function runJob(job, backend) {
+  const handler = handlers.get(job.job_type);
+  activeJobs++;
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type: ${job.job_type}`);
+    }
+
+    await handler(job.payload, job);
+    await backend.complete(job);
+    console.log('✅ Job completed:', job.job_type, job.id);
+  } catch (error) {
+    const errorMessage = error.message || String(error);
+    const maxAttempts = job.max_attempts || DEFAULT_MAX_ATTEMPTS;
+
+    if (!handler || job.attempts >= maxAttempts) {
+      console.error(`☠️ Job failed permanently after ${job.attempts} attempt(s):`, job.job_type, job.id, errorMessage);
+      await backend.moveToDeadLetter(job, errorMessage);
+    } else {
+      const delay = getBackoffMs(job.attempts);
+      console.log(`🔁 Job failed (attempt ${job.attempts}/${maxAttempts}), retrying in ${Math.round(delay)}ms:`, job.job_type, errorMessage);
+      await backend.reschedule(job, new Date(Date.now() + delay).toISOString(), errorMessage);
+
+      // Best effort wake-up - in serverless the next drain picks it up instead
+      const timer = setTimeout(() => drain().catch(() => {}), delay);
+      if (timer.unref) timer.unref();
+    }
+  } finally {
+    activeJobs--;
+  }
+}
+
+async function drainBackend(backend) {
+  let processed = 0;
+
+  while (true) {
+    let jobs;
+    try {
+      jobs = await backend.claim(MAX_CONCURRENT_JOBS);
+    } catch (error) {
+      console.log(`⚠️ Could not claim jobs from ${backend.name}:`, error.message);
+      return processed;
+    }
+
+    if (jobs.length === 0) {
+      return processed;
+    }
+
+    await Promise.all(jobs.map(job => runJob(job, backend).catch(error => {
+      console.error('❌ Error finalising job:', job.id, error.message);
+    })));
+    processed += jobs.length;
+  }
+}
+
+/**
+ * Process every job that is due. Concurrent calls share the same run.
+ */
+function drain() {
+  if (!drainPromise) {
+    drainPromise = (async () => {
+      let processed = await drainBackend(primaryBackend);
+      if (localBackend !== primaryBackend) {
+        processed += await drainBackend(localBackend);
+      }
+      return processed;
+    })().finally(() => {
+      drainPromise = null;
+    });
+  }
+  return drainPromise;
+}
+
+/**
+ * Drain once the response has been sent. On Vercel, waitUntil keeps the
+ * function running until the drain finishes instead of freezing it mid-job;
+ * elsewhere the process keeps running anyway.
+ */
+function drainAfterResponse() {
+  const drained = drain().catch(error => console.error('❌ Error draining job queue:', error));
+  waitUntil(drained);
+  return drained;
+}
+
+/**
+ * Queue depth and recent failed jobs for the admin endpoint
+ */
+async function getStats(limit = 20) {
+  const stats = { backend: primaryBackend.name, activeJobs };
+
+  try {
+    stats.queue = await primaryBackend.stats(limit);
+  } catch (error) {
+    stats.queue = { error: error.message };
+  }
+
+  if (localBackend !== primaryBackend) {
+    stats.localFallback = await localBackend.stats(limit);
+  }
+
+  return stats;
+}
+
+/**
+ * Put a dead-lettered job back on the queue
+ */
+async function retryDeadLetter(id) {
+  const deadLetter = await primaryBackend.takeDeadLetter(id) ||
+    (localBackend !== primaryBackend ? await localBackend.takeDeadLetter(id) : null);
+
+  if (!deadLetter) {
+    return null;
+  }
+
+  return enqueue(deadLetter.job_type, deadLetter.payload);
+}
+
+function getActiveJobCount() {
+  return activeJobs;
+}
+
+// Poll for due jobs (retries, jobs queued by other instances) outside serverless
+if (!isServerless) {
+  const poller = setInterval(() => drain().catch(() => {}), POLL_INTERVAL_MS);
+  if (poller.unref) poller.unref();
+}
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  drain,
+  drainAfterResponse,
+  getStats,
+  retryDeadLetter,
+  getActiveJobCount
+};
@@ -0,0 +1,69 @@
+const express = require('express');
+const jobQueue = require('./job-queue');
+const { requireAdmin, requireCron } = require('./admin-auth');
+
+const router = express.Router();
+
+/**
+ * Queue depth and recently failed jobs
+ */
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+    const stats = await jobQueue.getStats(Math.min(parseInt(limit) || 20, 100));
+
+    res.json({
+      success: true,
+      ...stats,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching job queue stats:', error);
+    res.status(500).json({ error: 'Failed to fetch job queue stats' });
+  }
+});
+
+/**
+ * Process every due job now (GET is what Vercel Cron sends)
+ */
+async function runJobs(req, res) {
+  try {
+    const processed = await jobQueue.drain();
+    res.json({
+      success: true,
+      processed,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error running job queue:', error);
+    res.status(500).json({ error: 'Failed to run job queue' });
+  }
+}
+
+router.post('/run', requireCron, runJobs);
+router.get('/run', requireCron, runJobs);
+
+/**
+ * Move a dead-lettered job back onto the queue
+ */
+router.post('/failed/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    const job = await jobQueue.retryDeadLetter(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Failed job not found' });
+    }
+
+    jobQueue.drainAfterResponse();
+
+    res.json({
+      success: true,
+      job: { id: job.id, job_type: job.job_type }
+    });
+  } catch (error) {
+    console.error('❌ Error retrying failed job:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
+module.exports = router;
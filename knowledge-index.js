@@ -0,0 +1,317 @@
+/**
+ * Knowledge base retrieval
+ *
+ * The knowledge base (knowledge-base.md plus the Q&A entries in the database)
+ * is split into chunks by heading and Q&A, and only the chunks relevant to a
+ * question are put in the prompt. Chunks are ranked with BM25; with
+ * KNOWLEDGE_EMBEDDINGS=true they are also embedded into the knowledge_chunks
+ * pgvector table and both rankings are fused.
+ */
+
+const crypto = require('crypto');
+const llm = require('./llm-providers');
+
+const TOP_K = parseInt(process.env.KNOWLEDGE_TOP_K || '5', 10);
+const MAX_CHUNK_CHARS = 1500;
+const EMBEDDINGS_ENABLED = process.env.KNOWLEDGE_EMBEDDINGS === 'true';
+const EMBEDDING_BATCH_SIZE = 50;
+const CHUNKS_TABLE = 'knowledge_chunks';
+
+// BM25 parameters and reciprocal rank fusion constant
+const BM25_K1 = 1.5;
+const BM25_B = 0.75;
+const RRF_K = 60;
+
+// Sections always sent to the model (e.g. "Important Instructions for AI Assistant")
+const PINNED_SECTION = /instructions for ai/i;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'how', 'i', 'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'this',
+  'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'you', 'your'
+]);
+
+let index = null; // { source, chunks, postings, avgLength }
+
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/\*\*/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 80) || 'section';
+}
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+/**
+ * Split long sections on paragraph boundaries
+ */
+function splitContent(content) {
+  if (content.length <= MAX_CHUNK_CHARS) return [content];
+
+  const parts = [];
+  let current = '';
+  content.split(/\n\s*\n/).forEach(paragraph => {
+    if (current && current.length + paragraph.length > MAX_CHUNK_CHARS) {
+      parts.push(current.trim());
+      current = '';
+    }
+    current += `${paragraph}\n\n`;
+  });
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Split the knowledge base markdown into chunks at ##/### headings.
+ * Each "### Q:" entry becomes its own chunk. Returns [{ id, title, content, pinned }]
+ */
+function chunkKnowledgeBase(markdown) {
+  const chunks = [];
+  const usedIds = new Map();
+  const headings = []; // heading text by level (2 and 3)
+  let lines = [];
+
+  const flush = () => {
+    const content = lines.join('\n').trim();
+    lines = [];
+    if (!content || headings.length === 0) return;
+
+    const path = headings.filter(Boolean);
+    const title = path.join(' > ').replace(/\*\*/g, '');
+    const baseId = path.map(slugify).join('/');
+    const pinned = PINNED_SECTION.test(path[0] || '');
+
+    splitContent(content).forEach(part => {
+      const count = (usedIds.get(baseId) || 0) + 1;
+      usedIds.set(baseId, count);
+      chunks.push({
+        id: count === 1 ? baseId : `${baseId}-${count}`,
+        title,
+        content: part,
+        pinned
+      });
+    });
+  };
+
+  markdown.replace(/\r\n/g, '\n').split('\n').forEach(line => {
+    const heading = line.match(/^(#{2,3})\s+(.+)$/);
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      headings[level - 2] = heading[2].trim();
+      headings.length = level - 1;
+      return;
+    }
+    lines.push(line);
+  });
+  flush();
+
+  return chunks;
+}
+
+function buildIndex(source) {
+  const chunks = chunkKnowledgeBase(source);
+  const postings = new Map(); // token -> [{ chunkIndex, tf }]
+  let totalLength = 0;
+
+  chunks.forEach((chunk, chunkIndex) => {
+    // Titles count twice - a question's wording is the best match signal
+    const tokens = [...tokenize(chunk.title), ...tokenize(chunk.title), ...tokenize(chunk.content)];
+    chunk.length = tokens.length;
+    totalLength += tokens.length;
+
+    const termFrequencies = new Map();
+    tokens.forEach(token => termFrequencies.set(token, (termFrequencies.get(token) || 0) + 1));
+    termFrequencies.forEach((tf, token) => {
+      if (!postings.has(token)) postings.set(token, []);
+      postings.get(token).push({ chunkIndex, tf });
+    });
+  });
+
+  return {
+    source,
+    chunks,
+    postings,
+    avgLength: chunks.length > 0 ? totalLength / chunks.length : 0
+  };
+}
+
+/**
+ * Rank chunks against a query with BM25. Returns [{ chunk, score }]
+ */
+function bm25Search(query, limit) {
+  const scores = new Map();
+  const totalChunks = index.chunks.length;
+
+  new Set(tokenize(query)).forEach(token => {
+    const postings = index.postings.get(token);
+    if (!postings) return;
+
+    const idf = Math.log(1 + (totalChunks - postings.length + 0.5) / (postings.length + 0.5));
+    postings.forEach(({ chunkIndex, tf }) => {
+      const chunk = index.chunks[chunkIndex];
+      const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / index.avgLength);
+      scores.set(chunkIndex, (scores.get(chunkIndex) || 0) + idf * (tf * (BM25_K1 + 1)) / norm);
+    });
+  });
+
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([chunkIndex, score]) => ({ chunk: index.chunks[chunkIndex], score }));
+}
+
+function hashContent(chunk) {
+  return crypto.createHash('sha256').update(`${chunk.title}\n${chunk.content}`).digest('hex');
+}
+
+/**
+ * Bring knowledge_chunks in line with the current chunks, embedding only
+ * chunks whose content changed
+ */
+async function syncEmbeddings(chunks) {
+  const supabase = require('./supabase-client');
+
+  const { data: existing, error } = await supabase
+    .from(CHUNKS_TABLE)
+    .select('id, content_hash');
+  if (error) throw error;
+
+  const existingHashes = new Map((existing || []).map(row => [row.id, row.content_hash]));
+  const changed = chunks.filter(chunk => existingHashes.get(chunk.id) !== hashContent(chunk));
+
+  for (let i = 0; i < changed.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = changed.slice(i, i + EMBEDDING_BATCH_SIZE);
+    const embeddings = await llm.embed(batch.map(chunk => `${chunk.title}\n${chunk.content}`));
+
+    const { error: upsertError } = await supabase
+      .from(CHUNKS_TABLE)
+      .upsert(batch.map((chunk, j) => ({
+        id: chunk.id,
+        title: chunk.title,
+        content: chunk.content,
+        content_hash: hashContent(chunk),
+        embedding: embeddings[j],
+        updated_at: new Date().toISOString()
+      })));
+    if (upsertError) throw upsertError;
+  }
+
+  const currentIds = new Set(chunks.map(chunk => chunk.id));
+  const staleIds = [...existingHashes.keys()].filter(id => !currentIds.has(id));
+  if (staleIds.length > 0) {
+    const { error: deleteError } = await supabase
+      .from(CHUNKS_TABLE)
+      .delete()
+      .in('id', staleIds);
+    if (deleteError) throw deleteError;
+  }
+
+  console.log(`🧬 Knowledge embeddings synced: ${changed.length} updated, ${staleIds.length} removed`);
+}
+
+/**
+ * Rank chunks by embedding similarity through match_knowledge_chunks()
+ */
+async function vectorSearch(query, limit) {
+  const supabase = require('./supabase-client');
+  const [queryEmbedding] = await llm.embed([query]);
+
+  const { data, error } = await supabase.rpc('match_knowledge_chunks', {
+    query_embedding: queryEmbedding,
+    match_count: limit
+  });
+  if (error) throw error;
+
+  const chunksById = new Map(index.chunks.map(chunk => [chunk.id, chunk]));
+  return (data || [])
+    .filter(row => chunksById.has(row.id))
+    .map(row => ({ chunk: chunksById.get(row.id), score: row.similarity }));
+}
+
+/**
+ * Merge rankings with reciprocal rank fusion
+ */
+function fuseRankings(rankings, limit) {
+  const fused = new Map();
+  rankings.forEach(results => {
+    results.forEach(({ chunk }, rank) => {
+      const entry = fused.get(chunk.id) || { chunk, score: 0 };
+      entry.score += 1 / (RRF_K + rank + 1);
+      fused.set(chunk.id, entry);
+    });
+  });
+  return [...fused.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * (Re)build the index when the knowledge base text changed
+ */
+async function ensureIndexed(source) {
+  if (index && index.source === source) {
+    return index;
+  }
+
+  index = buildIndex(source);
+  console.log(`🗂️ Knowledge index built: ${index.chunks.length} chunks`);
+
+  if (EMBEDDINGS_ENABLED) {
+    try {
+      await syncEmbeddings(index.chunks);
+    } catch (error) {
+      console.error('❌ Error syncing knowledge embeddings:', error.message);
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Find the chunks relevant to a question. Pinned chunks are always included
+ * and do not count towards topK. Returns [{ id, title, content, score }]
+ */
+async function retrieve(source, query, { topK = TOP_K } = {}) {
+  await ensureIndexed(source);
+
+  const candidates = topK * 2;
+  let results = bm25Search(query, candidates);
+
+  if (EMBEDDINGS_ENABLED) {
+    try {
+      results = fuseRankings([results, await vectorSearch(query, candidates)], candidates);
+    } catch (error) {
+      console.error('❌ Vector search failed, using keyword ranking only:', error.message);
+    }
+  }
+
+  const pinned = index.chunks.filter(chunk => chunk.pinned);
+  const ranked = results
+    .filter(({ chunk }) => !chunk.pinned)
+    .slice(0, topK);
+
+  return [
+    ...pinned.map(chunk => ({ id: chunk.id, title: chunk.title, content: chunk.content, score: null })),
+    ...ranked.map(({ chunk, score }) => ({ id: chunk.id, title: chunk.title, content: chunk.content, score }))
+  ];
+}
+
+/**
+ * Format retrieved chunks for the system prompt
+ */
+function formatChunks(chunks) {
+  return chunks
+    .map(chunk => `[${chunk.id}] ${chunk.title}\n${chunk.content}`)
+    .join('\n\n---\n\n');
+}
+
+module.exports = {
+  chunkKnowledgeBase,
+  ensureIndexed,
+  retrieve,
+  formatChunks
+};
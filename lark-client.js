@@ -0,0 +1,267 @@
+/**
+ * Shared Lark/Feishu Open API client
+ *
+ * Caches the tenant access token until shortly before it expires and retries
+ * rate-limited (429) and server-side (5xx) failures with backoff. Set
+ * LARK_DOMAIN=feishu to talk to open.feishu.cn instead of open.larksuite.com.
+ */
+
+const LARK_DOMAINS = {
+  lark: 'https://open.larksuite.com',
+  larksuite: 'https://open.larksuite.com',
+  feishu: 'https://open.feishu.cn'
+};
+
+const MAX_RETRIES = parseInt(process.env.LARK_API_MAX_RETRIES || '3', 10);
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 10000;
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000; // Refresh 5 minutes before expiry
+
+// Lark error codes meaning the tenant token is invalid or expired
+const INVALID_TOKEN_CODES = [99991661, 99991663, 99991668];
+
+let cachedToken = null; // { token, expiresAt }
+let pendingTokenRequest = null;
+
+/**
+ * Base URL for the configured domain (LARK_API_BASE_URL overrides it)
+ */
+function getBaseUrl() {
+  if (process.env.LARK_API_BASE_URL) {
+    return process.env.LARK_API_BASE_URL.replace(/\/$/, '');
+  }
+  const domain = (process.env.LARK_DOMAIN || 'lark').toLowerCase();
+  return LARK_DOMAINS[domain] || LARK_DOMAINS.lark;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * How long to wait before retrying - honours rate limit headers when present
+ */
+function getRetryDelay(response, attempt) {
+  const retryAfter = response && (response.headers.get('retry-after') || response.headers.get('x-ogw-ratelimit-reset'));
+  if (retryAfter && !isNaN(parseFloat(retryAfter))) {
+    return Math.min(parseFloat(retryAfter) * 1000, MAX_BACKOFF_MS);
+  }
+  return Math.min(BASE_BACKOFF_MS * Math.pow(2, attempt) + Math.random() * BASE_BACKOFF_MS, MAX_BACKOFF_MS);
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * fetch() with retries on network errors, 429 and 5xx responses
+ */
+async function fetchWithRetry(url, options) {
+  let lastError;
+
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    let response;
+    try {
+      response = await fetch(url, options);
+    } catch (error) {
+      lastError = error;
+      if (attempt === MAX_RETRIES) break;
+      const delay = getRetryDelay(null, attempt);
+      console.log(`🔁 Lark API network error, retrying in ${Math.round(delay)}ms:`, error.message);
+      await sleep(delay);
+      continue;
+    }
+
+    if (!isRetryableStatus(response.status) || attempt === MAX_RETRIES) {
+      return response;
+    }
+
+    const delay = getRetryDelay(response, attempt);
+    console.log(`🔁 Lark API returned ${response.status}, retrying in ${Math.round(delay)}ms:`, url);
+    await sleep(delay);
+  }
+
+  throw lastError;
+}
+
+async function fetchTenantAccessToken() {
+  console.log('🔑 Requesting tenant access token...');
+  const response = await fetchWithRetry(`${getBaseUrl()}/open-apis/auth/v3/tenant_access_token/internal`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      app_id: process.env.LARK_APP_ID,
+      app_secret: process.env.LARK_APP_SECRET
+    })
+  });
+
+  const tokenData = await response.json();
+
+  if (tokenData.code !== 0) {
+    throw new Error(`Failed to get access token: ${tokenData.msg}`);
+  }
+
+  cachedToken = {
+    token: tokenData.tenant_access_token,
+    expiresAt: Date.now() + (tokenData.expire || 0) * 1000 - TOKEN_REFRESH_MARGIN_MS
+  };
+  console.log('✅ Tenant access token cached');
+
+  return cachedToken.token;
+}
+
+/**
+ * Get a tenant access token, reusing the cached one until it is about to expire
+ */
+async function getTenantAccessToken({ forceRefresh = false } = {}) {
+  if (!forceRefresh && cachedToken && cachedToken.expiresAt > Date.now()) {
+    return cachedToken.token;
+  }
+
+  // Share one in-flight token request between concurrent callers
+  if (!pendingTokenRequest) {
+    pendingTokenRequest = fetchTenantAccessToken().finally(() => {
+      pendingTokenRequest = null;
+    });
+  }
+  return pendingTokenRequest;
+}
+
+function buildUrl(path, query) {
+  const url = new URL(`${getBaseUrl()}${path}`);
+  Object.entries(query || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(key, value);
+    }
+  });
+  return url.toString();
+}
+
+/**
+ * Call an authenticated Lark Open API endpoint and return the parsed JSON body.
+ * Callers check `code` like they would on the raw response.
+ */
+async function request(method, path, { query, body } = {}) {
+  const url = buildUrl(path, query);
+
+  for (let tokenAttempt = 0; tokenAttempt < 2; tokenAttempt++) {
+    const accessToken = await getTenantAccessToken({ forceRefresh: tokenAttempt > 0 });
+
+    const response = await fetchWithRetry(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${accessToken}`
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      data = { code: response.status, msg: `Invalid JSON response (HTTP ${response.status})` };
+    }
+
+    // Token revoked or expired early - refresh once and try again
+    if (INVALID_TOKEN_CODES.includes(data.code) && tokenAttempt === 0) {
+      console.log('🔑 Tenant access token rejected, refreshing...');
+      cachedToken = null;
+      continue;
+    }
+
+    return data;
+  }
+}
+
+/**
+ * Read a response body, giving up as soon as it passes maxBytes
+ */
+async function readLimitedBody(response, maxBytes) {
+  const tooLarge = () => {
+    const error = new Error(`Resource is larger than ${maxBytes} bytes`);
+    error.code = 'RESOURCE_TOO_LARGE';
+    return error;
+  };
+
+  const declaredLength = parseInt(response.headers.get('content-length'), 10);
+  if (declaredLength > maxBytes) {
+    await response.body?.cancel();
+    throw tooLarge();
+  }
+
+  const chunks = [];
+  let size = 0;
+  // Throwing inside the loop cancels the rest of the download
+  for await (const chunk of response.body || []) {
+    size += chunk.length;
+    if (size > maxBytes) throw tooLarge();
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks, size);
+}
+
+/**
+ * Download a binary resource (e.g. a message image or file).
+ * Returns { buffer, contentType, fileName }; throws on API errors, and with
+ * code RESOURCE_TOO_LARGE when the resource is over maxBytes.
+ */
+async function download(path, { query, maxBytes = Infinity } = {}) {
+  const url = buildUrl(path, query);
+
+  for (let tokenAttempt = 0; tokenAttempt < 2; tokenAttempt++) {
+    const accessToken = await getTenantAccessToken({ forceRefresh: tokenAttempt > 0 });
+
+    const response = await fetchWithRetry(url, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`
+      }
+    });
+
+    const contentType = response.headers.get('content-type') || 'application/octet-stream';
+
+    // Errors come back as JSON instead of the file
+    if (contentType.includes('application/json')) {
+      const data = await response.json();
+      if (INVALID_TOKEN_CODES.includes(data.code) && tokenAttempt === 0) {
+        console.log('🔑 Tenant access token rejected, refreshing...');
+        cachedToken = null;
+        continue;
+      }
+      throw new Error(`Failed to download resource: ${data.msg || `code ${data.code}`}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Failed to download resource: HTTP ${response.status}`);
+    }
+
+    const disposition = response.headers.get('content-disposition') || '';
+    const fileNameMatch = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+
+    return {
+      buffer: await readLimitedBody(response, maxBytes),
+      contentType,
+      fileName: fileNameMatch ? decodeURIComponent(fileNameMatch[1]) : null
+    };
+  }
+}
+
+/**
+ * Work out receive_id_type from the shape of a chat/user ID
+ */
+function getReceiveIdType(receiveId) {
+  if (receiveId.startsWith('ou_')) return 'open_id';
+  if (receiveId.startsWith('on_')) return 'union_id';
+  return 'chat_id';
+}
+
+module.exports = {
+  getBaseUrl,
+  getTenantAccessToken,
+  request,
+  download,
+  getReceiveIdType
+};
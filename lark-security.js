@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const { createDedupStore } = require('./event-dedup');
+
+// Requests whose signed timestamp is further than this from our clock are rejected
+const MAX_REQUEST_AGE_SECONDS = parseInt(process.env.LARK_REQUEST_MAX_AGE_SECONDS || '300', 10);
+
+// Requests seen inside the allowed window, kept in the shared dedup store so a
+// replay is caught whichever instance it reaches
+let seenRequests = null;
+
+/**
+ * Keep the raw request body around so the signature can be checked
+ * (used as the `verify` hook of bodyParser.json)
+ */
+function captureRawBody(req, res, buf) {
+  if (buf && buf.length) {
+    req.rawBody = buf.toString('utf8');
+  }
+}
+
+/**
+ * Read the raw body of a request that did not go through bodyParser
+ */
+async function readRawBody(req) {
+  if (typeof req.rawBody === 'string') {
+    return req.rawBody;
+  }
+
+  if (req.readableEnded) {
+    // Already consumed by the platform parser - only the untouched text will do,
+    // re-serialising parsed JSON would not match the signature
+    if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) {
+      return req.body.toString('utf8');
+    }
+    throw new Error('The request body was parsed before its signature could be checked: read the raw body first');
+  }
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Decrypt an `encrypt`-wrapped Lark payload (AES-256-CBC, key = sha256(encryptKey))
+ */
+function decryptPayload(encrypted, encryptKey) {
+  const key = crypto.createHash('sha256').update(encryptKey).digest();
+  const buffer = Buffer.from(encrypted, 'base64');
+  const iv = buffer.subarray(0, 16);
+  const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+  const decrypted = Buffer.concat([decipher.update(buffer.subarray(16)), decipher.final()]);
+  return JSON.parse(decrypted.toString('utf8'));
+}
+
+/**
+ * Calculate the Lark request signature: sha256(timestamp + nonce + encryptKey + body)
+ */
+function calculateSignature(timestamp, nonce, encryptKey, rawBody) {
+  return crypto
+    .createHash('sha256')
+    .update(timestamp + nonce + encryptKey + rawBody)
+    .digest('hex');
+}
+
+/**
+ * Compare two secrets in constant time
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a || ''));
+  const bufferB = Buffer.from(String(b || ''));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Check a signed timestamp (seconds) is inside the allowed window
+ */
+function isFreshTimestamp(timestamp) {
+  const requestAge = Math.abs(Date.now() / 1000 - parseInt(timestamp, 10));
+  return Number.isFinite(requestAge) && requestAge <= MAX_REQUEST_AGE_SECONDS;
+}
+
+/**
+ * Record a request and report whether it was already seen inside the window
+ */
+async function isReplayedRequest(requestId) {
+  if (!seenRequests) {
+    seenRequests = createDedupStore({
+      ttlMs: MAX_REQUEST_AGE_SECONDS * 1000,
+      inProgressTtlMs: MAX_REQUEST_AGE_SECONDS * 1000
+    });
+  }
+
+  const keys = await seenRequests.claim({ requestId });
+  if (!keys) {
+    return true;
+  }
+  await seenRequests.complete(keys);
+  return false;
+}
+
+/**
+ * What identifies a delivery for the replay check: the signed timestamp and
+ * nonce when Lark sends them (each delivery, retries included, gets a new
+ * nonce), otherwise the event ID
+ */
+function getReplayKey(headers, payload) {
+  const timestamp = headers['x-lark-request-timestamp'];
+  const nonce = headers['x-lark-request-nonce'];
+  if (timestamp && nonce) {
+    return `nonce:${timestamp}:${nonce}`;
+  }
+  const eventId = payload.header?.event_id || payload.uuid;
+  return eventId ? `event:${eventId}` : null;
+}
+
+/**
+ * Pull the verification token out of a (decrypted) payload - v2 events carry it
+ * in the header, v1 events and url_verification at the top level
+ */
+function getPayloadToken(payload) {
+  if (payload.header && payload.header.token) {
+    return payload.header.token;
+  }
+  return payload.token;
+}
+
+function reject(status, error) {
+  console.log('🚫 Rejected Lark request:', status, error);
+  return { valid: false, status, error };
+}
+
+/**
+ * Verify an incoming Lark callback and return its decrypted payload.
+ * Resolves to { valid: true, payload } or { valid: false, status, error }.
+ */
+async function verifyLarkRequest({ headers = {}, rawBody, body }) {
+  const verificationToken = process.env.LARK_VERIFICATION_TOKEN;
+  const encryptKey = process.env.LARK_ENCRYPT_KEY;
+
+  if (!verificationToken && !encryptKey) {
+    if (process.env.NODE_ENV === 'production' || process.env.VERCEL) {
+      return reject(500, 'Lark request verification is not configured');
+    }
+    console.log('⚠️ LARK_VERIFICATION_TOKEN / LARK_ENCRYPT_KEY not set - skipping request verification (development only)');
+    return { valid: true, payload: body };
+  }
+
+  if (!body || typeof body !== 'object') {
+    return reject(400, 'Invalid request body');
+  }
+
+  // Decrypt encrypt-wrapped payloads
+  let payload = body;
+  if (body.encrypt) {
+    if (!encryptKey) {
+      return reject(400, 'Received encrypted payload but LARK_ENCRYPT_KEY is not configured');
+    }
+    try {
+      payload = decryptPayload(body.encrypt, encryptKey);
+    } catch (error) {
+      return reject(400, 'Failed to decrypt payload');
+    }
+  }
+
+  // URL verification requests are not signed, the token is their only proof
+  if (payload.type === 'url_verification') {
+    if (verificationToken && !safeEqual(payload.token, verificationToken)) {
+      return reject(403, 'Invalid verification token');
+    }
+    return { valid: true, payload };
+  }
+
+  const timestamp = headers['x-lark-request-timestamp'];
+
+  if (encryptKey) {
+    const nonce = headers['x-lark-request-nonce'];
+    const signature = headers['x-lark-signature'];
+
+    if (!timestamp || !nonce || !signature) {
+      return reject(401, 'Missing request signature headers');
+    }
+
+    if (!isFreshTimestamp(timestamp)) {
+      return reject(401, 'Request timestamp outside the allowed window');
+    }
+
+    if (typeof rawBody !== 'string') {
+      return reject(400, 'The raw request body is needed to check the signature');
+    }
+
+    const expected = calculateSignature(timestamp, nonce, encryptKey, rawBody);
+    if (!safeEqual(signature, expected)) {
+      return reject(401, 'Invalid request signature');
+    }
+  } else if (timestamp && !isFreshTimestamp(timestamp)) {
+    // Token-only mode: the timestamp isn't signed, but a stale one is still a replay
+    return reject(401, 'Request timestamp outside the allowed window');
+  }
+
+  if (verificationToken && !safeEqual(getPayloadToken(payload), verificationToken)) {
+    return reject(403, 'Invalid verification token');
+  }
+
+  const replayKey = getReplayKey(headers, payload);
+  if (replayKey && await isReplayedRequest(replayKey)) {
+    return reject(409, 'Replayed request');
+  }
+
+  return { valid: true, payload };
+}
+
+/**
+ * Verify a message card callback. Cards configured with the 2.0 callback (or
+ * encryption) follow the event rules; legacy card callbacks are signed with
+ * sha1(timestamp + nonce + verificationToken + body).
+ */
+async function verifyCardActionRequest({ headers = {}, rawBody, body }) {
+  if (body && (body.encrypt || body.schema === '2.0')) {
+    return verifyLarkRequest({ headers, rawBody, body });
+  }
+
+  const verificationToken = process.env.LARK_VERIFICATION_TOKEN;
+
+  if (!verificationToken) {
+    if (process.env.NODE_ENV === 'production' || process.env.VERCEL) {
+      return reject(500, 'Lark request verification is not configured');
+    }
+    console.log('⚠️ LARK_VERIFICATION_TOKEN not set - skipping card callback verification (development only)');
+    return { valid: true, payload: body };
+  }
+
+  if (!body || typeof body !== 'object') {
+    return reject(400, 'Invalid request body');
+  }
+
+  if (body.type === 'url_verification') {
+    if (!safeEqual(body.token, verificationToken)) {
+      return reject(403, 'Invalid verification token');
+    }
+    return { valid: true, payload: body };
+  }
+
+  const timestamp = headers['x-lark-request-timestamp'];
+  const nonce = headers['x-lark-request-nonce'];
+  const signature = headers['x-lark-signature'];
+
+  if (!timestamp || !nonce || !signature) {
+    return reject(401, 'Missing request signature headers');
+  }
+
+  if (!isFreshTimestamp(timestamp)) {
+    return reject(401, 'Request timestamp outside the allowed window');
+  }
+
+  if (typeof rawBody !== 'string') {
+    return reject(400, 'The raw request body is needed to check the signature');
+  }
+
+  const expected = crypto
+    .createHash('sha1')
+    .update(timestamp + nonce + verificationToken + rawBody)
+    .digest('hex');
+  if (!safeEqual(signature, expected)) {
+    return reject(401, 'Invalid request signature');
+  }
+
+  if (body.token && !safeEqual(body.token, verificationToken)) {
+    return reject(403, 'Invalid verification token');
+  }
+
+  if (await isReplayedRequest(`nonce:${timestamp}:${nonce}`)) {
+    return reject(409, 'Replayed request');
+  }
+
+  return { valid: true, payload: body };
+}
+
+module.exports = {
+  captureRawBody,
+  readRawBody,
+  decryptPayload,
+  calculateSignature,
+  safeEqual,
+  verifyLarkRequest,
+  verifyCardActionRequest
+};
@@ -0,0 +1,255 @@
+/**
+ * LLM provider layer
+ *
+ * Every model call goes through complete(task, ...). Each task (answer,
+ * extraction, classification, vision) has an ordered list of models; when a
+ * model times out, is rate limited or returns a 5xx the next one is tried.
+ *
+ * Model lists are comma separated "provider:model" entries, e.g.
+ *   LLM_ANSWER_MODELS=openai:gpt-4,azure:gpt-35-deployment,local:llama3
+ * Entries without a provider use LLM_PROVIDER (default 'openai').
+ *
+ * Providers:
+ *   openai - OPENAI_API_KEY (OPENAI_BASE_URL optional)
+ *   azure  - AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY, AZURE_OPENAI_API_VERSION; the model is the deployment name
+ *   local  - any OpenAI-compatible server (Ollama, vLLM, LM Studio) at LOCAL_LLM_BASE_URL
+ *   stub   - deterministic offline responses for tests, no network
+ */
+
+const OpenAI = require('openai');
+
+const DEFAULT_PROVIDER = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+const REQUEST_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '30000', 10);
+const SDK_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES || '1', 10);
+const AZURE_API_VERSION = process.env.AZURE_OPENAI_API_VERSION || '2024-02-01';
+
+// Default model chains - the first entry keeps the previous behaviour
+const TASK_DEFAULTS = {
+  answer: [process.env.OPENAI_MODEL || 'gpt-4', 'gpt-4-turbo', 'gpt-3.5-turbo'],
+  extraction: ['gpt-4', 'gpt-3.5-turbo'],
+  classification: ['gpt-4o-mini', 'gpt-3.5-turbo'],
+  vision: [process.env.OPENAI_VISION_MODEL || 'gpt-4o-mini']
+};
+
+const TASK_ENV = {
+  answer: 'LLM_ANSWER_MODELS',
+  extraction: 'LLM_EXTRACTION_MODELS',
+  classification: 'LLM_CLASSIFICATION_MODELS',
+  vision: 'LLM_VISION_MODELS'
+};
+
+const clients = new Map(); // provider[:deployment] -> OpenAI client
+
+function parseModelSpec(spec) {
+  const trimmed = spec.trim();
+  const separator = trimmed.indexOf(':');
+  if (separator === -1) {
+    return { provider: DEFAULT_PROVIDER, model: trimmed };
+  }
+  return { provider: trimmed.slice(0, separator).toLowerCase(), model: trimmed.slice(separator + 1) };
+}
+
+/**
+ * Ordered [{ provider, model }] to try for a task
+ */
+function getModelChain(task) {
+  const configured = process.env[TASK_ENV[task]];
+  const specs = configured ? configured.split(',') : (TASK_DEFAULTS[task] || TASK_DEFAULTS.answer);
+
+  const seen = new Set();
+  return specs
+    .filter(spec => spec && spec.trim())
+    .map(parseModelSpec)
+    .filter(({ provider, model }) => {
+      const key = `${provider}:${model}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+function getClient(provider, model) {
+  const key = provider === 'azure' ? `azure:${model}` : provider;
+  if (clients.has(key)) {
+    return clients.get(key);
+  }
+
+  const common = { timeout: REQUEST_TIMEOUT_MS, maxRetries: SDK_MAX_RETRIES };
+  let client;
+
+  switch (provider) {
+    case 'openai':
+      client = new OpenAI({
+        ...common,
+        apiKey: process.env.OPENAI_API_KEY,
+        baseURL: process.env.OPENAI_BASE_URL || undefined
+      });
+      break;
+    case 'azure': {
+      // Azure routes by deployment, so each deployment gets its own base URL
+      const endpoint = (process.env.AZURE_OPENAI_ENDPOINT || '').replace(/\/$/, '');
+      client = new OpenAI({
+        ...common,
+        apiKey: process.env.AZURE_OPENAI_API_KEY,
+        baseURL: `${endpoint}/openai/deployments/${model}`,
+        defaultQuery: { 'api-version': AZURE_API_VERSION },
+        defaultHeaders: { 'api-key': process.env.AZURE_OPENAI_API_KEY }
+      });
+      break;
+    }
+    case 'local':
+      client = new OpenAI({
+        ...common,
+        apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+        baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1'
+      });
+      break;
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+
+  clients.set(key, client);
+  return client;
+}
+
+/**
+ * Offline stub: echoes the last user message so tests get stable output.
+ * JSON-mode requests get an empty object, which callers treat as "no data".
+ */
+function stubCompletion(model, params) {
+  const lastUser = [...params.messages].reverse().find(message => message.role === 'user');
+  const userText = lastUser
+    ? (Array.isArray(lastUser.content)
+      ? lastUser.content.filter(part => part.type === 'text').map(part => part.text).join(' ')
+      : lastUser.content)
+    : '';
+
+  return params.response_format && params.response_format.type === 'json_object'
+    ? '{}'
+    : `[stub:${model}] ${String(userText).substring(0, 200)}`;
+}
+
+/**
+ * Whether the next model should be tried after this error
+ */
+function isFallbackError(error) {
+  if (error.providerUnavailable) return true;
+  if (error instanceof OpenAI.APIConnectionError) return true; // Includes timeouts
+  const status = error.status;
+  if (status === 429 || status === 408 || (status >= 500 && status < 600)) return true;
+  return /timeout|timed out/i.test(error.message || '');
+}
+
+async function runCompletion(provider, model, params, onPartial) {
+  if (provider === 'stub') {
+    const content = stubCompletion(model, params);
+    if (onPartial) onPartial(content);
+    return { content, timeToFirstTokenMs: 0 };
+  }
+
+  let client;
+  try {
+    client = getClient(provider, model);
+  } catch (error) {
+    error.providerUnavailable = true; // Misconfigured provider - skip to the next one
+    throw error;
+  }
+  const startTime = Date.now();
+
+  if (!onPartial) {
+    const completion = await client.chat.completions.create({ ...params, model });
+    return { content: completion.choices[0].message.content || '', usage: completion.usage };
+  }
+
+  const stream = await client.chat.completions.create({ ...params, model, stream: true });
+  let content = '';
+  let timeToFirstTokenMs = null;
+
+  try {
+    for await (const part of stream) {
+      const delta = (part.choices[0] && part.choices[0].delta && part.choices[0].delta.content) || '';
+      if (!delta) continue;
+      if (timeToFirstTokenMs === null) {
+        timeToFirstTokenMs = Date.now() - startTime;
+      }
+      content += delta;
+      onPartial(content);
+    }
+  } catch (error) {
+    // Text has already been shown to the user, so switching models would garble it
+    if (content) error.partialOutput = true;
+    throw error;
+  }
+
+  return { content, timeToFirstTokenMs };
+}
+
+/**
+ * Run a chat completion for a task, falling back along the task's model chain.
+ *
+ * Options: messages, maxTokens, temperature, json (ask for a JSON object),
+ * onPartial(textSoFar) to stream.
+ * Returns { content, provider, model, attempts, timeToFirstTokenMs }; throws
+ * the last error (with error.attempts) when every model fails.
+ */
+async function complete(task, { messages, maxTokens, temperature, json = false, onPartial = null }) {
+  const chain = getModelChain(task);
+  const params = { messages };
+  if (maxTokens !== undefined) params.max_tokens = maxTokens;
+  if (temperature !== undefined) params.temperature = temperature;
+  if (json) params.response_format = { type: 'json_object' };
+
+  const attempts = [];
+  let lastError = new Error(`No models configured for task: ${task}`);
+
+  for (const { provider, model } of chain) {
+    const startTime = Date.now();
+    try {
+      const result = await runCompletion(provider, model, params, onPartial);
+      attempts.push({ provider, model, ok: true, durationMs: Date.now() - startTime });
+      console.log(`🧠 LLM ${task} answered by ${provider}:${model} in ${Date.now() - startTime}ms`);
+      return { ...result, provider, model, attempts };
+    } catch (error) {
+      lastError = error;
+      attempts.push({ provider, model, ok: false, error: error.message, durationMs: Date.now() - startTime });
+
+      if (!isFallbackError(error) || error.partialOutput) {
+        break;
+      }
+      console.log(`🔁 LLM ${provider}:${model} failed (${error.status || error.message}), trying next model...`);
+    }
+  }
+
+  console.error(`❌ LLM ${task} failed on every model:`, JSON.stringify(attempts));
+  lastError.attempts = attempts;
+  throw lastError;
+}
+
+/**
+ * Embed texts with LLM_EMBEDDING_MODEL. There is no fallback - vectors from
+ * different models are not comparable.
+ */
+async function embed(inputs) {
+  const { provider, model } = parseModelSpec(process.env.LLM_EMBEDDING_MODEL || process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small');
+
+  if (provider === 'stub') {
+    // Character histogram - deterministic and good enough to exercise the pipeline
+    return inputs.map(text => {
+      const vector = new Array(1536).fill(0);
+      for (const char of String(text).toLowerCase()) {
+        vector[char.charCodeAt(0) % 1536] += 1;
+      }
+      return vector;
+    });
+  }
+
+  const response = await getClient(provider, model).embeddings.create({ model, input: inputs });
+  return response.data.map(item => item.embedding);
+}
+
+module.exports = {
+  getModelChain,
+  isFallbackError,
+  complete,
+  embed
+};
@@ -0,0 +1,192 @@
+/**
+ * Message attachments
+ *
+ * Images, files, audio and video sent to the bot are downloaded through the
+ * Lark message-resource API and stored in Supabase Storage. Screenshots are
+ * run through a vision model so the error text in them can be answered like
+ * a typed question.
+ */
+
+const larkClient = require('./lark-client');
+const llm = require('./llm-providers');
+
+const ATTACHMENTS_BUCKET = process.env.SUPPORT_ATTACHMENTS_BUCKET || 'support-attachments';
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES || String(20 * 1024 * 1024), 10);
+const OCR_ENABLED = process.env.ATTACHMENT_OCR !== 'false';
+
+const OCR_PROMPT = 'This screenshot was sent to the PM-Next support bot. Transcribe any error messages, ' +
+  'dialog text, field labels or other visible text relevant to the problem. Reply with the text only, ' +
+  'or NONE if there is no readable text.';
+
+const ATTACHMENT_LABELS = {
+  file: 'a file',
+  audio: 'a voice message',
+  video: 'a video'
+};
+
+/**
+ * List the attachments in a message's parsed content.
+ * Returns [{ type: 'image'|'file'|'audio'|'video', key, fileName }]
+ */
+function getAttachmentRefs(messageType, content) {
+  if (!content || typeof content !== 'object') return [];
+
+  switch (messageType) {
+    case 'image':
+      return content.image_key ? [{ type: 'image', key: content.image_key }] : [];
+    case 'file':
+      return content.file_key ? [{ type: 'file', key: content.file_key, fileName: content.file_name }] : [];
+    case 'audio':
+      return content.file_key ? [{ type: 'audio', key: content.file_key, durationMs: content.duration }] : [];
+    case 'media':
+      return content.file_key ? [{ type: 'video', key: content.file_key, fileName: content.file_name, durationMs: content.duration }] : [];
+    case 'post': {
+      // Rich text can embed images and videos between paragraphs
+      const refs = [];
+      (Array.isArray(content.content) ? content.content : []).forEach(paragraph => {
+        (Array.isArray(paragraph) ? paragraph : []).forEach(element => {
+          if (element.tag === 'img' && element.image_key) {
+            refs.push({ type: 'image', key: element.image_key });
+          } else if (element.tag === 'media' && element.file_key) {
+            refs.push({ type: 'video', key: element.file_key });
+          }
+        });
+      });
+      return refs;
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Read the text out of a screenshot. Returns null when there is none.
+ */
+async function extractImageText(buffer, contentType) {
+  const completion = await llm.complete('vision', {
+    messages: [{
+      role: 'user',
+      content: [
+        { type: 'text', text: OCR_PROMPT },
+        { type: 'image_url', image_url: { url: `data:${contentType};base64,${buffer.toString('base64')}` } }
+      ]
+    }],
+    maxTokens: 500,
+    temperature: 0
+  });
+
+  const text = completion.content.trim();
+  return text && text.toUpperCase() !== 'NONE' ? text : null;
+}
+
+function getStoragePath(chatId, messageId, ref, fileName) {
+  const safeName = (fileName || ref.key).replace(/[^\w.-]+/g, '_');
+  return `${chatId}/${messageId}/${safeName}`;
+}
+
+/**
+ * Download, store and (for images) read one attachment. Failures are
+ * recorded on the returned entry instead of thrown.
+ */
+async function processAttachment(messageId, chatId, ref) {
+  const attachment = {
+    type: ref.type,
+    key: ref.key,
+    fileName: ref.fileName || null,
+    durationMs: ref.durationMs || null
+  };
+
+  let resource;
+  try {
+    // The resource API only knows 'image' and 'file' (audio and video are files)
+    resource = await larkClient.download(`/open-apis/im/v1/messages/${messageId}/resources/${ref.key}`, {
+      query: { type: ref.type === 'image' ? 'image' : 'file' },
+      maxBytes: MAX_ATTACHMENT_BYTES
+    });
+  } catch (error) {
+    if (error.code === 'RESOURCE_TOO_LARGE') {
+      console.log('⚠️ Attachment exceeds ATTACHMENT_MAX_BYTES, not storing:', ref.key);
+      attachment.error = 'Attachment too large to store';
+      return attachment;
+    }
+    console.error('❌ Error downloading attachment:', ref.key, error.message);
+    attachment.error = error.message;
+    return attachment;
+  }
+
+  attachment.fileName = attachment.fileName || resource.fileName;
+  attachment.contentType = resource.contentType;
+  attachment.size = resource.buffer.length;
+  console.log(`📎 Downloaded ${ref.type} attachment:`, attachment.fileName || ref.key, `(${attachment.size} bytes)`);
+
+  try {
+    const supabase = require('./supabase-client');
+    const storagePath = getStoragePath(chatId, messageId, ref, attachment.fileName);
+    const { error } = await supabase.storage
+      .from(ATTACHMENTS_BUCKET)
+      .upload(storagePath, resource.buffer, { contentType: resource.contentType, upsert: true });
+
+    if (error) throw error;
+
+    attachment.bucket = ATTACHMENTS_BUCKET;
+    attachment.storagePath = storagePath;
+    console.log('✅ Attachment stored:', storagePath);
+  } catch (error) {
+    console.error('❌ Error storing attachment:', ref.key, error.message);
+    attachment.error = error.message;
+  }
+
+  if (ref.type === 'image' && OCR_ENABLED) {
+    try {
+      attachment.extractedText = await extractImageText(resource.buffer, resource.contentType);
+      console.log('🔎 Screenshot text extracted:', attachment.extractedText ? attachment.extractedText.length : 0, 'chars');
+    } catch (error) {
+      console.error('❌ Error reading screenshot text:', error.message);
+    }
+  }
+
+  return attachment;
+}
+
+/**
+ * Process every attachment of a message, one at a time
+ */
+async function processAttachments(messageId, chatId, refs) {
+  const attachments = [];
+  for (const ref of refs) {
+    attachments.push(await processAttachment(messageId, chatId, ref));
+  }
+  return attachments;
+}
+
+/**
+ * Describe attachments for the AI prompt, including any screenshot text
+ */
+function describeAttachments(attachments) {
+  return attachments.map(attachment => {
+    if (attachment.type === 'image') {
+      return attachment.extractedText
+        ? `[The user attached a screenshot. Text visible in it:\n${attachment.extractedText}]`
+        : '[The user attached a screenshot with no readable text.]';
+    }
+    const name = attachment.fileName ? `: ${attachment.fileName}` : '';
+    return `[The user attached ${ATTACHMENT_LABELS[attachment.type] || 'a file'}${name}]`;
+  }).join('\n');
+}
+
+/**
+ * Short placeholder used as the logged message when there is no text
+ */
+function summarizeAttachments(attachments) {
+  return attachments
+    .map(attachment => `[${attachment.type}${attachment.fileName ? `: ${attachment.fileName}` : ''}]`)
+    .join(' ');
+}
+
+module.exports = {
+  getAttachmentRefs,
+  extractImageText,
+  processAttachments,
+  describeAttachments,
+  summarizeAttachments
+};
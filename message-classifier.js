@@ -0,0 +1,198 @@
+/**
+ * Message classifier
+ *
+ * Labels each user message with intent, sentiment and urgency (plus a 0-1
+ * confidence for each) using one cheap JSON-mode model call. The keyword
+ * rules are kept as the offline fallback, and every result records which
+ * classifier produced it ('llm:<provider>:<model>' or 'keyword').
+ */
+
+const llm = require('./llm-providers');
+
+const CLASSIFIER_MODE = (process.env.MESSAGE_CLASSIFIER || 'llm').toLowerCase(); // 'llm' or 'keyword'
+const CLASSIFIER_TIMEOUT_MS = parseInt(process.env.MESSAGE_CLASSIFIER_TIMEOUT_MS || '4000', 10);
+const MIN_LLM_MESSAGE_LENGTH = 4; // "1", "ok" etc. are not worth a model call
+
+const INTENT_KEYWORDS = {
+  candidate_management: ['candidate', 'resume', 'applicant', 'cv', 'profile'],
+  job_management: ['job', 'position', 'posting', 'vacancy', 'role'],
+  client_management: ['client', 'company', 'employer', 'organization'],
+  authentication: ['login', 'log in', 'password', 'access', 'signin', 'sign in', 'logout'],
+  file_upload: ['upload', 'file', 'document', 'attachment'],
+  system_performance: ['slow', 'loading', 'performance', 'lag', 'freeze'],
+  help_request: ['help', 'how to', 'how do', 'tutorial', 'guide'],
+  greeting: ['hello', 'hi', 'hey', 'good morning', 'good afternoon'],
+  support_ticket: ['ticket', 'support', 'escalate', 'human', 'agent'],
+  feedback: ['feedback', 'suggestion', 'improve', 'rating', 'review']
+};
+
+const INTENTS = [...Object.keys(INTENT_KEYWORDS), 'general'];
+const SENTIMENTS = ['positive', 'neutral', 'negative', 'frustrated'];
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+const POSITIVE_WORDS = ['thank', 'great', 'awesome', 'perfect', 'excellent', 'good', 'helpful', 'love', 'amazing'];
+const NEGATIVE_WORDS = ['problem', 'issue', 'error', 'bug', 'broken', 'wrong', 'bad', 'terrible', 'hate', 'frustrated', 'annoying'];
+const FRUSTRATED_WORDS = ['urgent', 'asap', 'immediately', 'critical', 'emergency', 'stuck', 'blocked', 'deadline'];
+
+// Phrases that contain a negative word but mean the opposite ("no issue, thanks")
+const NEGATED_PHRASES = /\b(no|not an?|nothing)\s+(issues?|problems?|errors?|bugs?|wrong)\b|\bno worries\b/g;
+
+// Checked from most to least urgent; each keyword belongs to exactly one level
+const URGENCY_KEYWORDS = {
+  critical: ['critical', 'emergency', 'urgent', 'asap', 'immediately', 'deadline today'],
+  high: ['important', 'priority', 'soon', 'deadline'],
+  low: ['when you can', 'no rush', 'whenever', 'eventually'],
+  medium: ['help', 'issue', 'problem', 'question']
+};
+
+const KEYWORD_MATCH_CONFIDENCE = 0.6;
+const KEYWORD_DEFAULT_CONFIDENCE = 0.3;
+
+const CLASSIFIER_PROMPT = `You classify messages sent to the support bot of PM-Next, a recruitment management system.
+Reply with a JSON object:
+{
+  "intent": one of ${JSON.stringify(INTENTS)},
+  "intent_confidence": number 0-1,
+  "sentiment": one of ${JSON.stringify(SENTIMENTS)},
+  "sentiment_confidence": number 0-1,
+  "urgency": one of ${JSON.stringify(URGENCY_LEVELS)},
+  "urgency_confidence": number 0-1
+}
+"frustrated" is for users who are annoyed, blocked or repeating themselves. Urgency reflects business impact and
+time pressure, not tone alone. A polite "no issue, thanks" is positive.`;
+
+/**
+ * Whether the text contains the phrase at a word start ("thank" matches "thanks", "hi" does not match "this")
+ */
+function containsPhrase(text, phrase) {
+  return new RegExp(`\\b${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`).test(text);
+}
+
+function detectIntent(message) {
+  const lowerMessage = message.toLowerCase();
+
+  for (const [intent, keywords] of Object.entries(INTENT_KEYWORDS)) {
+    if (keywords.some(keyword => containsPhrase(lowerMessage, keyword))) {
+      return intent;
+    }
+  }
+
+  return 'general';
+}
+
+function analyzeSentiment(message) {
+  const lowerMessage = message.toLowerCase();
+  const withoutNegations = lowerMessage.replace(NEGATED_PHRASES, ' ');
+
+  const positiveScore = POSITIVE_WORDS.filter(word => containsPhrase(lowerMessage, word)).length;
+  const negativeScore = NEGATIVE_WORDS.filter(word => containsPhrase(withoutNegations, word)).length;
+  const frustratedScore = FRUSTRATED_WORDS.filter(word => containsPhrase(lowerMessage, word)).length;
+
+  if (frustratedScore > 0 || negativeScore > positiveScore + 1) {
+    return frustratedScore > 0 ? 'frustrated' : 'negative';
+  } else if (positiveScore > negativeScore) {
+    return 'positive';
+  }
+  return 'neutral';
+}
+
+function detectUrgency(message) {
+  const lowerMessage = message.toLowerCase();
+
+  for (const [level, keywords] of Object.entries(URGENCY_KEYWORDS)) {
+    if (keywords.some(keyword => containsPhrase(lowerMessage, keyword))) {
+      return level;
+    }
+  }
+
+  return 'medium';
+}
+
+/**
+ * Keyword classification - always available, used when the model is not
+ */
+function classifyWithKeywords(message) {
+  const intent = detectIntent(message);
+  const sentiment = analyzeSentiment(message);
+  const urgency = detectUrgency(message);
+
+  return {
+    intent,
+    intentConfidence: intent === 'general' ? KEYWORD_DEFAULT_CONFIDENCE : KEYWORD_MATCH_CONFIDENCE,
+    sentiment,
+    sentimentConfidence: sentiment === 'neutral' ? KEYWORD_DEFAULT_CONFIDENCE : KEYWORD_MATCH_CONFIDENCE,
+    urgency,
+    urgencyConfidence: urgency === 'medium' ? KEYWORD_DEFAULT_CONFIDENCE : KEYWORD_MATCH_CONFIDENCE,
+    source: 'keyword'
+  };
+}
+
+function toConfidence(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(Math.max(number, 0), 1) : null;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Classifier timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function classifyWithModel(message) {
+  const completion = await withTimeout(llm.complete('classification', {
+    messages: [
+      { role: 'system', content: CLASSIFIER_PROMPT },
+      { role: 'user', content: message.substring(0, 2000) }
+    ],
+    maxTokens: 150,
+    temperature: 0,
+    json: true
+  }), CLASSIFIER_TIMEOUT_MS);
+
+  const labels = JSON.parse(completion.content);
+  if (!INTENTS.includes(labels.intent) || !SENTIMENTS.includes(labels.sentiment) || !URGENCY_LEVELS.includes(labels.urgency)) {
+    throw new Error(`Classifier returned unexpected labels: ${completion.content}`);
+  }
+
+  return {
+    intent: labels.intent,
+    intentConfidence: toConfidence(labels.intent_confidence),
+    sentiment: labels.sentiment,
+    sentimentConfidence: toConfidence(labels.sentiment_confidence),
+    urgency: labels.urgency,
+    urgencyConfidence: toConfidence(labels.urgency_confidence),
+    source: `llm:${completion.provider}:${completion.model}`
+  };
+}
+
+/**
+ * Classify a user message. Never throws - falls back to keywords.
+ * Returns { intent, intentConfidence, sentiment, sentimentConfidence, urgency, urgencyConfidence, source }
+ */
+async function classifyMessage(message) {
+  const text = (message || '').trim();
+
+  if (CLASSIFIER_MODE !== 'llm' || text.length < MIN_LLM_MESSAGE_LENGTH) {
+    return classifyWithKeywords(text);
+  }
+
+  try {
+    return await classifyWithModel(text);
+  } catch (error) {
+    console.log('⚠️ Model classification failed, using keyword classifier:', error.message);
+    return classifyWithKeywords(text);
+  }
+}
+
+module.exports = {
+  INTENTS,
+  SENTIMENTS,
+  URGENCY_LEVELS,
+  classifyMessage,
+  classifyWithKeywords,
+  detectIntent,
+  analyzeSentiment,
+  detectUrgency
+};
@@ -1,4 +1,5 @@
 const { createClient } = require('@supabase/supabase-js');
+const messageClassifier = require('./message-classifier');
 require('dotenv').config();
 
 // Initialize Supabase client (reuse from environment)
@@ -36,79 +37,23 @@ function getSessionId(chatId) {
 }
 
 /**
- * Simple sentiment analysis based on keywords
+ * The user_message log for a Lark message, if it was logged already
  */
-function analyzeSentiment(message) {
-  const positiveWords = ['thank', 'thanks', 'great', 'awesome', 'perfect', 'excellent', 'good', 'helpful', 'love', 'amazing'];
-  const negativeWords = ['problem', 'issue', 'error', 'bug', 'broken', 'wrong', 'bad', 'terrible', 'hate', 'frustrated', 'annoying'];
-  const frustratedWords = ['urgent', 'asap', 'immediately', 'critical', 'emergency', 'stuck', 'blocked', 'deadline'];
-  
-  const lowerMessage = message.toLowerCase();
-  
-  const positiveScore = positiveWords.filter(word => lowerMessage.includes(word)).length;
-  const negativeScore = negativeWords.filter(word => lowerMessage.includes(word)).length;
-  const frustratedScore = frustratedWords.filter(word => lowerMessage.includes(word)).length;
-  
-  if (frustratedScore > 0 || negativeScore > positiveScore + 1) {
-    return frustratedScore > 0 ? 'frustrated' : 'negative';
-  } else if (positiveScore > negativeScore) {
-    return 'positive';
-  }
-  return 'neutral';
-}
+async function findUserMessageLog(larkMessageId) {
+  const { data, error } = await supabase
+    .from(MESSAGE_LOGS_TABLE)
+    .select('*')
+    .eq('message_type', 'user_message')
+    .contains('user_metadata', { messageId: larkMessageId })
+    .limit(1);
 
-/**
- * Detect message intent/category
- */
-function detectIntent(message) {
-  const intents = {
-    'candidate_management': ['candidate', 'resume', 'applicant', 'cv', 'profile'],
-    'job_management': ['job', 'position', 'posting', 'vacancy', 'role'],
-    'client_management': ['client', 'company', 'employer', 'organization'],
-    'authentication': ['login', 'password', 'access', 'signin', 'logout'],
-    'file_upload': ['upload', 'file', 'document', 'attachment'],
-    'system_performance': ['slow', 'loading', 'performance', 'lag', 'freeze'],
-    'help_request': ['help', 'how to', 'how do', 'tutorial', 'guide'],
-    'greeting': ['hello', 'hi', 'hey', 'good morning', 'good afternoon'],
-    'support_ticket': ['ticket', 'support', 'escalate', 'human', 'agent'],
-    'feedback': ['feedback', 'suggestion', 'improve', 'rating', 'review']
-  };
-  
-  const lowerMessage = message.toLowerCase();
-  
-  for (const [intent, keywords] of Object.entries(intents)) {
-    if (keywords.some(keyword => lowerMessage.includes(keyword))) {
-      return intent;
-    }
-  }
-  
-  return 'general';
+  if (error) throw error;
+  return data?.[0] || null;
 }
 
 /**
- * Detect urgency level from message
- */
-function detectUrgency(message) {
-  const urgencyKeywords = {
-    'critical': ['critical', 'emergency', 'urgent', 'asap', 'immediately', 'deadline today'],
-    'high': ['important', 'urgent', 'priority', 'soon', 'deadline'],
-    'medium': ['help', 'issue', 'problem', 'question'],
-    'low': ['when you can', 'no rush', 'whenever', 'eventually']
-  };
-  
-  const lowerMessage = message.toLowerCase();
-  
-  for (const [level, keywords] of Object.entries(urgencyKeywords)) {
-    if (keywords.some(keyword => lowerMessage.includes(keyword))) {
-      return level;
-    }
-  }
-  
-  return 'medium';
-}
-
-/**
- * Log a user message
+ * Log a user message. A message already logged under the same Lark message
+ * ID (userMetadata.messageId) - a retried job - returns the existing log.
  */
 async function logUserMessage(data) {
   const {
@@ -118,9 +63,22 @@ async function logUserMessage(data) {
     message,
     userMetadata = {},
     messageMetadata = {},
+    attachments = [],
     ticketNumber = null
   } = data;
   
+  if (userMetadata.messageId) {
+    try {
+      const existing = await findUserMessageLog(userMetadata.messageId);
+      if (existing) {
+        console.log('📝 User message already logged:', existing.id);
+        return existing;
+      }
+    } catch (error) {
+      console.error('❌ Error checking for an existing user message log:', error);
+    }
+  }
+  
   // Cleanup sessions in serverless environments
   if (process.env.VERCEL || process.env.NETLIFY || process.env.AWS_LAMBDA_FUNCTION_NAME) {
     cleanupOldSessions();
@@ -130,21 +88,31 @@ async function logUserMessage(data) {
   const currentTurn = conversationTurns.get(sessionId) + 1;
   conversationTurns.set(sessionId, currentTurn);
   
+  const classification = await messageClassifier.classifyMessage(message);
+  
   const logEntry = {
     chat_id: chatId,
     user_id: userId,
     user_name: userName,
     message_type: 'user_message',
     message_content: message,
-    message_intent: detectIntent(message),
-    sentiment: analyzeSentiment(message),
-    urgency_detected: detectUrgency(message),
+    message_intent: classification.intent,
+    intent_confidence: classification.intentConfidence,
+    sentiment: classification.sentiment,
+    sentiment_confidence: classification.sentimentConfidence,
+    urgency_detected: classification.urgency,
+    urgency_confidence: classification.urgencyConfidence,
+    classifier_source: classification.source,
     session_id: sessionId,
     conversation_turn: currentTurn,
     user_metadata: userMetadata,
     message_metadata: messageMetadata,
     ticket_number: ticketNumber
   };
+
+  if (attachments && attachments.length > 0) {
+    logEntry.attachments = attachments;
+  }
   
   try {
     const { data: insertedData, error } = await supabase
@@ -162,6 +130,7 @@ async function logUserMessage(data) {
       userId,
       intent: logEntry.message_intent,
       sentiment: logEntry.sentiment,
+      classifier: logEntry.classifier_source,
       turn: currentTurn
     });
     
@@ -302,6 +271,60 @@ async function updateResponseSatisfaction(messageId, rating) {
   }
 }
 
+/**
+ * Get a single message log entry
+ */
+async function getMessageLog(messageId) {
+  try {
+    const { data, error } = await supabase
+      .from(MESSAGE_LOGS_TABLE)
+      .select('*')
+      .eq('id', messageId)
+      .single();
+    
+    if (error) {
+      console.error('❌ Error fetching message log:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('❌ Exception fetching message log:', error);
+    return null;
+  }
+}
+
+/**
+ * Attachments a user sent in a chat recently (newest first), used to link
+ * screenshots and files to the ticket they end up raising
+ */
+async function getRecentAttachments(chatId, userIds, sinceMs = 24 * 60 * 60 * 1000) {
+  if (!userIds || userIds.length === 0) return [];
+
+  try {
+    const { data, error } = await supabase
+      .from(MESSAGE_LOGS_TABLE)
+      .select('id, attachments, created_at')
+      .eq('chat_id', chatId)
+      .in('user_id', userIds)
+      .not('attachments', 'is', null)
+      .gte('created_at', new Date(Date.now() - sinceMs).toISOString())
+      .order('created_at', { ascending: false });
+    
+    if (error) {
+      console.error('❌ Error fetching recent attachments:', error);
+      return [];
+    }
+    
+    return (data || []).flatMap(log =>
+      (log.attachments || []).map(attachment => ({ ...attachment, messageLogId: log.id }))
+    );
+  } catch (error) {
+    console.error('❌ Exception fetching recent attachments:', error);
+    return [];
+  }
+}
+
 /**
  * Get analytics data for a specific time period
  */
@@ -387,10 +410,12 @@ module.exports = {
   logBotResponse,
   logSystemMessage,
   updateResponseSatisfaction,
+  getMessageLog,
+  getRecentAttachments,
   getAnalytics,
   getConversationSummary,
-  detectIntent,
-  analyzeSentiment,
-  detectUrgency,
+  detectIntent: messageClassifier.detectIntent,
+  analyzeSentiment: messageClassifier.analyzeSentiment,
+  detectUrgency: messageClassifier.detectUrgency,
   cleanupOldSessions
 }; 
\ No newline at end of file
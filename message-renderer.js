@@ -0,0 +1,260 @@
+/**
+ * Message renderer
+ *
+ * Bot replies, FAQ blocks and ticket confirmations are written in markdown
+ * (**bold**, bullets, links). Lark shows that literally in plain text
+ * messages, so replies are rendered as interactive cards (or `post` rich
+ * text) with plain text as the fallback.
+ */
+
+const MESSAGE_FORMATS = ['card', 'post', 'text'];
+
+// Header colour by the emoji a title starts with
+const HEADER_TEMPLATES = [
+  { pattern: /^(✅|🎉)/, template: 'green' },
+  { pattern: /^(❌|🚨|☠️)/, template: 'red' },
+  { pattern: /^(⚠️|⏰)/, template: 'orange' },
+  { pattern: /^(📚|📢|🎫)/, template: 'turquoise' }
+];
+
+const TITLE_LINE = /^\s*((?:[^\w\s*#[]+\s*)?)\*\*([^*]+)\*\*\s*$/;
+const HEADING_LINE = /^\s*#{1,6}\s+(.+)$/;
+const BULLET_LINE = /^(\s*)[•*-]\s+/;
+const INLINE_TOKENS = /(\*\*[^*]+\*\*|\[[^\]]+\]\([^)\s]+\)|https?:\/\/[^\s)]+)/g;
+
+/**
+ * Default format from LARK_MESSAGE_FORMAT ('card', 'post' or 'text')
+ */
+function getDefaultFormat() {
+  const format = (process.env.LARK_MESSAGE_FORMAT || 'card').toLowerCase();
+  return MESSAGE_FORMATS.includes(format) ? format : 'card';
+}
+
+/**
+ * Split a leading "✅ **Title**" line off the message body
+ */
+function extractTitle(markdown) {
+  const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+  const firstIndex = lines.findIndex(line => line.trim() !== '');
+
+  if (firstIndex !== -1) {
+    const heading = lines[firstIndex].match(HEADING_LINE);
+    const title = lines[firstIndex].match(TITLE_LINE);
+
+    if (heading || title) {
+      const text = heading ? heading[1].replace(/\*\*/g, '').trim() : `${title[1]}${title[2]}`.trim();
+      return {
+        title: text,
+        body: lines.slice(firstIndex + 1).join('\n').trim()
+      };
+    }
+  }
+
+  return { title: null, body: markdown.trim() };
+}
+
+function getHeaderTemplate(title) {
+  const match = HEADER_TEMPLATES.find(({ pattern }) => pattern.test(title));
+  return match ? match.template : 'blue';
+}
+
+/**
+ * Normalise markdown to what the card `markdown` element understands:
+ * headings become bold lines and bullets become "- " list items
+ */
+function toCardMarkdown(markdown) {
+  return markdown
+    .split('\n')
+    .map(line => {
+      const heading = line.match(HEADING_LINE);
+      if (heading) {
+        return `**${heading[1].replace(/\*\*/g, '').trim()}**`;
+      }
+      return line.replace(BULLET_LINE, '$1- ');
+    })
+    .join('\n');
+}
+
+/**
+ * Build a card form: { name, fields: [{ name, label, value, multiline, maxLength, options }], submit: { text, value } }.
+ * Fields with options become a dropdown. The submitted values arrive as the
+ * callback's form_value, routed by submit.value like any other button.
+ */
+function renderForm(form) {
+  const elements = form.fields.map(field => {
+    const label = { tag: 'plain_text', content: field.label };
+
+    if (field.options) {
+      return {
+        tag: 'select_static',
+        name: field.name,
+        placeholder: label,
+        initial_option: field.value,
+        options: field.options.map(option => ({
+          text: { tag: 'plain_text', content: option.text },
+          value: option.value
+        }))
+      };
+    }
+
+    const input = {
+      tag: 'input',
+      name: field.name,
+      label,
+      label_position: 'top',
+      default_value: field.value || '',
+      placeholder: { tag: 'plain_text', content: field.placeholder || field.label }
+    };
+    if (field.multiline) {
+      input.input_type = 'multiline_text';
+      input.rows = 3;
+    }
+    if (field.maxLength) {
+      input.max_length = field.maxLength;
+    }
+    return input;
+  });
+
+  elements.push({
+    tag: 'button',
+    text: { tag: 'plain_text', content: form.submit.text },
+    type: 'primary',
+    action_type: 'form_submit',
+    name: `${form.name}_submit`,
+    value: form.submit.value
+  });
+
+  return { tag: 'form', name: form.name, elements };
+}
+
+/**
+ * Render markdown as an interactive card (options: title, template, actions, form)
+ */
+function renderCard(markdown, options = {}) {
+  const { title, body } = options.title
+    ? { title: options.title, body: markdown.trim() }
+    : extractTitle(markdown);
+
+  const elements = [];
+  body.split(/\n\s*---+\s*\n/).forEach((section, index) => {
+    if (index > 0) {
+      elements.push({ tag: 'hr' });
+    }
+    if (section.trim()) {
+      elements.push({ tag: 'markdown', content: toCardMarkdown(section.trim()) });
+    }
+  });
+
+  if (options.form) {
+    elements.push(renderForm(options.form));
+  }
+
+  if (options.actions && options.actions.length > 0) {
+    elements.push({ tag: 'action', actions: options.actions });
+  }
+
+  const card = {
+    config: { wide_screen_mode: true, update_multi: true },
+    elements
+  };
+
+  if (title) {
+    card.header = {
+      template: options.template || getHeaderTemplate(title),
+      title: { tag: 'plain_text', content: title }
+    };
+  }
+
+  return card;
+}
+
+/**
+ * Split a line into post elements (text, bold text and links)
+ */
+function toPostElements(line) {
+  const elements = [];
+  let lastIndex = 0;
+
+  line.replace(INLINE_TOKENS, (token, _match, offset) => {
+    if (offset > lastIndex) {
+      elements.push({ tag: 'text', text: line.slice(lastIndex, offset) });
+    }
+
+    if (token.startsWith('**')) {
+      elements.push({ tag: 'text', text: token.slice(2, -2), style: ['bold'] });
+    } else if (token.startsWith('[')) {
+      const [, text, href] = token.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+      elements.push({ tag: 'a', text, href });
+    } else {
+      elements.push({ tag: 'a', text: token, href: token });
+    }
+
+    lastIndex = offset + token.length;
+    return token;
+  });
+
+  if (lastIndex < line.length) {
+    elements.push({ tag: 'text', text: line.slice(lastIndex) });
+  }
+
+  return elements.length > 0 ? elements : [{ tag: 'text', text: '' }];
+}
+
+/**
+ * Render markdown as `post` rich text
+ */
+function renderPost(markdown) {
+  const { title, body } = extractTitle(markdown);
+
+  const content = body.split('\n').map(line => {
+    const heading = line.match(HEADING_LINE);
+    if (heading) {
+      return [{ tag: 'text', text: heading[1].replace(/\*\*/g, '').trim(), style: ['bold'] }];
+    }
+    return toPostElements(line.replace(BULLET_LINE, '$1• '));
+  });
+
+  return {
+    en_us: {
+      title: title || '',
+      content
+    }
+  };
+}
+
+/**
+ * Strip markdown for the plain text fallback
+ */
+function renderPlainText(markdown) {
+  return markdown
+    .split('\n')
+    .map(line => {
+      const heading = line.match(HEADING_LINE);
+      return heading ? heading[1] : line;
+    })
+    .join('\n')
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '$1 ($2)');
+}
+
+/**
+ * Build the msg_type/content pair for the Lark send/reply APIs
+ */
+function renderMessage(markdown, format = getDefaultFormat(), options = {}) {
+  switch (format) {
+    case 'card':
+      return { msg_type: 'interactive', content: JSON.stringify(renderCard(markdown, options)) };
+    case 'post':
+      return { msg_type: 'post', content: JSON.stringify(renderPost(markdown)) };
+    default:
+      return { msg_type: 'text', content: JSON.stringify({ text: renderPlainText(markdown) }) };
+  }
+}
+
+module.exports = {
+  getDefaultFormat,
+  renderCard,
+  renderPost,
+  renderPlainText,
+  renderMessage
+};
@@ -21,6 +21,7 @@ CREATE TABLE IF NOT EXISTS message_logs (
   message_type VARCHAR(20) NOT NULL, -- 'user_message', 'bot_response', 'system_message'
   message_content TEXT NOT NULL, -- The actual message content
   message_intent VARCHAR(100), -- Detected intent/category of the message
+  intent_confidence REAL, -- 0-1 confidence of message_intent
   response_type VARCHAR(50), -- 'ai_generated', 'knowledge_base', 'cached', 'template', 'escalation'
   processing_time_ms INTEGER, -- Time taken to process/respond (for bot messages)
   knowledge_base_hit BOOLEAN DEFAULT FALSE, -- Whether knowledge base was used
@@ -28,15 +29,28 @@ CREATE TABLE IF NOT EXISTS message_logs (
   ticket_number VARCHAR(20), -- Associated ticket if any
   conversation_turn INTEGER DEFAULT 1, -- Turn number in conversation
   sentiment VARCHAR(20), -- 'positive', 'negative', 'neutral', 'frustrated'
+  sentiment_confidence REAL, -- 0-1 confidence of sentiment
   urgency_detected VARCHAR(20), -- 'low', 'medium', 'high', 'critical'
+  urgency_confidence REAL, -- 0-1 confidence of urgency_detected
+  classifier_source VARCHAR(100), -- Which classifier produced the labels: 'llm:<provider>:<model>' or 'keyword'
   escalated_to_human BOOLEAN DEFAULT FALSE, -- Whether escalated to human support
   session_id VARCHAR(100), -- Session identifier for grouping related messages
   user_metadata JSONB, -- Additional user context (timezone, department, etc.)
-  message_metadata JSONB, -- Additional message context (rich content, attachments, etc.)
+  message_metadata JSONB, -- Additional message context (rich content, mentions, etc.)
+  attachments JSONB, -- Images/files/audio sent with the message (Supabase Storage paths, screenshot text)
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   response_satisfaction INTEGER CHECK (response_satisfaction >= 1 AND response_satisfaction <= 5) -- User feedback on bot response
 );
 
+-- Classifier columns for tables created before they existed
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS intent_confidence REAL;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS sentiment_confidence REAL;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS urgency_confidence REAL;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS classifier_source VARCHAR(100);
+
+-- Attachments for tables created before they were stored
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS attachments JSONB;
+
 -- Message logs indexes for analytics
 CREATE INDEX IF NOT EXISTS idx_message_logs_chat_id ON message_logs(chat_id);
 CREATE INDEX IF NOT EXISTS idx_message_logs_user_id ON message_logs(user_id);
@@ -63,8 +77,8 @@ async function runMigration() {
     if (testError) throw new Error(`Cannot connect: ${testError.message}`);
     
     console.log('✅ Connected to Supabase');
-    console.log('📋 Please run the updated supabase-schema.sql in your Supabase dashboard');
-    console.log('🎉 The message_logs table will be created with all necessary indexes');
+    console.log('📋 Run this SQL in your Supabase dashboard to create or update message_logs (safe to run more than once):');
+    console.log(MESSAGE_LOGS_TABLE_SQL);
     
   } catch (error) {
     console.error('❌ Migration check failed:', error.message);
@@ -0,0 +1,140 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY,
+  {
+    db: { schema: 'support' },
+    auth: { persistSession: false }
+  }
+);
+
+// Columns, indexes and functions added for support_tickets after
+// supabase-schema.sql was first run.
+// Every statement can be run again safely.
+const SUPPORT_TICKETS_MIGRATION_SQL = `
+-- Retried ticket submissions find the ticket instead of inserting it again
+ALTER TABLE support.support_tickets ADD COLUMN IF NOT EXISTS intake_id VARCHAR(100);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_support_tickets_intake_id ON support.support_tickets(intake_id);
+
+-- Screenshots/files the user sent before raising the ticket
+ALTER TABLE support.support_tickets ADD COLUMN IF NOT EXISTS attachments JSONB;
+
+-- The support group announcement, whose thread is relayed to the requester
+ALTER TABLE support.support_tickets ADD COLUMN IF NOT EXISTS support_chat_id VARCHAR(100);
+ALTER TABLE support.support_tickets ADD COLUMN IF NOT EXISTS support_message_id VARCHAR(100);
+CREATE INDEX IF NOT EXISTS idx_support_tickets_support_message_id ON support.support_tickets(support_message_id);
+
+-- SLA deadlines from the sla_policies config and the alerts already sent
+ALTER TABLE support.support_tickets ADD COLUMN IF NOT EXISTS first_response_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE support.support_tickets ADD COLUMN IF NOT EXISTS first_response_due_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE support.support_tickets ADD COLUMN IF NOT EXISTS resolution_due_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE support.support_tickets ADD COLUMN IF NOT EXISTS sla_alerts JSONB DEFAULT '{}';
+
+-- When assigned_to last changed, for round-robin routing per category
+ALTER TABLE support.support_tickets ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP WITH TIME ZONE;
+CREATE INDEX IF NOT EXISTS idx_support_tickets_assigned_to ON support.support_tickets(assigned_to);
+CREATE INDEX IF NOT EXISTS idx_support_tickets_category_assigned_at ON support.support_tickets(issue_category, assigned_at);
+
+-- Full-text search, tag filters and facet counts for GET /tickets
+ALTER TABLE support.support_tickets ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+  to_tsvector('english', coalesce(issue_title, '') || ' ' || coalesce(issue_description, '') || ' ' || coalesce(resolution_notes, ''))
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_support_tickets_search ON support.support_tickets USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_support_tickets_tags ON support.support_tickets USING GIN (tags);
+
+-- Ticket counts per status, urgency, category and assignee for GET /tickets.
+-- Every count uses the search's other filters but not its own, so a filter
+-- chip still shows how many tickets the other choices would find.
+CREATE OR REPLACE FUNCTION support.ticket_search_facets(
+    search_query TEXT DEFAULT NULL,
+    user_ids TEXT[] DEFAULT NULL,
+    tag_list TEXT[] DEFAULT NULL,
+    created_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    created_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    statuses TEXT[] DEFAULT NULL,
+    urgencies TEXT[] DEFAULT NULL,
+    categories TEXT[] DEFAULT NULL,
+    assignees TEXT[] DEFAULT NULL,
+    unassigned BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (facet TEXT, facet_value TEXT, ticket_count BIGINT) AS $$
+    WITH matches AS (
+        SELECT status, urgency_level, issue_category, assigned_to,
+               (statuses IS NULL OR status = ANY(statuses)) AS status_match,
+               (urgencies IS NULL OR urgency_level = ANY(urgencies)) AS urgency_match,
+               (categories IS NULL OR issue_category = ANY(categories)) AS category_match,
+               (CASE WHEN unassigned THEN assigned_to IS NULL
+                     ELSE assignees IS NULL OR assigned_to = ANY(assignees) END) AS assignee_match
+        FROM support.support_tickets
+        WHERE (search_query IS NULL OR search_vector @@ websearch_to_tsquery('english', search_query))
+          AND (user_ids IS NULL OR user_id = ANY(user_ids))
+          AND (tag_list IS NULL OR tags @> tag_list)
+          AND (created_from IS NULL OR created_at >= created_from)
+          AND (created_to IS NULL OR created_at <= created_to)
+    )
+    SELECT 'status', COALESCE(status, 'unknown'), COUNT(*) FROM matches
+    WHERE urgency_match AND category_match AND assignee_match GROUP BY 2
+    UNION ALL
+    SELECT 'urgency', COALESCE(urgency_level, 'unknown'), COUNT(*) FROM matches
+    WHERE status_match AND category_match AND assignee_match GROUP BY 2
+    UNION ALL
+    SELECT 'category', COALESCE(issue_category, 'unknown'), COUNT(*) FROM matches
+    WHERE status_match AND urgency_match AND assignee_match GROUP BY 2
+    UNION ALL
+    SELECT 'assigned_to', COALESCE(assigned_to, 'none'), COUNT(*) FROM matches
+    WHERE status_match AND urgency_match AND category_match GROUP BY 2;
+$$ language 'sql' STABLE;
+`;
+
+// Columns the migration adds, checked to tell whether it is still needed
+const MIGRATED_COLUMNS = ['intake_id', 'attachments', 'support_chat_id', 'support_message_id',
+  'first_response_at', 'first_response_due_at', 'resolution_due_at', 'sla_alerts', 'assigned_at',
+  'search_vector'];
+
+/**
+ * The migrated columns this database doesn't have yet
+ */
+async function findMissingColumns() {
+  const missing = [];
+  for (const column of MIGRATED_COLUMNS) {
+    const { error } = await supabase.from('support_tickets').select(column).limit(1);
+    if (error && (error.code === '42703' || /column/i.test(error.message))) {
+      missing.push(column);
+    } else if (error) {
+      throw new Error(`Cannot check ${column}: ${error.message}`);
+    }
+  }
+  return missing;
+}
+
+async function runMigration() {
+  try {
+    console.log('🚀 Checking support_tickets for new columns...');
+
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
+      throw new Error('Missing Supabase environment variables');
+    }
+
+    const missing = await findMissingColumns();
+    if (missing.length === 0) {
+      console.log('✅ support_tickets is up to date');
+      return;
+    }
+
+    console.log('⚠️ Missing columns:', missing.join(', '));
+    console.log('📋 Run this SQL in your Supabase dashboard (safe to run more than once):');
+    console.log(SUPPORT_TICKETS_MIGRATION_SQL);
+
+  } catch (error) {
+    console.error('❌ Migration check failed:', error.message);
+  }
+}
+
+if (require.main === module) {
+  runMigration();
+}
+
+module.exports = { runMigration, SUPPORT_TICKETS_MIGRATION_SQL };
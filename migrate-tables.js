@@ -0,0 +1,221 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY,
+  {
+    db: { schema: 'support' },
+    auth: { persistSession: false }
+  }
+);
+
+// Tables (with their indexes and functions) added after supabase-schema.sql
+// was first run. Each step is checked by its table; every statement can be
+// run again safely. Steps with an `onlyWith` env flag are skipped unless it
+// is 'true'.
+const MIGRATION_STEPS = [
+  {
+    table: 'processed_events',
+    sql: `
+-- Processed Lark deliveries, shared by every instance to de-duplicate retries
+CREATE TABLE IF NOT EXISTS support.processed_events (
+  event_key VARCHAR(255) PRIMARY KEY,
+  status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_processed_events_expires_at ON support.processed_events(expires_at);
+`
+  },
+  {
+    table: 'job_queue',
+    sql: `
+-- Background job queue and the jobs that ran out of attempts
+CREATE TABLE IF NOT EXISTS support.job_queue (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  job_type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS support.job_dead_letters (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  job_id UUID,
+  job_type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  attempts INTEGER NOT NULL,
+  last_error TEXT,
+  failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_job_queue_status_run_at ON support.job_queue(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_job_dead_letters_failed_at ON support.job_dead_letters(failed_at);
+
+CREATE OR REPLACE FUNCTION support.claim_jobs(batch_size INTEGER, lock_timeout_seconds INTEGER DEFAULT 300)
+RETURNS SETOF support.job_queue AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE support.job_queue
+    SET status = 'running',
+        attempts = attempts + 1,
+        locked_at = NOW(),
+        updated_at = NOW()
+    WHERE id IN (
+        SELECT id FROM support.job_queue
+        WHERE (status = 'pending' AND run_at <= NOW())
+           OR (status = 'running' AND locked_at < NOW() - make_interval(secs => lock_timeout_seconds))
+        ORDER BY run_at
+        LIMIT batch_size
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+END;
+$$ language 'plpgsql';
+`
+  },
+  {
+    table: 'knowledge_chunks',
+    onlyWith: 'KNOWLEDGE_EMBEDDINGS',
+    sql: `
+-- Knowledge base chunks with embeddings for semantic retrieval (needs pgvector)
+CREATE EXTENSION IF NOT EXISTS vector;
+
+CREATE TABLE IF NOT EXISTS support.knowledge_chunks (
+  id VARCHAR(200) PRIMARY KEY,
+  title TEXT,
+  content TEXT NOT NULL,
+  content_hash VARCHAR(64) NOT NULL,
+  embedding VECTOR(1536),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Knowledge chunks closest to a question embedding (cosine distance)
+CREATE OR REPLACE FUNCTION support.match_knowledge_chunks(query_embedding VECTOR(1536), match_count INTEGER DEFAULT 5)
+RETURNS TABLE (id VARCHAR, title TEXT, content TEXT, similarity FLOAT) AS $$
+    SELECT knowledge_chunks.id, knowledge_chunks.title, knowledge_chunks.content,
+           1 - (knowledge_chunks.embedding <=> query_embedding) AS similarity
+    FROM support.knowledge_chunks
+    WHERE knowledge_chunks.embedding IS NOT NULL
+    ORDER BY knowledge_chunks.embedding <=> query_embedding
+    LIMIT match_count;
+$$ language 'sql' STABLE;
+`
+  },
+  {
+    table: 'bot_config_versions',
+    sql: `
+-- Versions of the bot configuration edited through /api/config
+CREATE TABLE IF NOT EXISTS support.bot_config_versions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  config_key VARCHAR(100) NOT NULL,
+  version INTEGER NOT NULL,
+  value JSONB NOT NULL,
+  updated_by VARCHAR(255),
+  comment TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (config_key, version)
+);
+
+CREATE OR REPLACE VIEW support.bot_config AS
+SELECT DISTINCT ON (config_key) *
+FROM support.bot_config_versions
+ORDER BY config_key, version DESC;
+`
+  },
+  {
+    table: 'ticket_intake_sessions',
+    sql: `
+-- Tickets users are part-way through creating
+CREATE TABLE IF NOT EXISTS support.ticket_intake_sessions (
+  intake_key VARCHAR(255) PRIMARY KEY,
+  state JSONB NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_ticket_intake_sessions_expires_at ON support.ticket_intake_sessions(expires_at);
+`
+  },
+  {
+    table: 'ticket_events',
+    sql: `
+-- History of every change to a ticket
+CREATE TABLE IF NOT EXISTS support.ticket_events (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  ticket_id UUID NOT NULL REFERENCES support.support_tickets(id) ON DELETE CASCADE,
+  ticket_number VARCHAR(20) NOT NULL,
+  event_type VARCHAR(50) NOT NULL,
+  actor_type VARCHAR(20) NOT NULL DEFAULT 'system',
+  actor_id VARCHAR(100),
+  actor_name VARCHAR(255),
+  details JSONB DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_ticket_events_ticket_id_created_at ON support.ticket_events(ticket_id, created_at);
+`
+  }
+];
+
+/**
+ * Whether a table is missing (PostgREST reports an unknown table as 42P01 or
+ * PGRST205)
+ */
+async function isTableMissing(table) {
+  const { error } = await supabase.from(table).select('*').limit(1);
+  if (!error) return false;
+  if (error.code === '42P01' || error.code === 'PGRST205' || /does not exist|could not find the table/i.test(error.message)) {
+    return true;
+  }
+  throw new Error(`Cannot check ${table}: ${error.message}`);
+}
+
+/**
+ * The migration steps this database still needs
+ */
+async function findMissingSteps() {
+  const missing = [];
+  for (const step of MIGRATION_STEPS) {
+    if (step.onlyWith && process.env[step.onlyWith] !== 'true') continue;
+    if (await isTableMissing(step.table)) {
+      missing.push(step);
+    }
+  }
+  return missing;
+}
+
+async function runMigration() {
+  try {
+    console.log('🚀 Checking for new tables...');
+
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
+      throw new Error('Missing Supabase environment variables');
+    }
+
+    const missing = await findMissingSteps();
+    if (missing.length === 0) {
+      console.log('✅ All tables are in place');
+      return;
+    }
+
+    console.log('⚠️ Missing tables:', missing.map(step => step.table).join(', '));
+    console.log('📋 Run this SQL in your Supabase dashboard (safe to run more than once):');
+    console.log(missing.map(step => step.sql).join(''));
+
+  } catch (error) {
+    console.error('❌ Migration check failed:', error.message);
+  }
+}
+
+if (require.main === module) {
+  runMigration();
+}
+
+module.exports = { runMigration, MIGRATION_STEPS };
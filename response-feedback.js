@@ -0,0 +1,62 @@
+/**
+ * Feedback buttons on bot answers
+ *
+ * Ratings are stored in message_logs.response_satisfaction (1-5). The thumbs
+ * style maps 👍 to 5 and 👎 to 1; FEEDBACK_STYLE=scale shows 1-5 buttons.
+ */
+
+const messageLogger = require('./message-logger');
+const { button } = require('./card-actions');
+
+const FEEDBACK_STYLE = process.env.FEEDBACK_STYLE === 'scale' ? 'scale' : 'thumbs';
+
+// Only real answers get rated, not ticket flow prompts or confirmations
+const RATEABLE_RESPONSE_TYPES = ['ai_generated', 'cached', 'knowledge_base'];
+
+// Ratings at or below this offer to open a ticket
+const NEGATIVE_RATING_MAX = 2;
+
+function isRateable(responseType) {
+  return RATEABLE_RESPONSE_TYPES.includes(responseType);
+}
+
+/**
+ * Card buttons that rate the logged bot response
+ */
+function buildFeedbackActions(logId) {
+  if (FEEDBACK_STYLE === 'scale') {
+    return [1, 2, 3, 4, 5].map(rating =>
+      button(`${rating} ⭐`, { action: 'rate_response', log_id: logId, rating })
+    );
+  }
+
+  return [
+    button('👍 Helpful', { action: 'rate_response', log_id: logId, rating: 5 }, 'primary'),
+    button('👎 Not helpful', { action: 'rate_response', log_id: logId, rating: 1 })
+  ];
+}
+
+function isNegativeRating(rating) {
+  return rating <= NEGATIVE_RATING_MAX;
+}
+
+/**
+ * Store a rating against a bot response log entry
+ */
+async function recordRating(logId, rating) {
+  const value = parseInt(rating, 10);
+
+  if (!logId || !Number.isInteger(value) || value < 1 || value > 5) {
+    console.log('⚠️ Ignoring invalid feedback rating:', { logId, rating });
+    return false;
+  }
+
+  return messageLogger.updateResponseSatisfaction(logId, value);
+}
+
+module.exports = {
+  isRateable,
+  buildFeedbackActions,
+  isNegativeRating,
+  recordRating
+};
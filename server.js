@@ -2,30 +2,52 @@ require('dotenv').config();
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
-const { Client } = require('@larksuiteoapi/node-sdk');
-const OpenAI = require('openai');
+const crypto = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
 const messageLogger = require('./message-logger');
 const analyticsAPI = require('./analytics-api');
+const larkSecurity = require('./lark-security');
+const { createDedupStore } = require('./event-dedup');
+const jobQueue = require('./job-queue');
+const jobsAPI = require('./jobs-api');
+const larkClient = require('./lark-client');
+const messageRenderer = require('./message-renderer');
+const cardActions = require('./card-actions');
+const responseFeedback = require('./response-feedback');
+const messageAttachments = require('./message-attachments');
+const knowledgeIndex = require('./knowledge-index');
+const streamingReply = require('./streaming-reply');
+const llm = require('./llm-providers');
+const escalationEngine = require('./escalation-engine');
+const configStore = require('./config-store');
+const configAPI = require('./config-api');
+const ticketIntake = require('./ticket-intake');
+const { createIntakeStore } = require('./ticket-intake-store');
+const ticketCommands = require('./ticket-commands');
+const ticketEvents = require('./ticket-events');
+const ticketNotifier = require('./ticket-notifier');
+const ticketRelay = require('./ticket-relay');
+const ticketSla = require('./ticket-sla');
+const ticketAssignment = require('./ticket-assignment');
+const ticketUpdates = require('./ticket-updates');
+const ticketSearch = require('./ticket-search');
+const { requireAdmin, requireCron } = require('./admin-auth');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const SLA_CHECK_INTERVAL_MS = parseInt(process.env.SLA_CHECK_INTERVAL_MS || String(5 * 60 * 1000), 10);
 
-// Store processed event IDs to prevent duplicates
-const processedEvents = new Set();
+// Shared de-duplication store for Lark deliveries (event_id + message_id)
+const eventDedup = createDedupStore();
+const intakeStore = createIntakeStore(); // Tickets users are part-way through creating
 
-// Store conversation context per chat
+// Store conversation context per thread (group chats) or per chat (DMs)
 const conversationContext = new Map();
 
 // Response cache for common questions
 const responseCache = new Map();
 const CACHE_EXPIRY = 24 * 60 * 60 * 1000; // 24 hours
 
-// Request queue management
-const requestQueue = [];
-const MAX_CONCURRENT_REQUESTS = 3;
-let activeRequests = 0;
-
 // Performance analytics
 const analytics = {
   totalRequests: 0,
@@ -36,122 +58,16 @@ const analytics = {
 };
 
 // Support ticket system
-const ticketCollectionState = new Map(); // Track users in ticket creation flow
-
-// Knowledge base auto-update system - FLEXIBLE APPROACH
-const SOLUTION_KEYWORDS = [
-  // Explicit solution indicators
-  'solution:', 'solution for', 'fix:', 'resolved:', 'answer:', 'steps to fix:', 'how to fix:',
-  'to resolve this:', 'the issue is:', 'you need to:', 'try this:',
-  'fixed by:', 'solution is:', 'resolve by:', 'fix this by:',
-  'here\'s the solution:', 'here is how to fix:', 'problem solved:'
-];
-
-// Relaxed detection - these indicate actionable solutions
-const SOLUTION_INDICATORS = [
-  'refresh', 'clear cache', 'restart', 'reload', 'try again', 'try', 'check',
-  'update', 'install', 'uninstall', 'contact', 'go to', 'click',
-  'navigate to', 'open', 'close', 'enable', 'disable', 'settings'
-];
-
-const KNOWLEDGE_UPDATE_INDICATORS = [
-  'for future reference', 'common issue', 'similar problem', 'faq',
-  'frequently asked', 'add to kb', 'add to knowledge base', 'update kb',
-  'document this', 'remember this solution', 'save this solution'
-];
+
+// Categories, FAQs, solution keywords and cacheable patterns are editable
+// through /api/config - see config-store.js and bot-config.json for defaults
 
 // Track support team messages for knowledge base updates
 const supportTicketReplies = new Map(); // ticket_number -> reply_data
 
-// Issue categories for classification
-const ISSUE_CATEGORIES = {
-  'candidate': 'candidate_management',
-  'resume': 'candidate_management',
-  'job': 'job_management',
-  'position': 'job_management', 
-  'client': 'client_management',
-  'company': 'client_management',
-  'pipeline': 'pipeline_management',
-  'deal': 'pipeline_management',
-  'login': 'authentication',
-  'password': 'authentication',
-  'access': 'authentication',
-  'upload': 'file_upload',
-  'file': 'file_upload',
-  'slow': 'system_performance',
-  'performance': 'system_performance',
-  'loading': 'system_performance',
-  'add': 'general',
-  'create': 'general',
-  'save': 'general',
-  'other': 'general'
-};
-
-// FAQ responses by category
-const FAQ_RESPONSES = {
-  candidate_management: `**Candidate Management FAQs:**
-
-• **Add Candidate**: Dashboard → Candidates → Add New → fill form → Save
-• **Upload Resume**: Drag & drop or click upload (AI parsing enabled)
-• **Link to Job**: Candidate profile → Applications tab → Add to job
-• **Update Status**: Use status dropdown in candidate profile
-
-**Common Issues:**
-• Resume not parsing? Check file format (PDF/DOC/DOCX) and size (<10MB)
-• Candidate not saving? Ensure required fields are filled
-• Can't find candidate? Use search bar or check filters`,
-
-  job_management: `**Job Management FAQs:**
-
-• **Create Job**: Dashboard → Jobs → Create Job → fill details → Save
-• **Edit Job**: Click job title → update fields → Save
-• **Add Candidates**: Job profile → Candidates section → Add Candidate
-• **Set Status**: Use status dropdown (Active/Closed/On Hold)
-
-**Common Issues:**
-• Job not saving? Check required fields are completed
-• Can't find job? Use search or check job status filters
-• Candidates not linking? Ensure both candidate and job exist`,
-
-  authentication: `**Login & Access FAQs:**
-
-• **Login Issues**: Clear browser cache → try different browser → contact admin
-• **Password Reset**: Use "Forgot Password" link or contact admin
-• **Access Denied**: Check with admin about user permissions
-• **Session Expired**: Log out completely and log back in
-
-**Common Issues:**
-• Browser compatibility: Use Chrome, Firefox, Safari, or Edge
-• Clear cookies and cache if login loops
-• Check internet connection stability`,
-
-  general: `**General PM-Next FAQs:**
-
-• **Navigation**: Use Dashboard menu → select module
-• **Search**: Global search bar finds candidates, jobs, clients
-• **Help**: Look for ? icons throughout the system
-• **Performance**: Close unused tabs, clear cache
-
-**Common Issues:**
-• Page loading slowly? Check internet speed and close other tabs
-• Feature not working? Try refreshing the page
-• Data not syncing? Check internet connection`
-};
-
-// Common question patterns for caching
-const CACHEABLE_PATTERNS = [
-  /how.*add.*candidate/i,
-  /how.*create.*job/i,
-  /how.*schedule.*interview/i,
-  /where.*find/i,
-  /what.*pm.?next/i,
-  /login.*problem/i,
-  /upload.*error/i
-];
-
 function getCacheKey(message) {
   const normalized = message.toLowerCase().trim();
-  for (const pattern of CACHEABLE_PATTERNS) {
+  for (const pattern of configStore.get('cacheable_patterns')) {
     if (pattern.test(normalized)) {
       return pattern.toString();
     }
@@ -182,54 +98,20 @@ function setCachedResponse(message, response) {
   }
 }
 
-async function processRequestQueue() {
-  if (activeRequests >= MAX_CONCURRENT_REQUESTS || requestQueue.length === 0) {
-    return;
-  }
-  
-  const { resolve, reject, fn } = requestQueue.shift();
-  activeRequests++;
-  
-  try {
-    const result = await fn();
-    resolve(result);
-  } catch (error) {
-    reject(error);
-  } finally {
-    activeRequests--;
-    // Process next request in queue
-    setTimeout(processRequestQueue, 100);
-  }
-}
-
-function queueRequest(fn) {
-  return new Promise((resolve, reject) => {
-    requestQueue.push({ resolve, reject, fn });
-    processRequestQueue();
-  });
-}
-
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
+app.use(bodyParser.json({ verify: larkSecurity.captureRawBody }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Analytics API routes
 app.use('/api/analytics', analyticsAPI);
 
-// Initialize Lark client
-const larkClient = new Client({
-  appId: process.env.LARK_APP_ID,
-  appSecret: process.env.LARK_APP_SECRET,
-  appType: 'self-built',
-  domain: 'larksuite', // Use 'larksuite' for global domain
-  loggerLevel: 'debug'
-});
+// Background job queue admin routes
+app.use('/jobs', jobsAPI);
+
+// Bot configuration admin routes (FAQs, categories, escalation rules)
+app.use('/api/config', configAPI);
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
 
 // Load PM-Next Application Knowledge Base from markdown file
 const fs = require('fs');
@@ -473,7 +355,19 @@ async function addToKnowledgeBase(qaPair) {
 app.post('/lark/events', async (req, res) => {
   try {
     console.log('📥 Received Lark event:', JSON.stringify(req.body, null, 2));
-    const { schema, header, event, challenge, type } = req.body;
+
+    // Verify token/signature and decrypt the payload before trusting anything in it
+    const verification = await larkSecurity.verifyLarkRequest({
+      headers: req.headers,
+      rawBody: req.rawBody,
+      body: req.body
+    });
+
+    if (!verification.valid) {
+      return res.status(verification.status).json({ error: verification.error });
+    }
+
+    const { schema, header, event, challenge, type } = verification.payload;
 
     // Handle URL verification (legacy format)
     if (type === 'url_verification') {
@@ -483,50 +377,303 @@ app.post('/lark/events', async (req, res) => {
       });
     }
 
+    // Card button clicks delivered through the event subscription
+    if (header && header.event_type === 'card.action.trigger') {
+      res.json(await cardActions.handleCardAction(verification.payload));
+      jobQueue.drainAfterResponse();
+      return;
+    }
+
     // Handle new format events
     if (header && header.event_type === 'im.message.receive_v1' && event) {
       console.log('📨 Message event received from header');
       console.log('📋 Event structure:', Object.keys(event));
       
-      // Check for duplicate events
-      const eventId = header.event_id;
-      if (processedEvents.has(eventId)) {
-        console.log('🔄 Duplicate event detected, skipping:', eventId);
+      // Claim the delivery before handling it so concurrent retries are skipped
+      const dedupKeys = await eventDedup.claim({
+        eventId: header.event_id,
+        messageId: event.message?.message_id
+      });
+      if (!dedupKeys) {
+        console.log('🔄 Duplicate event detected, skipping:', header.event_id);
         return res.json({ success: true });
       }
       
-      // Mark event as processed
-      processedEvents.add(eventId);
-      
-      // Clean up old event IDs (keep only last 1000 to prevent memory issues)
-      if (processedEvents.size > 1000) {
-        const eventsArray = Array.from(processedEvents);
-        processedEvents.clear();
-        eventsArray.slice(-500).forEach(id => processedEvents.add(id));
-      }
-      
       // Check if this is a message event by looking for the message property
       if (event.message) {
-        console.log('💬 Processing message event');
-        await handleMessage(event);
+        console.log('💬 Queueing message event for background processing');
+        try {
+          await jobQueue.enqueue('lark_message', { event });
+        } catch (error) {
+          // Let Lark's retry pick the event up again
+          await eventDedup.release(dedupKeys);
+          throw error;
+        }
       } else {
         console.log('⏭️ Not a message event, skipping');
       }
+      
+      await eventDedup.complete(dedupKeys);
     } else {
       console.log('⏭️ Unknown event type or structure');
-      console.log('📋 Available keys:', Object.keys(req.body));
+      console.log('📋 Available keys:', Object.keys(verification.payload));
       if (header) {
         console.log('📋 Header event type:', header.event_type);
       }
     }
 
+    // Acknowledge straight away, the reply is produced by the job queue
     res.json({ success: true });
+    
+    jobQueue.drainAfterResponse();
   } catch (error) {
     console.error('❌ Error handling Lark event:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Handle message card button clicks (card request URL)
+app.post('/lark/card-actions', async (req, res) => {
+  try {
+    const verification = await larkSecurity.verifyCardActionRequest({
+      headers: req.headers,
+      rawBody: req.rawBody,
+      body: req.body
+    });
+
+    if (!verification.valid) {
+      return res.status(verification.status).json({ error: verification.error });
+    }
+
+    const payload = verification.payload;
+    if (payload.type === 'url_verification') {
+      console.log('🔗 Card callback URL verification request');
+      return res.json({ challenge: payload.challenge });
+    }
+
+    res.json(await cardActions.handleCardAction(payload));
+    
+    jobQueue.drainAfterResponse();
+  } catch (error) {
+    console.error('❌ Error handling card action:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a bot message to a conversation's context so follow-ups ("yes") are understood
+function rememberAssistantMessage(conversationKey, content) {
+  if (!conversationKey) return;
+  if (!conversationContext.has(conversationKey)) {
+    conversationContext.set(conversationKey, []);
+  }
+  conversationContext.get(conversationKey).push({ role: 'assistant', content });
+}
+
+// Rating buttons on bot answers
+cardActions.registerCardAction('rate_response', async (action) => {
+  const rating = parseInt(action.value.rating, 10);
+  const botLog = await messageLogger.getMessageLog(action.value.log_id);
+  if (!botLog) {
+    return { toast: 'Could not save your feedback, please try again.', toastType: 'error' };
+  }
+
+  // In a group anyone can see the buttons, but the rating is the asker's
+  if (!isSameSender(botLog.message_metadata?.senderId, action.operator)) {
+    return { toast: 'Only the person who asked can rate this answer.', toastType: 'warning' };
+  }
+
+  const saved = await responseFeedback.recordRating(action.value.log_id, rating);
+
+  if (!saved) {
+    return { toast: 'Could not save your feedback, please try again.', toastType: 'error' };
+  }
+
+  if (responseFeedback.isNegativeRating(rating)) {
+    // Offer a ticket in the background so the callback returns quickly
+    await jobQueue.enqueue('feedback_followup', {
+      logId: action.value.log_id,
+      messageId: action.messageId
+    });
+    return { toast: 'Thanks for the feedback - sorry that didn\'t help.', toastType: 'info' };
+  }
+
+  return { toast: 'Thanks for the feedback!', toastType: 'success' };
+});
+
+// "Create support ticket" button offered after a thumbs-down
+cardActions.registerCardAction('create_ticket_from_feedback', async (action) => {
+  await jobQueue.enqueue('feedback_ticket', {
+    logId: action.value.log_id,
+    operator: action.operator,
+    messageId: action.messageId
+  });
+  return { toast: 'Starting a support ticket...', toastType: 'info' };
+});
+
+jobQueue.registerHandler('feedback_followup', async ({ logId, messageId }) => {
+  const botLog = await messageLogger.getMessageLog(logId);
+  if (!botLog) {
+    console.log('⚠️ Rated bot response not found, skipping ticket offer:', logId);
+    return;
+  }
+
+  const followUp = `Sorry that didn't help. Would you like me to create a support ticket so our support team can take a look?`;
+  rememberAssistantMessage(botLog.message_metadata?.conversationKey, followUp);
+
+  await sendMessage(botLog.chat_id, followUp, {
+    replyTo: messageId,
+    actions: [
+      cardActions.button('🎫 Create support ticket', { action: 'create_ticket_from_feedback', log_id: logId }, 'primary')
+    ]
+  });
+});
+
+jobQueue.registerHandler('feedback_ticket', async ({ logId, operator, messageId }) => {
+  const botLog = await messageLogger.getMessageLog(logId);
+  if (!botLog) {
+    console.log('⚠️ Rated bot response not found, cannot start ticket:', logId);
+    return;
+  }
+
+  const metadata = botLog.message_metadata || {};
+  const originalMessage = metadata.originalUserMessage || botLog.message_content;
+  const category = categorizeIssue(originalMessage);
+
+  // The person who clicked the button is the requester
+  const intake = {
+    key: getIntakeKey(botLog.chat_id, metadata.intakeThread, operator),
+    chatId: botLog.chat_id,
+    senderId: operator,
+    conversationKey: metadata.conversationKey
+  };
+  const prompt = await startTicketCreation(intake, originalMessage, category);
+  const { text, form = null } = typeof prompt === 'string' ? { text: prompt } : prompt;
+  rememberAssistantMessage(metadata.conversationKey, text);
+
+  await sendMessage(botLog.chat_id, text, { replyTo: messageId, form });
+});
+
+// "Create ticket" on the intake confirmation card, with the fields as edited
+cardActions.registerCardAction('confirm_ticket', async (action) => {
+  const ticketState = action.value.intake_key ? await intakeStore.get(action.value.intake_key) : null;
+
+  if (!ticketState || ticketState.id !== action.value.intake_id || ticketState.step !== 'confirming') {
+    return { toast: 'This ticket request is no longer active.', toastType: 'warning' };
+  }
+
+  // In a group anyone can see the card, but the ticket is the requester's
+  if (ticketState.senderId && !isSameSender(ticketState.senderId, action.operator)) {
+    return { toast: 'Only the person who started this ticket can submit it.', toastType: 'warning' };
+  }
+
+  ticketState.data = ticketIntake.applyFormValues(ticketState.data, action.formValue);
+  ticketState.step = 'submitting';
+  await intakeStore.set(ticketState.intakeKey, ticketState);
+
+  await jobQueue.enqueue('ticket_intake_submit', {
+    ticketState,
+    messageId: action.messageId
+  });
+
+  // Swap the form for a read-only summary so it cannot be submitted twice
+  return {
+    toast: 'Creating your ticket...',
+    toastType: 'info',
+    card: messageRenderer.renderCard(ticketIntake.formatSummary(ticketState.data, { submitted: true }))
+  };
+});
+
+// Tell the requester about changes to their ticket, from the job queue so
+// whoever made the change isn't kept waiting on Lark
+ticketEvents.subscribe(async (ticket, event) => {
+  await ticketSla.recordFirstResponse(ticket, event);
+  if (ticketNotifier.shouldNotify(event)) {
+    await jobQueue.enqueue('ticket_notification', { ticket, event });
+  }
+  if (ticketRelay.shouldRelayToSupport(event)) {
+    await jobQueue.enqueue('ticket_relay', { ticket, event });
+  }
+  if (ticketAssignment.shouldNotifyAgent(event)) {
+    await jobQueue.enqueue('agent_assignment', { ticket, event });
+  }
+});
+
+jobQueue.registerHandler('agent_assignment', async ({ ticket, event }) => {
+  await ticketAssignment.notifyAgent(ticket, event, sendMessage);
+});
+
+jobQueue.registerHandler('ticket_notification', async ({ ticket, event }) => {
+  const sent = await ticketNotifier.notifyRequester(ticket, event, sendMessage);
+  if (sent) {
+    // Logged with the Lark message ID so the requester can reply to it
+    await ticketRelay.logRelayedMessage(ticket, {
+      chatId: sent.chat_id || sent.recipient,
+      text: sent.text,
+      direction: 'to_requester',
+      sentMessage: sent,
+      event
+    });
+  } else if (event.event_type === 'agent_reply') {
+    await ticketRelay.reportUndelivered(ticket, sendMessage);
+  }
+});
+
+// The requester's replies and /comment go back to the ticket's support thread
+jobQueue.registerHandler('ticket_relay', async ({ ticket, event }) => {
+  await ticketRelay.relayToSupport(ticket, event, sendMessage);
+});
+
+// "Claim" on a new ticket's announcement in the support group
+cardActions.registerCardAction('claim_ticket', async (action) => {
+  let name = null;
+  try {
+    name = (await getLarkUserInfo(action.operator))?.name || null;
+  } catch (error) {
+    console.log('⚠️ Could not fetch user info for claim:', error.message);
+  }
+
+  const result = await ticketAssignment.claimTicket(action.value.ticket_number, action.operator, name);
+  if (!result.ok) {
+    return {
+      toast: result.message,
+      toastType: 'warning',
+      // Drop the button if the ticket has been taken in the meantime
+      card: result.ticket?.assigned_to ? messageRenderer.renderCard(buildSupportAnnouncement(result.ticket)) : undefined
+    };
+  }
+
+  return {
+    toast: result.message,
+    toastType: 'success',
+    card: messageRenderer.renderCard(buildSupportAnnouncement(result.ticket, name))
+  };
+});
+
+// Satisfaction rating on the "ticket resolved" message
+cardActions.registerCardAction('rate_ticket', async (action) => {
+  const rating = parseInt(action.value.rating, 10);
+  const result = await ticketNotifier.recordSatisfaction(action.value.ticket_number, rating, action.operator);
+
+  if (!result.ok) {
+    return { toast: result.message, toastType: 'warning' };
+  }
+
+  return {
+    toast: result.message,
+    toastType: 'success',
+    card: messageRenderer.renderCard(`✅ **Ticket ${action.value.ticket_number} resolved**
+
+You rated our support ${'⭐'.repeat(rating)} - thank you for the feedback!`)
+  };
+});
+
+jobQueue.registerHandler('ticket_intake_submit', async ({ ticketState, messageId }) => {
+  const reply = await submitTicket(ticketState);
+  rememberAssistantMessage(ticketState.conversationKey, reply);
+
+  await sendMessage(ticketState.chatId, reply, { replyTo: messageId, idempotencyKey: `ticket:${ticketState.id}` });
+});
+
 // Extract text from Lark rich content format
 function extractTextFromRichContent(content) {
   try {
@@ -553,10 +700,11 @@ function extractTextFromRichContent(content) {
 
 // Handle incoming messages
 async function handleMessage(event) {
+  let streamedReply = null;
   try {
     console.log('🔍 Handling message event:', JSON.stringify(event, null, 2));
     
-    const { chat_id, message_id, content, mentions } = event.message;
+    const { chat_id, message_id, message_type, content, mentions } = event.message;
     const { sender_type, sender_id } = event.sender;
 
     console.log('📋 Message details:');
@@ -578,6 +726,9 @@ async function handleMessage(event) {
       return; // Don't respond to own messages
     }
 
+    // Pick up FAQ/category/escalation changes made through /api/config
+    await configStore.refresh();
+
     // Check if the bot was mentioned or if it's a direct message
     
     const isMentioned = mentions && mentions.some(mention => 
@@ -592,16 +743,20 @@ async function handleMessage(event) {
     console.log('  - Is direct message:', isDirectMessage);
     console.log('  - Should respond:', isMentioned || isDirectMessage);
 
-    if (!isMentioned && !isDirectMessage) {
+    // Agents don't have to mention the bot when replying in a ticket's support thread
+    const supportThreadTicket = await ticketRelay.findSupportThreadTicket(event.message);
+
+    if (!isMentioned && !isDirectMessage && !supportThreadTicket) {
       console.log('⏭️  Skipping: Not mentioned and not a DM');
       return; // Don't respond if bot wasn't mentioned and it's not a DM
     }
 
     // Extract text content
     let userMessage = '';
+    let parsedContent = null;
     if (content) {
       // Content might be a JSON string, so parse it first
-      let parsedContent = content;
+      parsedContent = content;
       if (typeof content === 'string') {
         try {
           parsedContent = JSON.parse(content);
@@ -621,13 +776,20 @@ async function handleMessage(event) {
       }
     }
 
+    // Images, files, audio and video (including images embedded in rich text)
+    const attachmentRefs = messageAttachments.getAttachmentRefs(message_type, parsedContent);
+
     console.log('📝 Extracted user message:', userMessage);
     console.log('📏 Message length:', userMessage.length);
+    console.log('📎 Attachments:', attachmentRefs.length);
 
-    // Check if user is in ticket creation flow
-    const isInTicketFlow = ticketCollectionState.has(chat_id);
+    // Check if this sender is in ticket creation flow here (a paused draft gets normal answers)
+    const intakeThread = getIntakeThread(event.message);
+    const intakeKey = getIntakeKey(chat_id, intakeThread, sender_id);
+    const intakeSession = await intakeStore.get(intakeKey);
+    const isInTicketFlow = !!intakeSession && !intakeSession.paused;
     
-    if (!userMessage || (userMessage.length < 2 && !isInTicketFlow)) {
+    if (attachmentRefs.length === 0 && (!userMessage || (userMessage.length < 2 && !isInTicketFlow))) {
       console.log('⏭️  Skipping: Empty or too short message');
       return; // Don't respond to empty messages
     }
@@ -648,12 +810,24 @@ async function handleMessage(event) {
       console.log('⚠️ Could not fetch user info for logging:', error.message);
     }
 
+    // Messages to relay between a ticket's support thread and its requester
+    const relayTicket = supportThreadTicket || await ticketRelay.findRequesterReplyTicket(event.message, [
+      userInfo?.user_id, sender_id?.user_id, sender_id?.open_id, sender_id?.union_id
+    ]);
+
+    // Download and store attachments; screenshot text is passed on to the AI
+    const attachments = attachmentRefs.length > 0
+      ? await messageAttachments.processAttachments(message_id, chat_id, attachmentRefs)
+      : [];
+
     // Log the user message
     const userLogData = {
       chatId: chat_id,
       userId: sender_id?.user_id || sender_id?.open_id || sender_id?.union_id || null,
       userName: userName,
-      message: userMessage,
+      message: userMessage || messageAttachments.summarizeAttachments(attachments),
+      attachments: attachments,
+      ticketNumber: relayTicket?.ticket_number || null,
       userMetadata: {
         senderType: sender_type,
         chatType: event.message.chat_type,
@@ -662,13 +836,52 @@ async function handleMessage(event) {
       },
       messageMetadata: {
         originalContent: content,
+        messageType: message_type,
         mentions: mentions,
         isInTicketFlow: isInTicketFlow
       }
     };
     
-    const userMessageLog = await messageLogger.logUserMessage(userLogData);
-    console.log('📝 User message logged with ID:', userMessageLog?.id);
+    // Classifying and logging runs alongside answer generation; awaited before the bot response is logged
+    const userMessageLogPromise = messageLogger.logUserMessage(userLogData);
+
+    // Ticket commands (/mytickets, /ticket, /close, /reopen, /comment) act on the sender's own tickets
+    const ticketCommand = ticketCommands.parseCommand(userMessage);
+    if (ticketCommand) {
+      console.log('🎫 Ticket command:', ticketCommand.name, ticketCommand.ticketNumber || '');
+      const commandStartTime = Date.now();
+      const reply = await ticketCommands.runCommand(ticketCommand, {
+        userIds: [userInfo?.user_id, sender_id?.user_id, sender_id?.open_id, sender_id?.union_id],
+        name: userInfo?.name || null
+      });
+
+      const userMessageLog = await userMessageLogPromise;
+      await messageLogger.logBotResponse({
+        chatId: chat_id,
+        message: reply,
+        responseType: 'template',
+        processingTimeMs: Date.now() - commandStartTime,
+        ticketNumber: ticketCommand.ticketNumber || null,
+        messageMetadata: {
+          userMessageId: userMessageLog?.id,
+          originalUserMessage: userMessage,
+          ticketCommand: ticketCommand.name
+        }
+      });
+
+      await sendMessage(chat_id, reply, { replyTo: message_id, idempotencyKey: `reply:${message_id}` });
+      return;
+    }
+
+    if (relayTicket) {
+      await userMessageLogPromise;
+      await handleRelayedMessage(relayTicket, supportThreadTicket ? 'to_requester' : 'to_support', {
+        message: userMessage || messageAttachments.summarizeAttachments(attachments),
+        event,
+        userName
+      });
+      return;
+    }
 
     // Check if this is a support solution for knowledge base update
     console.log('🔍 Checking if message is a support solution...');
@@ -679,14 +892,30 @@ async function handleMessage(event) {
       console.log('🤖 Generating AI response...');
       // Generate AI response with context, passing sender information
       const responseStartTime = Date.now();
-      const aiResponseData = await generateAIResponse(userMessage, chat_id, sender_id);
+      const conversationKey = getConversationKey(event.message);
+      const aiInput = attachments.length > 0
+        ? [userMessage, messageAttachments.describeAttachments(attachments)].filter(Boolean).join('\n\n')
+        : userMessage;
+
+      // Show a placeholder straight away and stream the answer into it
+      if (streamingReply.isStreamingEnabled()) {
+        streamedReply = await streamingReply.startStreamingReply(chat_id, {
+          replyTo: message_id,
+          replyInThread: REPLY_IN_THREAD
+        });
+      }
+
+      const aiResponseData = await generateAIResponse(aiInput, chat_id, sender_id, conversationKey, {
+        intakeKey,
+        onPartial: streamedReply ? text => streamedReply.update(text) : null
+      });
       const totalProcessingTime = Date.now() - responseStartTime;
       
       // Handle response data (could be string or object with metadata)
-      let aiResponse, responseMetadata;
+      let aiResponse, responseMetadata, form = null;
       if (typeof aiResponseData === 'object' && aiResponseData.response) {
         aiResponse = aiResponseData.response;
-        responseMetadata = aiResponseData;
+        ({ form = null, ...responseMetadata } = aiResponseData);
       } else {
         aiResponse = aiResponseData;
         responseMetadata = {
@@ -696,13 +925,11 @@ async function handleMessage(event) {
       }
       
       console.log('✅ AI response generated:', aiResponse);
-
-      console.log('📤 Sending response to Lark...');
-      // Send response back to Lark
-      await sendMessage(chat_id, aiResponse);
-      console.log('🎉 Message sent successfully!');
       
-      // Log the bot response with detailed metadata
+      const userMessageLog = await userMessageLogPromise;
+      console.log('📝 User message logged with ID:', userMessageLog?.id);
+      
+      // Log the bot response first so the feedback buttons can reference it
       const botLogData = {
         chatId: chat_id,
         message: aiResponse,
@@ -714,111 +941,126 @@ async function handleMessage(event) {
         messageMetadata: {
           userMessageId: userMessageLog?.id,
           originalUserMessage: userMessage,
+          conversationKey: conversationKey,
+          intakeThread: intakeThread,
+          senderId: sender_id,
+          knowledgeChunkIds: responseMetadata.knowledgeChunkIds || [],
+          llmProvider: responseMetadata.llmProvider || null,
+          llmModel: responseMetadata.llmModel || null,
+          escalation: responseMetadata.escalation || null,
           responseMetadata: responseMetadata
         }
       };
       
       const botMessageLog = await messageLogger.logBotResponse(botLogData);
       console.log('🤖 Bot response logged with ID:', botMessageLog?.id);
+
+      const actions = botMessageLog && responseFeedback.isRateable(botLogData.responseType)
+        ? responseFeedback.buildFeedbackActions(botMessageLog.id)
+        : [];
+
+      console.log('📤 Sending response to Lark...');
+      const delivered = streamedReply && await streamedReply.finish(aiResponse, { actions, form });
+      if (!delivered) {
+        // Reply to the user's message so the answer stays attached to the question
+        await sendMessage(chat_id, aiResponse, { replyTo: message_id, actions, form, idempotencyKey: `reply:${message_id}` });
+      }
+      console.log('🎉 Message sent successfully!');
     } else {
+      await userMessageLogPromise;
       console.log('📚 Support solution processed, knowledge base updated!');
       console.log('🚫 Skipping AI response generation since solution was processed');
     }
     
   } catch (error) {
     console.error('❌ Error handling message:', error);
+    if (streamedReply) {
+      await streamedReply.discard(); // The retry posts a fresh placeholder
+    }
+    throw error; // Let the job queue retry it
   }
 }
 
-// Generate AI response using OpenAI
-async function generateAIResponse(userMessage, chatId, senderId = null) {
+jobQueue.registerHandler('lark_message', ({ event }) => handleMessage(event));
+
+// Replies while a ticket draft is paused (see handleTicketCreationFlow)
+const INTAKE_PAUSED_MESSAGE = 'No problem - your ticket draft is saved. Say **continue** when you\'re ready, or **cancel** to discard it.';
+const INTAKE_DRAFT_NOTE = '_Your ticket draft is saved - say **continue ticket** to pick it up or **cancel** to discard it._';
+
+// Wrap a ticket flow prompt with metadata so it is logged (and rated) as a template, not an answer.
+// Intake replies are a string or { text, form } when they carry the editable confirmation fields.
+function ticketFlowResponse(reply, responseType, startTime, escalation = null) {
+  const { text, form = null } = typeof reply === 'string' ? { text: reply } : reply;
+  return {
+    response: text,
+    responseType,
+    processingTimeMs: Date.now() - startTime,
+    escalatedToHuman: responseType === 'escalation',
+    escalation,
+    form
+  };
+}
+
+// Generate AI response through the LLM provider chain
+// Pass options.onPartial(textSoFar) to stream the answer as it is generated, and
+// options.intakeKey (see getIntakeKey) to keep ticket intake per thread
+async function generateAIResponse(userMessage, chatId, senderId = null, conversationKey = chatId, options = {}) {
   const startTime = Date.now();
   
   try {
     // Ensure knowledge base is initialized for serverless environments
     await ensureKnowledgeBaseInitialized();
     
-    console.log('🧠 Calling OpenAI with message:', userMessage);
+    console.log('🧠 Generating answer for message:', userMessage);
     
-    // Get or create conversation context
-    if (!conversationContext.has(chatId)) {
-      conversationContext.set(chatId, []);
+    // Get or create conversation context (per thread in group chats)
+    if (!conversationContext.has(conversationKey)) {
+      conversationContext.set(conversationKey, []);
     }
     
-    const context = conversationContext.get(chatId);
+    const context = conversationContext.get(conversationKey);
     console.log('📚 Current context length:', context.length);
     
-    // Check if user is in ticket creation flow
-    const ticketState = ticketCollectionState.get(chatId);
+    // Check if this user is in ticket creation flow - other members of a
+    // group chat are answered normally while someone fills in a ticket
+    const intake = {
+      key: options.intakeKey || getIntakeKey(chatId, null, senderId),
+      chatId,
+      senderId,
+      conversationKey
+    };
+    const ticketState = await intakeStore.get(intake.key);
     if (ticketState) {
-      return await handleTicketCreationFlow(chatId, userMessage, ticketState, senderId);
+      const intakeReply = await handleTicketCreationFlow(ticketState, userMessage);
+      if (intakeReply) {
+        return ticketFlowResponse(intakeReply, 'template', startTime);
+      }
+      console.log('⏸️ Ticket draft paused, answering the message normally');
     }
+    // Remind the user their paused draft is still there
+    const withDraftNote = text => (ticketState && ticketState.paused ? `${text}\n\n${INTAKE_DRAFT_NOTE}` : text);
     
     // Check if user is confirming they want to create a ticket
     const isConfirmingTicket = checkTicketConfirmation(context, userMessage);
     if (isConfirmingTicket) {
       console.log('✅ User confirming ticket creation, starting flow...');
       const category = categorizeIssue(userMessage, context);
-      return await startTicketCreation(chatId, userMessage, category, senderId);
+      return ticketFlowResponse(await startTicketCreation(intake, userMessage, category), 'escalation', startTime);
     }
     
-    // Check for escalation triggers
-    console.log('🎯 Checking escalation triggers for message:', userMessage);
-    const shouldEscalate = shouldEscalateToTicket(context, userMessage);
+    // Score the message for escalation signals
+    const escalation = escalationEngine.evaluateEscalation(userMessage, context);
     const category = categorizeIssue(userMessage);
-    console.log('📊 Escalation result:', shouldEscalate, 'Category:', category);
+    const escalationSummary = { score: escalation.score, direct: escalation.direct, reasons: escalation.reasons };
+    console.log('📊 Escalation score:', escalation.score, 'Category:', category, 'Reasons:', JSON.stringify(escalation.reasons));
     
-    if (shouldEscalate) {
+    if (escalation.escalate) {
       console.log('🚨 Escalation triggered for category:', category);
       
-      // Check for direct escalation phrases that should skip FAQs
-      const directEscalationPhrases = [
-        // Existing direct escalation phrases
-        /still.*(not|doesn't|don't).*(work|working)/i,
-        /escalate.*to.*(support|team|human)/i,
-        /can.*i.*escalate/i,
-        /create.*ticket/i,
-        /not.*working/i,
-        
-        // Additional direct escalation phrases
-        /need.*human.*help/i,
-        /speak.*to.*(someone|person|human)/i,
-        /talk.*to.*(support|agent|human)/i,
-        /contact.*support/i,
-        /urgent.*help/i,
-        /emergency/i,
-        /critical.*issue/i,
-        /this.*is.*broken/i,
-        /completely.*broken/i,
-        /nothing.*works/i,
-        /tried.*everything/i,
-        /exhausted.*options/i,
-        /desperate.*help/i,
-        /last.*resort/i,
-        /immediately.*need/i,
-        /right.*now/i,
-        /asap/i,
-        /blocking.*work/i,
-        /cant.*continue/i,
-        /can't.*continue/i,
-        /cannot.*continue/i,
-        /lost.*data/i,
-        /system.*error/i,
-        /server.*error/i,
-        /crashed/i,
-        /frozen/i,
-        /timeout/i,
-        /failed.*multiple.*times/i,
-        /keep.*failing/i,
-        /repeatedly.*failing/i
-      ];
-      
-      const isDirectEscalation = directEscalationPhrases.some(phrase => phrase.test(userMessage));
-      
-      if (isDirectEscalation) {
+      if (escalation.direct) {
         // Direct escalation - go straight to ticket creation
         console.log('🎫 Direct escalation detected, starting ticket creation');
-        return await startTicketCreation(chatId, userMessage, category, senderId);
+        return ticketFlowResponse(await startTicketCreation(intake, userMessage, category), 'escalation', startTime, escalationSummary);
       }
       
       // Check if we've already shown FAQs for this category
@@ -827,11 +1069,12 @@ async function generateAIResponse(userMessage, chatId, senderId = null) {
         msg.content.toLowerCase().includes(category.replace('_', ' ').toLowerCase())
       );
       
-      if (!hasShownFAQs && FAQ_RESPONSES[category]) {
+      const faqResponses = configStore.get('faq_responses');
+      if (!hasShownFAQs && faqResponses[category]) {
         // First escalation - show relevant FAQs
         const faqResponse = `I understand you're having trouble. Let me share some relevant FAQs that might help:
 
-${FAQ_RESPONSES[category]}
+${faqResponses[category]}
 
 If these don't resolve your issue, I can create a support ticket for you to get personalized help. Just let me know!`;
         
@@ -844,15 +1087,16 @@ If these don't resolve your issue, I can create a support ticket for you to get
         
         // Return response with metadata for logging
         return {
-          response: faqResponse,
+          response: withDraftNote(faqResponse),
           responseType: 'knowledge_base',
           knowledgeBaseHit: true,
           processingTimeMs: responseTime,
-          escalatedToHuman: false
+          escalatedToHuman: false,
+          escalation: escalationSummary
         };
       } else {
         // Second escalation or no specific FAQs - start ticket creation
-        return await startTicketCreation(chatId, userMessage, category, senderId);
+        return ticketFlowResponse(await startTicketCreation(intake, userMessage, category), 'escalation', startTime, escalationSummary);
       }
     }
     
@@ -864,7 +1108,7 @@ If these don't resolve your issue, I can create a support ticket for you to get
       
       // Return response with metadata for logging
       return {
-        response: cachedResponse,
+        response: withDraftNote(cachedResponse),
         responseType: 'cached',
         cacheHit: true,
         processingTimeMs: responseTime
@@ -872,9 +1116,14 @@ If these don't resolve your issue, I can create a support ticket for you to get
     }
     
     // Continue with normal AI response...
-    const models = ['gpt-4', 'gpt-4-turbo', 'gpt-3.5-turbo'];
-    const selectedModel = process.env.OPENAI_MODEL || models[0];
-    console.log('🔧 Using OpenAI model:', selectedModel);
+    console.log('🔧 Answer model chain:', llm.getModelChain('answer').map(({ provider, model }) => `${provider}:${model}`).join(' → '));
+    
+    // Only send the knowledge base sections relevant to this question
+    // (the previous user turn helps with follow-ups like "it still fails")
+    const previousUserTurn = [...context].reverse().find(msg => msg.role === 'user');
+    const retrievalQuery = previousUserTurn ? `${previousUserTurn.content}\n${userMessage}` : userMessage;
+    const knowledgeChunks = await knowledgeIndex.retrieve(PM_NEXT_KNOWLEDGE, retrievalQuery);
+    console.log('🗂️ Knowledge chunks retrieved:', knowledgeChunks.map(chunk => chunk.id));
     
     // Build messages array with context
     const messages = [
@@ -886,10 +1135,10 @@ If these don't resolve your issue, I can create a support ticket for you to get
         IMPORTANT: 
         - Always respond to user messages. Never leave a user without a response.
         - Pay attention to conversation context - don't ask for details the user already provided.
-        - If user says "still not working" or similar, the system will automatically escalate.
+        - If user says "still not working" or asks for a person, the system will automatically escalate.
         
-        Use this knowledge base about PM-Next:
-        ${PM_NEXT_KNOWLEDGE}
+        Use these knowledge base excerpts about PM-Next (the sections most relevant to the question):
+        ${knowledgeIndex.formatChunks(knowledgeChunks)}
         
         ENHANCED RESPONSE GUIDELINES:
           
@@ -955,15 +1204,14 @@ If these don't resolve your issue, I can create a support ticket for you to get
       content: userMessage
     });
     
-    const completion = await openai.chat.completions.create({
-      model: selectedModel,
+    const streaming = typeof options.onPartial === 'function';
+    const completion = await llm.complete('answer', {
       messages: messages,
-      max_tokens: 800,
+      maxTokens: 800,
       temperature: 0.7,
-      stream: false
+      onPartial: options.onPartial
     });
-
-    const response = completion.choices[0].message.content;
+    const response = completion.content;
     
     // Cache the response for common questions
     setCachedResponse(userMessage, response);
@@ -980,8 +1228,20 @@ If these don't resolve your issue, I can create a support ticket for you to get
     const responseTime = Date.now() - startTime;
     trackRequest(userMessage, responseTime, false);
     
-    console.log('🎯 OpenAI response received successfully');
-    return response;
+    console.log('🎯 AI response received successfully');
+    return {
+      response: withDraftNote(response),
+      responseType: 'ai_generated',
+      knowledgeBaseHit: knowledgeChunks.length > 0,
+      knowledgeChunkIds: knowledgeChunks.map(chunk => chunk.id),
+      processingTimeMs: responseTime,
+      llmProvider: completion.provider,
+      llmModel: completion.model,
+      llmAttempts: completion.attempts,
+      streamed: streaming,
+      timeToFirstTokenMs: completion.timeToFirstTokenMs,
+      escalation: escalationSummary
+    };
   } catch (error) {
     analytics.errorCount++;
     console.error('❌ Error generating AI response:', error);
@@ -1024,64 +1284,31 @@ async function getLarkUserInfo(userId) {
     }
     
     console.log('👤 Using user ID for API call:', actualUserId);
-    
-    // Get access token first
-    console.log('🔑 Getting access token...');
-    const tokenResponse = await fetch('https://open.larksuite.com/open-apis/auth/v3/tenant_access_token/internal', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        app_id: process.env.LARK_APP_ID,
-        app_secret: process.env.LARK_APP_SECRET
-      })
-    });
-
-    const tokenData = await tokenResponse.json();
-    console.log('🔑 Token response:', tokenData);
-    
-    if (tokenData.code !== 0) {
-      console.error('❌ Failed to get access token:', tokenData.msg);
-      return null;
-    }
 
-    const accessToken = tokenData.tenant_access_token;
-    console.log('✅ Access token obtained');
-
-    // Determine the correct endpoint based on user ID format
-    let endpoint;
+    // Determine the correct ID type based on user ID format
     let userIdType;
     
     if (actualUserId.startsWith('ou_')) {
       // This is an open_id
-      endpoint = `https://open.larksuite.com/open-apis/contact/v3/users/${actualUserId}?user_id_type=open_id`;
       userIdType = 'open_id';
     } else if (actualUserId.match(/^[a-f0-9]{8}$/)) {
       // This looks like a user_id (8 hex characters)
-      endpoint = `https://open.larksuite.com/open-apis/contact/v3/users/${actualUserId}?user_id_type=user_id`;
       userIdType = 'user_id';
     } else {
       // Default to treating as open_id
-      endpoint = `https://open.larksuite.com/open-apis/contact/v3/users/${actualUserId}?user_id_type=open_id`;
       userIdType = 'open_id';
     }
     
+    const endpoint = `/open-apis/contact/v3/users/${actualUserId}`;
     console.log('🎯 Using endpoint:', endpoint);
     console.log('🎯 User ID type determined:', userIdType);
 
     try {
       console.log('🔍 Calling Lark API:', endpoint);
       
-      const userResponse = await fetch(endpoint, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
+      const userData = await larkClient.request('GET', endpoint, {
+        query: { user_id_type: userIdType }
       });
-
-      const userData = await userResponse.json();
       console.log('📊 User API response:', userData);
       
       if (userData.code === 0 && userData.data?.user) {
@@ -1122,91 +1349,159 @@ async function getLarkUserInfo(userId) {
   }
 }
 
-// Send message to Lark using direct API call
-async function sendMessage(chatId, message) {
-  try {
-    console.log('📨 Sending message to chat:', chatId);
-    console.log('📝 Message content:', message);
-    
-    // First, get the access token
-    const tokenResponse = await fetch('https://open.larksuite.com/open-apis/auth/v3/tenant_access_token/internal', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        app_id: process.env.LARK_APP_ID,
-        app_secret: process.env.LARK_APP_SECRET
-      })
-    });
+// Reply in a thread (reply_in_thread) instead of quoting the question in the chat
+const REPLY_IN_THREAD = process.env.LARK_REPLY_IN_THREAD === 'true';
 
-    const tokenData = await tokenResponse.json();
-    
-    if (tokenData.code !== 0) {
-      throw new Error(`Failed to get access token: ${tokenData.msg}`);
-    }
+/**
+ * Conversation key for a message: group chats are keyed per thread (root_id,
+ * or the message itself when it starts one) so parallel questions don't share
+ * context; direct messages keep one context per chat.
+ */
+function getConversationKey(message) {
+  if (message.chat_type === 'p2p') {
+    return message.chat_id;
+  }
+  return `${message.chat_id}:${message.root_id || message.message_id}`;
+}
+
+/**
+ * Thread a ticket intake belongs to: the thread the message is in, or the one
+ * the bot's reply will start when replies go in threads. Null for direct
+ * messages and plain group replies.
+ */
+function getIntakeThread(message) {
+  if (message.chat_type === 'p2p') {
+    return null;
+  }
+  return message.root_id || (REPLY_IN_THREAD ? message.message_id : null);
+}
+
+// Stable ID for a Lark sender or card operator ({ open_id, user_id, union_id })
+function getSenderKey(senderId) {
+  if (!senderId) return null;
+  if (typeof senderId === 'string') return senderId;
+  return senderId.open_id || senderId.user_id || senderId.union_id || senderId.id || null;
+}
+
+function isSameSender(a, b) {
+  if (!a || !b) return false;
+  if (typeof a === 'string' || typeof b === 'string') return getSenderKey(a) === getSenderKey(b);
+  return ['open_id', 'user_id', 'union_id'].some(idType => a[idType] && a[idType] === b[idType]);
+}
+
+/**
+ * Ticket intake key: one intake per person per chat (and thread), so in a
+ * group one member's ticket doesn't swallow another member's messages
+ */
+function getIntakeKey(chatId, threadId, senderId) {
+  return [chatId, threadId, getSenderKey(senderId)].filter(Boolean).join(':');
+}
+
+// Post a rendered message (msg_type + content) to a chat, or as a reply to a message.
+// Lark drops a second message with the same uuid (within an hour), so a retry
+// passing the same options.idempotencyKey doesn't post twice.
+async function postMessage(chatId, rendered, options = {}) {
+  const uuid = options.idempotencyKey
+    ? `msg_${crypto.createHash('sha256').update(options.idempotencyKey).digest('hex').substring(0, 40)}`
+    : `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  let messageData;
+
+  if (options.replyTo) {
+    const replyPayload = {
+      msg_type: rendered.msg_type,
+      content: rendered.content,
+      reply_in_thread: !!options.replyInThread,
+      uuid
+    };
 
-    const accessToken = tokenData.tenant_access_token;
-    console.log('🔑 Got access token successfully');
+    console.log('📦 Reply payload for message', options.replyTo, JSON.stringify(replyPayload, null, 2));
 
-    // Send the message
+    messageData = await larkClient.request('POST', `/open-apis/im/v1/messages/${options.replyTo}/reply`, {
+      body: replyPayload
+    });
+  } else {
     // Detect the ID type based on the chat ID format
-    let idType = 'chat_id';
-    if (chatId.startsWith('ou_')) {
-      idType = 'user_id';
-    } else if (chatId.startsWith('oc_')) {
-      idType = 'chat_id';
-    } else if (chatId.startsWith('og_')) {
-      idType = 'chat_id';
-    }
+    const idType = larkClient.getReceiveIdType(chatId);
 
     const messagePayload = {
-      receive_id_type: idType,
       receive_id: chatId,
-      msg_type: 'text',
-      content: JSON.stringify({
-        text: message
-      }),
-      uuid: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+      msg_type: rendered.msg_type,
+      content: rendered.content,
+      uuid
     };
 
     console.log('📦 Message payload:', JSON.stringify(messagePayload, null, 2));
 
-    const messageResponse = await fetch(`https://open.larksuite.com/open-apis/im/v1/messages?receive_id_type=${idType}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${accessToken}`
-      },
-      body: JSON.stringify({
-        receive_id: chatId,
-        msg_type: 'text',
-        content: JSON.stringify({
-          text: message
-        }),
-        uuid: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-      })
+    messageData = await larkClient.request('POST', '/open-apis/im/v1/messages', {
+      query: { receive_id_type: idType },
+      body: messagePayload
     });
+  }
+  
+  console.log('📊 Lark API response data:', JSON.stringify(messageData, null, 2));
+  
+  if (messageData.code !== 0) {
+    console.error('🚨 Lark API Error Details:', {
+      code: messageData.code,
+      msg: messageData.msg,
+      data: messageData.data,
+      error: messageData.error
+    });
+    throw new Error(`Failed to send message: ${messageData.msg || 'Unknown error'}`);
+  }
 
-    const messageData = await messageResponse.json();
-    
-    console.log('📊 Lark API response status:', messageResponse.status);
-    console.log('📊 Lark API response data:', JSON.stringify(messageData, null, 2));
-    
-    if (messageData.code !== 0) {
-      console.error('🚨 Lark API Error Details:', {
-        code: messageData.code,
-        msg: messageData.msg,
-        data: messageData.data,
-        error: messageData.error
-      });
-      throw new Error(`Failed to send message: ${messageData.msg || 'Unknown error'}`);
+  return messageData.data;
+}
+
+/**
+ * Send message to Lark, rendered as a card/rich text with plain text as fallback.
+ * Pass options.replyTo (a message_id) to answer that message instead of posting
+ * a new one into the chat, and options.idempotencyKey (e.g. the message being
+ * answered) when a retried job must not send the message again. A send with an
+ * idempotencyKey is safe to retry, so its failure is thrown for the job queue
+ * to retry; other failures are logged and return null.
+ */
+async function sendMessage(chatId, message, options = {}) {
+  try {
+    console.log('📨 Sending message to chat:', chatId);
+    console.log('📝 Message content:', message);
+
+    const format = options.format || messageRenderer.getDefaultFormat();
+    const replyTo = options.replyTo || null;
+    const replyInThread = options.replyInThread !== undefined ? options.replyInThread : REPLY_IN_THREAD;
+
+    // Try the rich format first, then plain text, then a plain post if the reply target is gone
+    const attempts = [];
+    if (format !== 'text') attempts.push({ format, replyTo });
+    attempts.push({ format: 'text', replyTo });
+    if (replyTo) attempts.push({ format: 'text', replyTo: null });
+
+    let lastError;
+    for (const [index, attempt] of attempts.entries()) {
+      try {
+        const sent = await postMessage(
+          chatId,
+          messageRenderer.renderMessage(message, attempt.format, options),
+          {
+            replyTo: attempt.replyTo,
+            replyInThread,
+            idempotencyKey: options.idempotencyKey ? `${options.idempotencyKey}:${index}` : null
+          }
+        );
+        console.log(`✅ Message sent successfully as ${attempt.format}${attempt.replyTo ? ' reply' : ''}`);
+        return sent;
+      } catch (attemptError) {
+        lastError = attemptError;
+        console.log(`⚠️ Sending as ${attempt.format}${attempt.replyTo ? ' reply' : ''} failed:`, attemptError.message);
+      }
     }
 
-    console.log('✅ Message sent successfully:', messageData);
+    throw lastError;
   } catch (error) {
     console.error('❌ Error sending message to Lark:', error);
     console.error('📋 Error details:', error.message);
+    if (options.idempotencyKey) throw error;
+    return null;
   }
 }
 
@@ -1361,8 +1656,7 @@ app.get('/analytics', (req, res) => {
     errorCount: analytics.errorCount,
     errorRate: analytics.totalRequests > 0 ? 
       (analytics.errorCount / analytics.totalRequests * 100).toFixed(1) + '%' : '0%',
-    activeRequests: activeRequests,
-    queueLength: requestQueue.length,
+    activeJobs: jobQueue.getActiveJobCount(),
     cacheSize: responseCache.size,
     conversationsActive: conversationContext.size,
     topQuestions: topQuestions,
@@ -1371,39 +1665,70 @@ app.get('/analytics', (req, res) => {
   });
 });
 
-// Support tickets endpoints
-app.get('/tickets', async (req, res) => {
+// Support tickets endpoints (search, filters, facets and cursor pagination: see ticket-search.js)
+app.get('/tickets', requireAdmin, async (req, res) => {
   try {
-    const { status = 'open', limit = 50 } = req.query;
+    // Categories are checked against the current config
+    await configStore.refresh();
+    const search = ticketSearch.parseSearchQuery(req.query);
+    const result = await ticketSearch.searchTickets(search);
     
-    let query = supabase
-      .schema('support')
-      .from('support_tickets')
-      .select('*')
-      .order('created_at', { ascending: false })
-      .limit(parseInt(limit));
-    
-    if (status !== 'all') {
-      query = query.eq('status', status);
+    res.json({
+      tickets: result.tickets,
+      count: result.tickets.length,
+      total: result.total,
+      next_cursor: result.next_cursor,
+      facets: result.facets,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
     }
-    
-    const { data, error } = await query;
-    
-    if (error) {
-      return res.status(500).json({ error: error.message });
+    console.error('❌ Error searching tickets:', error);
+    res.status(500).json({ error: 'Failed to fetch tickets' });
+  }
+});
+
+// SLA compliance per agent and per category (?from=&to=, ISO dates; last 30 days by default)
+app.get('/tickets/sla', requireAdmin, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'from and to must be ISO dates' });
     }
     
+    const report = await ticketSla.buildReport({ from, to: to || new Date() });
     res.json({
-      tickets: data,
-      count: data.length,
+      ...report,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch tickets' });
+    console.error('❌ Error building SLA report:', error);
+    res.status(500).json({ error: 'Failed to build SLA report' });
   }
 });
 
-app.get('/tickets/:ticketNumber', async (req, res) => {
+// Warn about tickets close to their SLA and escalate breaches (point a cron job here)
+async function runSlaCheck(req, res) {
+  try {
+    const result = await ticketSla.checkTickets(sendMessage);
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+    jobQueue.drainAfterResponse();
+  } catch (error) {
+    console.error('❌ Error checking ticket SLAs:', error);
+    res.status(500).json({ error: 'Failed to check ticket SLAs' });
+  }
+}
+
+app.get('/tickets/sla/check', requireCron, runSlaCheck);
+app.post('/tickets/sla/check', requireCron, runSlaCheck);
+
+app.get('/tickets/:ticketNumber', requireAdmin, async (req, res) => {
   try {
     const { ticketNumber } = req.params;
     
@@ -1424,30 +1749,52 @@ app.get('/tickets/:ticketNumber', async (req, res) => {
   }
 });
 
-app.patch('/tickets/:ticketNumber', async (req, res) => {
+// Full history of a ticket: its events and the messages logged against it
+app.get('/tickets/:ticketNumber/timeline', requireAdmin, async (req, res) => {
   try {
-    const { ticketNumber } = req.params;
-    const updates = req.body;
-    
-    // Add resolved timestamp if status is being set to resolved
-    if (updates.status === 'resolved' && !updates.resolved_at) {
-      updates.resolved_at = new Date().toISOString();
-    }
-    
-    const { data, error } = await supabase
+    const { data: ticket, error } = await supabase
       .schema('support')
       .from('support_tickets')
-      .update(updates)
-      .eq('ticket_number', ticketNumber)
-      .select()
-      .single();
+      .select('*')
+      .eq('ticket_number', req.params.ticketNumber)
+      .maybeSingle();
     
     if (error) {
-      return res.status(400).json({ error: error.message });
+      return res.status(500).json({ error: error.message });
+    }
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
     }
     
+    const timeline = await ticketEvents.buildTimeline(ticket);
+    res.json({
+      ticket,
+      timeline,
+      count: timeline.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error building ticket timeline:', error);
+    res.status(500).json({ error: 'Failed to build ticket timeline' });
+  }
+});
+
+app.patch('/tickets/:ticketNumber', requireAdmin, async (req, res) => {
+  try {
+    // Validates the fields and status transition, and records the change
+    // (which also notifies the requester)
+    const data = await ticketUpdates.updateTicket(req.params.ticketNumber, req.body, {
+      type: 'agent',
+      id: req.headers['x-admin-user'] || null
+    });
+    
     res.json(data);
+    jobQueue.drainAfterResponse();
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('❌ Error updating ticket:', error);
     res.status(500).json({ error: 'Failed to update ticket' });
   }
 });
@@ -1678,6 +2025,9 @@ app.post('/update-knowledge-base', async (req, res) => {
       });
     }
     
+    // Resolve the ticket first, so nothing is added for a ticket that can't be resolved
+    await resolveSupportTicket(ticketNumber, solution, req.headers['x-admin-user'] || null);
+    
     // Update knowledge base (database-first approach)
     const success = await addToKnowledgeBase({...qaPair, ticketNumber});
     if (!success) {
@@ -1686,24 +2036,17 @@ app.post('/update-knowledge-base', async (req, res) => {
       });
     }
     
-    // Update ticket status
-    await supabase
-      .schema('support')
-      .from('support_tickets')
-      .update({ 
-        status: 'resolved',
-        resolved_at: new Date().toISOString(),
-        resolution_notes: solution
-      })
-      .eq('ticket_number', ticketNumber);
-    
     res.json({
       success: true,
       message: 'Knowledge base updated successfully',
       qaPair: qaPair
     });
+    jobQueue.drainAfterResponse();
     
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('❌ Manual knowledge base update error:', error);
     res.status(500).json({ 
       error: 'Internal server error',
@@ -1898,6 +2241,13 @@ if (!process.env.VERCEL && !process.env.NETLIFY && !process.env.AWS_LAMBDA_FUNCT
     console.log(`🤖 PM-Next Lark Bot server is running on port ${PORT}`);
     console.log(`📝 Health check: http://localhost:${PORT}/health`);
     
+    // Serverless deployments call /tickets/sla/check from cron instead
+    setInterval(() => {
+      ticketSla.checkTickets(sendMessage)
+        .then(() => jobQueue.drain())
+        .catch(error => console.error('❌ Error checking ticket SLAs:', error.message));
+    }, SLA_CHECK_INTERVAL_MS);
+    
     try {
       await ensureKnowledgeBaseInitialized();
       console.log(`🗄️ Hybrid knowledge base initialized (static + dynamic content)`);
@@ -1936,6 +2286,26 @@ function trackRequest(message, responseTime, fromCache = false) {
   console.log(`📈 Analytics: ${analytics.totalRequests} requests, ${analytics.cacheHits} cache hits (${(analytics.cacheHits/analytics.totalRequests*100).toFixed(1)}%), avg ${analytics.averageResponseTime.toFixed(0)}ms`);
 }
 
+/**
+ * The ticket created from an intake draft, or null
+ */
+async function findTicketByIntakeId(intakeId) {
+  if (!intakeId) return null;
+
+  const { data, error } = await supabase
+    .schema('support')
+    .from('support_tickets')
+    .select('*')
+    .eq('intake_id', intakeId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error looking up ticket for intake:', intakeId, error.message);
+    return null;
+  }
+  return data;
+}
+
 async function createSupportTicket(ticketData) {
   try {
     console.log('📝 Inserting ticket into database...');
@@ -1976,16 +2346,15 @@ async function createSupportTicket(ticketData) {
   }
 }
 
-async function notifySupportTeam(ticket) {
-  try {
-    // Send notification to support group chat
-    const supportGroupId = process.env.LARK_SUPPORT_GROUP_ID;
-    if (!supportGroupId) {
-      console.log('⚠️ No support group ID configured');
-      return;
-    }
+/**
+ * The support group's announcement of a ticket, showing who it is assigned to
+ */
+function buildSupportAnnouncement(ticket, assigneeName = null) {
+  const assignee = ticket.assigned_to
+    ? assigneeName || ticketAssignment.getAgentName(ticket.assigned_to) || ticket.assigned_to
+    : null;
 
-    const message = `🚨 **New Support Ticket Created**
+  return `🚨 **New Support Ticket Created**
 
 **Ticket**: ${ticket.ticket_number}
 **User**: ${ticket.user_name || 'Unknown'}
@@ -2001,10 +2370,29 @@ async function notifySupportTeam(ticket) {
 
 **Created**: ${new Date(ticket.created_at).toLocaleString()}
 
-Please assign and respond to this ticket promptly.`;
+${assignee ? `**Assigned to**: ${assignee}` : 'Not assigned yet - use **Claim** to take this ticket.'}${ticketRelay.isEnabled() ? `
+
+_Reply in this thread to answer the requester. Start with \`${ticketRelay.getInternalNotePrefix()}\` for a note only the team sees, or \`${ticketRelay.RESOLVE_PREFIX} <solution>\` to resolve the ticket._` : ''}`;
+}
+
+async function notifySupportTeam(ticket) {
+  try {
+    // Send notification to support group chat
+    const supportGroupId = process.env.LARK_SUPPORT_GROUP_ID;
+    if (!supportGroupId) {
+      console.log('⚠️ No support group ID configured');
+      return;
+    }
+
+    const actions = ticket.assigned_to
+      ? []
+      : [cardActions.button('🙋 Claim', { action: 'claim_ticket', ticket_number: ticket.ticket_number }, 'primary')];
 
-    await sendMessage(supportGroupId, message);
+    const sent = await sendMessage(supportGroupId, buildSupportAnnouncement(ticket), { actions });
     console.log('📢 Support team notified for ticket:', ticket.ticket_number);
+
+    // Replies in this message's thread are relayed to the requester
+    await ticketRelay.rememberSupportThread(ticket, supportGroupId, sent);
   } catch (error) {
     console.error('❌ Error notifying support team:', error);
   }
@@ -2012,9 +2400,11 @@ Please assign and respond to this ticket promptly.`;
 
 function categorizeIssue(message, context = []) {
   const lowerMessage = message.toLowerCase();
+  const issueCategories = Object.entries(configStore.get('issue_categories'))
+    .map(([keyword, category]) => [keyword.toLowerCase(), category]);
   
   // First check the current message
-  for (const [keyword, category] of Object.entries(ISSUE_CATEGORIES)) {
+  for (const [keyword, category] of issueCategories) {
     if (lowerMessage.includes(keyword)) {
       return category;
     }
@@ -2023,7 +2413,7 @@ function categorizeIssue(message, context = []) {
   // If no category found in current message, check recent context
   if (context.length > 0) {
     const recentContext = context.slice(-6).map(msg => msg.content?.toLowerCase() || '').join(' ');
-    for (const [keyword, category] of Object.entries(ISSUE_CATEGORIES)) {
+    for (const [keyword, category] of issueCategories) {
       if (recentContext.includes(keyword)) {
         return category;
       }
@@ -2064,241 +2454,229 @@ function checkTicketConfirmation(context, userMessage) {
   return confirmationPhrases.some(phrase => phrase.test(userMessage.trim()));
 }
 
-function shouldEscalateToTicket(context, userMessage) {
-  const escalationTriggers = [
-    // Existing triggers
-    /still.*(not|doesn't|don't|doesnt).*(work|working|help|helping)/i,
-    /tried.*(that|everything|all)/i,
-    /doesn't.*(work|help)/i,
-    /doesnt.*(work|help)/i,
-    /still.*not.*working/i,
-    /still.*doesnt.*work/i,
-    /still.*having.*trouble/i,
-    /need.*(human|person|live|real).*(help|support)/i,
-    /speak.*(to|with).*(someone|person|human)/i,
-    /this.*(is|isn't).*(working|helpful)/i,
-    /frustrated/i,
-    /urgent/i,
-    /critical/i,
-    /escalate.*to.*(support|team|human)/i,
-    /can.*i.*escalate/i,
-    /create.*ticket/i,
-    /(cant|can't|cannot).*(add|create|upload|login|access)/i,
-    /not.*working/i,
-    /having.*trouble/i,
-    /error/i,
-    
-    // New comprehensive triggers - User frustration expressions
-    /this.*(sucks|terrible|awful|horrible|useless)/i,
-    /waste.*of.*time/i,
-    /annoying/i,
-    /ridiculous/i,
-    /pathetic/i,
-    /broken/i,
-    /buggy/i,
-    /glitched/i,
-    /messed.*up/i,
-    /screwed.*up/i,
-    /totally.*broken/i,
-    /completely.*broken/i,
-    /not.*functioning/i,
-    
-    // Request for human help variations
-    /talk.*to.*(someone|person|human|agent|rep)/i,
-    /contact.*(support|help|team)/i,
-    /get.*(help|support).*from.*(human|person)/i,
-    /live.*(chat|support|help|agent)/i,
-    /real.*(person|human|agent)/i,
-    /technical.*(support|help)/i,
-    /customer.*(service|support)/i,
-    /help.*desk/i,
-    /support.*team/i,
-    /human.*help/i,
-    /manual.*help/i,
-    
-    // Problem persistence expressions  
-    /keeps.*(happening|occurring|breaking|failing)/i,
-    /always.*(broken|failing|not.*working)/i,
-    /constantly.*(failing|broken|not.*working)/i,
-    /repeatedly.*(failing|broken|not.*working)/i,
-    /consistently.*(failing|broken|not.*working)/i,
-    /same.*problem/i,
-    /same.*issue/i,
-    /again.*and.*again/i,
-    /over.*and.*over/i,
-    /multiple.*times/i,
-    
-    // Inability to perform tasks
-    /unable.*to/i,
-    /impossible.*to/i,
-    /(cant|can't|cannot).*(save|submit|complete|finish)/i,
-    /(cant|can't|cannot).*(get.*it.*to|make.*it)/i,
-    /won't.*let.*me/i,
-    /wont.*let.*me/i,
-    /preventing.*me/i,
-    /blocking.*me/i,
-    /stuck.*on/i,
-    /stuck.*at/i,
-    /locked.*out/i,
-    
-    // Error and failure expressions
-    /error.*message/i,
-    /error.*code/i,
-    /system.*error/i,
-    /failed.*to/i,
-    /failure/i,
-    /crash/i,
-    /crashed/i,
-    /freezing/i,
-    /frozen/i,
-    /timeout/i,
-    /timed.*out/i,
-    /connection.*error/i,
-    /server.*error/i,
-    /database.*error/i,
-    /404.*error/i,
-    /500.*error/i,
-    
-    // Time-sensitive situations
-    /asap/i,
-    /immediately/i,
-    /right.*now/i,
-    /emergency/i,
-    /deadline/i,
-    /time.*sensitive/i,
-    /running.*out.*of.*time/i,
-    /need.*this.*fixed/i,
-    /fix.*this.*now/i,
-    /priority/i,
-    /high.*priority/i,
-    
-    // Workflow blocking expressions
-    /(cant|can't|cannot).*continue/i,
-    /(cant|can't|cannot).*proceed/i,
-    /(cant|can't|cannot).*move.*forward/i,
-    /(cant|can't|cannot).*complete.*work/i,
-    /blocking.*my.*work/i,
-    /stopping.*me.*from/i,
-    /preventing.*work/i,
-    /halt.*work/i,
-    /work.*stopped/i,
-    
-    // Data loss concerns
-    /lost.*data/i,
-    /lost.*work/i,
-    /disappeared/i,
-    /vanished/i,
-    /missing.*files/i,
-    /missing.*data/i,
-    /corrupted/i,
-    /damaged/i,
-    
-    // Multiple attempt expressions
-    /tried.*multiple.*times/i,
-    /tried.*several.*times/i,
-    /attempted.*many.*times/i,
-    /keep.*trying/i,
-    /tried.*different.*ways/i,
-    /nothing.*works/i,
-    /nothing.*is.*working/i,
-    /none.*of.*this.*works/i,
-    
-    // Final resort expressions
-    /last.*resort/i,
-    /final.*option/i,
-    /no.*other.*choice/i,
-    /exhausted.*options/i,
-    /tried.*everything.*else/i,
-    /what.*else.*can.*i.*do/i,
-    /help.*me.*please/i,
-    /please.*help/i,
-    /desperate/i,
-    /desperately.*need/i
-  ];
-
-  console.log('🔍 Checking escalation for message:', userMessage);
-  const shouldEscalate = escalationTriggers.some(trigger => {
-    const matches = trigger.test(userMessage);
-    if (matches) {
-      console.log('✅ Escalation trigger matched:', trigger);
-    }
-    return matches;
-  });
-  console.log('🚨 Should escalate:', shouldEscalate);
+// intake is { key, chatId, senderId, conversationKey }; senderId is the requester
+async function startTicketCreation(intake, userMessage, category) {
+  const { key, chatId, senderId, conversationKey = chatId } = intake;
   
-  return shouldEscalate;
-}
-
-async function startTicketCreation(chatId, userMessage, category, senderId = null) {
-  console.log('🎫 Starting ticket creation for chat:', chatId);
+  // Finish a paused draft before starting another one
+  const draft = await intakeStore.get(key);
+  if (draft && draft.paused && draft.step !== 'submitting') {
+    console.log('🎫 Resuming paused ticket draft:', key);
+    draft.paused = false;
+    return nextIntakeReply(draft, 'You already have a ticket draft in progress, so let\'s finish that one. Say **restart** to start a new ticket instead.');
+  }
+  
+  console.log('🎫 Starting ticket intake:', key);
   
-  // Initialize ticket collection state with user information
-  ticketCollectionState.set(chatId, {
-    step: 'title',
+  // Start from what the user already told the bot
+  const context = conversationContext.get(conversationKey) || [];
+  const conversation = context.slice(-10);
+  if (!conversation.some(msg => msg.role === 'user' && msg.content === userMessage)) {
+    conversation.push({ role: 'user', content: userMessage });
+  }
+  
+  const ticketState = {
+    id: `intake_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    intakeKey: key,
+    chatId: chatId,
     category: category,
     originalMessage: userMessage,
     senderId: senderId,
-    data: {}
-  });
+    conversationKey: conversationKey,
+    conversation: conversation,
+    answered: [], // Fields the user answered, most recent last (for "go back")
+    paused: false,
+    data: await ticketIntake.extractTicketFields(conversation)
+  };
+  console.log('📋 Ticket fields from conversation:', JSON.stringify(ticketState.data));
   
-  return `I'll help you create a support ticket to get personalized assistance. Let me collect some details:
+  return nextIntakeReply(ticketState, 'I\'ll create a support ticket so our support team can take a look. You can say **back**, **skip** or **cancel** at any point.');
+}
 
-**Step 1 of 3: Issue Title**
-Please provide a brief title that describes your issue (e.g., "Cannot add candidate to job", "Login page not loading"):`;
+// Ask for the next missing field, or show the ticket for confirmation once
+// nothing is missing. Saves the intake so the next message picks it up.
+async function nextIntakeReply(ticketState, intro = null) {
+  const missingField = ticketIntake.getNextMissingField(ticketState.data);
+  let reply;
+  
+  if (missingField) {
+    ticketState.step = 'collecting';
+    ticketState.asking = missingField;
+    reply = { text: [intro, ticketIntake.getQuestion(missingField)].filter(Boolean).join('\n\n') };
+  } else {
+    ticketState.step = 'confirming';
+    ticketState.asking = null;
+    reply = {
+      text: [intro, ticketIntake.formatSummary(ticketState.data)].filter(Boolean).join('\n\n'),
+      form: ticketIntake.buildConfirmationForm(ticketState.data, {
+        action: 'confirm_ticket',
+        intake_key: ticketState.intakeKey,
+        intake_id: ticketState.id
+      })
+    };
+  }
+  
+  await intakeStore.set(ticketState.intakeKey, ticketState);
+  return reply;
 }
 
-async function handleTicketCreationFlow(chatId, userMessage, ticketState, senderId = null) {
-  const { step, data, category, senderId: storedSenderId } = ticketState;
-  const actualSenderId = senderId || storedSenderId;
+// Returns the reply, or null when the message is not part of the ticket and
+// should be answered normally (the draft is paused until the user continues)
+async function handleTicketCreationFlow(ticketState, userMessage) {
+  const key = ticketState.intakeKey;
+  ticketState.answered = ticketState.answered || [];
+  const command = ticketIntake.parseIntakeCommand(userMessage);
   
-  switch (step) {
-    case 'title':
-      data.title = userMessage.trim();
-      ticketState.step = 'description';
-      ticketCollectionState.set(chatId, ticketState);
-      
-      return `**Step 2 of 3: Detailed Description**
-Please describe the issue in detail. What exactly happens when you try to perform the action?`;
+  if (command && command.name === 'cancel') {
+    console.log('🛑 Ticket intake cancelled:', key);
+    await intakeStore.delete(key);
+    return 'Okay, I\'ve cancelled the ticket request - nothing was submitted. Feel free to ask me anything else.';
+  }
+  
+  if (ticketState.step === 'submitting') {
+    // A retry after the ticket was created finishes the submission
+    if (await findTicketByIntakeId(ticketState.id)) {
+      return submitTicket(ticketState);
+    }
+    return '⏳ Your ticket is being created - I\'ll confirm here in a moment.';
+  }
+  
+  if (ticketState.paused) {
+    if (!command || command.name !== 'resume') {
+      return null;
+    }
+    ticketState.paused = false;
+    return nextIntakeReply(ticketState, 'Let\'s pick up your ticket where we left off.');
+  }
+  
+  switch (command && command.name) {
+    case 'pause':
+      ticketState.paused = true;
+      await intakeStore.set(key, ticketState);
+      return INTAKE_PAUSED_MESSAGE;
+    
+    case 'resume':
+      return nextIntakeReply(ticketState);
+    
+    case 'restart':
+      ticketState.data = {};
+      ticketState.answered = [];
+      ticketState.conversation = [];
+      return nextIntakeReply(ticketState, 'Okay, let\'s start over.');
+    
+    case 'back': {
+      // While confirming, "back" reopens the last question even if the
+      // conversation answered it
+      const field = ticketState.answered.pop() ||
+        (ticketState.step === 'confirming' ? ticketIntake.ASKED_FIELDS[ticketIntake.ASKED_FIELDS.length - 1] : null);
+      if (!field) {
+        return nextIntakeReply(ticketState, 'There\'s no earlier answer to go back to.');
+      }
+      ticketState.data = ticketIntake.clearField(ticketState.data, field);
+      return nextIntakeReply(ticketState, 'Okay, let\'s redo that one.');
+    }
+    
+    case 'skip':
+      if (ticketState.step !== 'collecting') {
+        return nextIntakeReply(ticketState);
+      }
+      if (!ticketIntake.isSkippable(ticketState.asking)) {
+        return nextIntakeReply(ticketState, 'I need a short description of the problem to create a ticket - or say **cancel** to stop.');
+      }
+      ticketState.data = ticketIntake.applyAnswer(ticketState.data, ticketState.asking, 'nothing');
+      ticketState.answered.push(ticketState.asking);
+      return nextIntakeReply(ticketState);
+    
+    case 'correct':
+      // "wait, actually it's on Safari" changes the draft rather than answering
+      ticketState.conversation.push({ role: 'user', content: userMessage });
+      ticketState.data = await ticketIntake.extractTicketFields(ticketState.conversation, ticketState.data, {
+        correction: command.text
+      });
+      return nextIntakeReply(ticketState);
+  }
+  
+  // A separate question ("how do I export candidates?") pauses the draft
+  const lastPrompt = ticketState.step === 'confirming'
+    ? ticketIntake.formatSummary(ticketState.data)
+    : ticketIntake.getQuestion(ticketState.asking);
+  if (await ticketIntake.isOffTopic(lastPrompt, userMessage)) {
+    console.log('⏸️ Off-topic message during ticket intake, pausing draft:', key);
+    ticketState.paused = true;
+    await intakeStore.set(key, ticketState);
+    return null;
+  }
+  
+  ticketState.conversation.push({ role: 'user', content: userMessage });
+  
+  switch (ticketState.step) {
+    case 'collecting':
+      // The reply answers the question, and may mention other details too
+      ticketState.data = ticketIntake.applyAnswer(ticketState.data, ticketState.asking, userMessage);
+      ticketState.answered.push(ticketState.asking);
+      ticketState.data = await ticketIntake.extractTicketFields(ticketState.conversation, ticketState.data);
+      return nextIntakeReply(ticketState);
+
+    case 'confirming':
+      if (ticketIntake.isConfirmation(userMessage)) {
+        return submitTicket(ticketState);
+      }
+      // Anything else is a correction ("the urgency is high", "I'm on Safari")
+      ticketState.data = await ticketIntake.extractTicketFields(ticketState.conversation, ticketState.data, {
+        correction: userMessage
+      });
+      return nextIntakeReply(ticketState);
 
-    case 'description':
-      data.description = userMessage.trim();
-      ticketState.step = 'steps';
-      ticketCollectionState.set(chatId, ticketState);
-      
-      return `**Step 3 of 3: Steps Attempted**
-What steps have you already tried to resolve this issue? (e.g., "Refreshed page, cleared cache, tried different browser")`;
+    default:
+      // Reset if in unknown state
+      await intakeStore.delete(key);
+      return `I encountered an error in the ticket creation process. Let me start over. Please describe your issue and I'll help you create a support ticket.`;
+  }
+}
 
-    case 'steps':
-      data.stepsAttempted = userMessage.trim().split(',').map(s => s.trim());
-      
-      // Set default values for removed steps
-      data.browser = 'Not specified';
-      data.device = 'Not specified';
-      data.urgency = 'medium'; // Default urgency level
-      
-      // Create the ticket immediately after step 3
-      const ticket = await createTicketFromData(chatId, data, category, ticketState.originalMessage, actualSenderId);
-      
-      // Clear the collection state
-      ticketCollectionState.delete(chatId);
-      
-      if (ticket) {
-        console.log('🎯 Ticket created successfully, notifying support team...');
-        
-        // Notify support team
-        try {
-          await notifySupportTeam(ticket);
-          console.log('📢 Support team notification sent successfully');
-        } catch (notifyError) {
-          console.error('⚠️ Failed to notify support team:', notifyError);
-          // Continue anyway - ticket was created
-        }
-        
-        return `✅ **Support Ticket Created Successfully!**
+// Create the ticket from a confirmed intake and return the message for the user
+async function submitTicket(ticketState) {
+  const { intakeKey, chatId, data, originalMessage, senderId } = ticketState;
+  ticketState.step = 'submitting';
+  await intakeStore.set(intakeKey, ticketState);
+  
+  // "I want to talk to a human" says nothing about the area - the description does
+  const category = ticketState.category !== 'general'
+    ? ticketState.category
+    : categorizeIssue(`${data.title || ''} ${data.description || ''}`);
+  
+  // A retried message or job finds the ticket its first attempt created
+  const existingTicket = await findTicketByIntakeId(ticketState.id);
+  const ticket = existingTicket || await createTicketFromData(chatId, data, category, originalMessage, senderId, ticketState.id);
+  
+  // Clear the collection state (unless a new intake has started since)
+  const activeState = await intakeStore.get(intakeKey);
+  if (activeState && activeState.id === ticketState.id) {
+    await intakeStore.delete(intakeKey);
+  }
+  
+  if (ticket && !ticket.support_message_id) {
+    console.log('🎯 Ticket created successfully, notifying support team...');
+    
+    // Route to an available agent (left for the team to claim if there is none)
+    const assignedTicket = await ticketAssignment.autoAssign(ticket);
+    
+    // Notify support team
+    try {
+      await notifySupportTeam(assignedTicket || ticket);
+      console.log('📢 Support team notification sent successfully');
+    } catch (notifyError) {
+      console.error('⚠️ Failed to notify support team:', notifyError);
+      // Continue anyway - ticket was created
+    }
+  }
+  
+  if (ticket) {
+    return `✅ **Support Ticket Created Successfully!**
 
 **Ticket Number**: ${ticket.ticket_number}
 **Status**: Open
-**Urgency**: ${data.urgency.toUpperCase()}
+**Urgency**: ${(data.urgency || 'medium').toUpperCase()}
 
 Your ticket has been submitted and our support team has been notified. They will review your issue and respond as soon as possible.
 
@@ -2308,15 +2686,13 @@ Your ticket has been submitted and our support team has been notified. They will
 • A support agent may reach out for additional information
 
 **Estimated Response Time:**
-• Critical: Within 1 hour
-• High: Within 4 hours  
-• Medium: Within 24 hours
-• Low: Within 48 hours
+${ticketSla.describeResponseTimes(ticket.issue_category)}
 
 Thank you for providing detailed information. Is there anything else I can help you with?`;
-      } else {
-        console.log('❌ Ticket creation failed - returning error message to user');
-        return `❌ I encountered an error creating your support ticket. This could be due to:
+  }
+
+  console.log('❌ Ticket creation failed - returning error message to user');
+  return `❌ I encountered an error creating your support ticket. This could be due to:
 
 • Database connection issues
 • Missing required information
@@ -2328,16 +2704,9 @@ Thank you for providing detailed information. Is there anything else I can help
 💬 Direct Chat: https://applink.larksuite.com/client/chat/chatter/add_by_link?link_token=3ddsabad-9efa-4856-ad86-a3974dk05ek2
 
 I apologize for the inconvenience. Our technical team has been notified of this issue.`;
-      }
-
-    default:
-      // Reset if in unknown state
-      ticketCollectionState.delete(chatId);
-      return `I encountered an error in the ticket creation process. Let me start over. Please describe your issue and I'll help you create a support ticket.`;
-  }
 }
 
-async function createTicketFromData(chatId, data, category, originalMessage, senderId = null) {
+async function createTicketFromData(chatId, data, category, originalMessage, senderId = null, intakeId = null) {
   try {
     console.log('🔧 Creating ticket with data:', {
       chatId,
@@ -2364,10 +2733,10 @@ async function createTicketFromData(chatId, data, category, originalMessage, sen
         console.log('✅ Using fetched user info:', { id: actualUserId, name: actualUserName });
       } else {
         console.log('⚠️ Could not fetch user info, using sender ID as fallback');
-        // Try to extract ID from sender object
-        if (typeof senderId === 'object' && senderId.id) {
-          actualUserId = senderId.id;
-          console.log('🔄 Using sender.id as user ID:', actualUserId);
+        // Try to extract ID from sender object (the requester, never the chat)
+        if (typeof senderId === 'object' && (senderId.user_id || senderId.open_id || senderId.id)) {
+          actualUserId = senderId.user_id || senderId.open_id || senderId.id;
+          console.log('🔄 Using sender ID as user ID:', actualUserId);
         } else if (typeof senderId === 'string') {
           actualUserId = senderId;
           console.log('🔄 Using sender string as user ID:', actualUserId);
@@ -2377,6 +2746,12 @@ async function createTicketFromData(chatId, data, category, originalMessage, sen
       console.log('⚠️ No sender ID provided, using fallback user identification');
     }
     
+    // Screenshots and files the user sent in this chat recently
+    const senderIds = typeof senderId === 'object' && senderId
+      ? [senderId.user_id, senderId.open_id, senderId.union_id].filter(Boolean)
+      : [senderId].filter(Boolean);
+    const attachments = await messageLogger.getRecentAttachments(chatId, senderIds);
+
     const ticketData = {
       user_id: actualUserId,
       chat_id: chatId,
@@ -2389,12 +2764,19 @@ async function createTicketFromData(chatId, data, category, originalMessage, sen
       device_info: data.device || 'Not specified',
       urgency_level: data.urgency || 'medium',
       status: 'open',
+      intake_id: intakeId,
+      ...ticketSla.getDueDates({ urgency_level: data.urgency || 'medium', issue_category: category }),
       conversation_context: {
         original_message: originalMessage,
         collected_data: data,
         user_info: userInfo // Store additional user info for reference
       }
     };
+
+    if (attachments.length > 0) {
+      ticketData.attachments = attachments;
+      console.log('📎 Linking attachments to ticket:', attachments.length);
+    }
     
     console.log('🎫 Sending ticket data to database:', JSON.stringify(ticketData, null, 2));
     
@@ -2402,6 +2784,10 @@ async function createTicketFromData(chatId, data, category, originalMessage, sen
     
     if (result) {
       console.log('✅ Ticket created successfully:', result.ticket_number);
+      await ticketEvents.recordEvent(result, 'created', { type: 'user', id: actualUserId, name: actualUserName }, {
+        category,
+        urgency: ticketData.urgency_level
+      });
     } else {
       console.log('❌ Ticket creation failed - no result returned');
     }
@@ -2432,12 +2818,12 @@ function isSupportSolution(message, isReplyToTicket = false) {
   }
   
   // For non-reply messages, check for explicit solution keywords
-  const hasSolutionKeyword = SOLUTION_KEYWORDS.some(keyword => 
+  const hasSolutionKeyword = configStore.get('solution_keywords').some(keyword => 
     lowerMessage.includes(keyword.toLowerCase())
   );
   
   // Check for knowledge base update indicators
-  const hasKBIndicator = KNOWLEDGE_UPDATE_INDICATORS.some(indicator => 
+  const hasKBIndicator = configStore.get('knowledge_update_indicators').some(indicator => 
     lowerMessage.includes(indicator.toLowerCase())
   );
   
@@ -2476,38 +2862,9 @@ function isSupportSolution(message, isReplyToTicket = false) {
 async function getParentMessageContent(messageId) {
   try {
     console.log('🔍 Attempting to fetch parent message:', messageId);
-    
-    // Get access token
-    const tokenResponse = await fetch('https://open.larksuite.com/open-apis/auth/v3/tenant_access_token/internal', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        app_id: process.env.LARK_APP_ID,
-        app_secret: process.env.LARK_APP_SECRET
-      })
-    });
-
-    const tokenData = await tokenResponse.json();
-    
-    if (tokenData.code !== 0) {
-      console.log('❌ Failed to get access token for parent message:', tokenData.msg);
-      return null;
-    }
-
-    const accessToken = tokenData.tenant_access_token;
 
     // Get the parent message content
-    const messageResponse = await fetch(`https://open.larksuite.com/open-apis/im/v1/messages/${messageId}`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    const messageData = await messageResponse.json();
+    const messageData = await larkClient.request('GET', `/open-apis/im/v1/messages/${messageId}`);
     console.log('📧 Parent message API response:', messageData);
     
     if (messageData.code === 0 && messageData.data && messageData.data.items && messageData.data.items.length > 0) {
@@ -2688,8 +3045,7 @@ async function extractQAPair(ticketNumber, solutionMessage) {
     }
     
     // Use AI to extract and format the Q&A pair
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4',
+    const completion = await llm.complete('extraction', {
       messages: [
         {
           role: 'system',
@@ -2720,11 +3076,11 @@ Extract a Q&A pair from this support interaction.`
         }
       ],
       temperature: 0.1,
-      max_tokens: 500
+      maxTokens: 500
     });
     
-    const response = completion.choices[0].message.content;
-    console.log('🤖 AI extracted Q&A:', response);
+    const response = completion.content;
+    console.log(`🤖 AI extracted Q&A (${completion.provider}:${completion.model}):`, response);
     
     try {
       return JSON.parse(response);
@@ -2818,9 +3174,88 @@ async function updateKnowledgeBase(qaPair) {
 }
 
 /**
- * Process support solution for knowledge base update - ENHANCED
+ * Pass a message on between a ticket's support thread and its requester.
+ * direction is 'to_requester' for an agent writing in the thread and
+ * 'to_support' for the requester replying to a message we relayed.
  */
-async function processSupportSolution(message, chatId, senderId, event = null) {
+async function handleRelayedMessage(ticket, direction, { message, event, userName }) {
+  const { chat_id, message_id } = event.message;
+  const senderId = event.sender.sender_id;
+
+  if (direction === 'to_support') {
+    // Recording the comment also posts it in the support thread
+    const comment = await ticketEvents.recordEvent(ticket, 'comment', { type: 'user', id: ticket.user_id, name: userName }, {
+      text: message.substring(0, ticketRelay.MAX_RELAYED_LENGTH),
+      via: 'reply'
+    });
+    await sendMessage(chat_id, comment
+      ? `💬 Sent to the support team for ticket **${ticket.ticket_number}**.`
+      : '❌ I couldn\'t pass your reply on to the support team. Please try again in a moment.', { replyTo: message_id });
+    return;
+  }
+
+  const agent = { type: 'agent', id: getSenderKey(senderId), name: userName };
+  const agentMessage = ticketRelay.parseAgentMessage(message);
+
+  switch (agentMessage.kind) {
+    case 'note':
+      await ticketEvents.recordEvent(ticket, 'internal_note', agent, { text: agentMessage.text });
+      console.log('🔒 Internal note kept in the support thread for', ticket.ticket_number);
+      return;
+
+    case 'resolve': {
+      if (!agentMessage.text) {
+        await sendMessage(chat_id, `Please add the solution after \`${ticketRelay.RESOLVE_PREFIX}\` - it is sent to the requester and added to the knowledge base.`, { replyTo: message_id });
+        return;
+      }
+      const solutionProcessed = await processSupportSolution(agentMessage.text, chat_id, senderId, event, { ticketNumber: ticket.ticket_number });
+      if (!solutionProcessed) {
+        try {
+          await resolveSupportTicket(ticket.ticket_number, agentMessage.text, senderId);
+        } catch (error) {
+          if (!error.statusCode) throw error;
+          await sendMessage(chat_id, `⚠️ ${error.message}.`, { replyTo: message_id });
+          return;
+        }
+        await sendMessage(chat_id, `✅ Ticket **${ticket.ticket_number}** resolved. The solution could not be added to the knowledge base.`, { replyTo: message_id });
+      }
+      return;
+    }
+
+    default:
+      // Recording the reply also sends it to the requester
+      await ticketEvents.recordEvent(ticket, 'agent_reply', agent, { text: agentMessage.text });
+  }
+}
+
+/**
+ * Mark a ticket resolved with the agent's solution as resolution notes. A
+ * ticket already resolved with these notes is left alone, so a second call for
+ * the same solution doesn't notify the requester again. Throws an error with a
+ * statusCode when the ticket doesn't exist (404) or can't be resolved, e.g.
+ * because it is closed (409).
+ */
+async function resolveSupportTicket(ticketNumber, resolutionNotes, senderId) {
+  const { data: ticket } = await supabase
+    .schema('support')
+    .from('support_tickets')
+    .select('*')
+    .eq('ticket_number', ticketNumber)
+    .maybeSingle();
+
+  if (ticket?.status === 'resolved' && ticket.resolution_notes === resolutionNotes.trim()) {
+    return ticket;
+  }
+
+  // Recording the change also tells the requester
+  return ticketUpdates.updateTicket(ticketNumber, { status: 'resolved', resolution_notes: resolutionNotes }, { type: 'agent', id: getSenderKey(senderId) });
+}
+
+/**
+ * Process support solution for knowledge base update - ENHANCED.
+ * Pass options.ticketNumber when the agent explicitly resolved that ticket.
+ */
+async function processSupportSolution(message, chatId, senderId, event = null, options = {}) {
   try {
     console.log('🔍 Processing potential support solution...');
     console.log('📝 Message content:', message);
@@ -2837,7 +3272,7 @@ async function processSupportSolution(message, chatId, senderId, event = null) {
     console.log('🔄 Is reply to support ticket:', isReply);
     
     // Check if message contains a solution (use flexible detection)
-    const isSolution = isSupportSolution(message, isReply);
+    const isSolution = !!options.ticketNumber || isSupportSolution(message, isReply);
     console.log('✨ Is detected as solution:', isSolution);
     
     if (!isSolution) {
@@ -2867,7 +3302,7 @@ async function processSupportSolution(message, chatId, senderId, event = null) {
       chatId: event?.message?.chat_id
     });
     
-    const ticketNumber = await extractTicketNumber(message, event);
+    const ticketNumber = options.ticketNumber || await extractTicketNumber(message, event);
     if (!ticketNumber) {
       console.log('⚠️ No ticket number found in solution message or context');
       console.log('💡 This could be because:');
@@ -2889,20 +3324,20 @@ async function processSupportSolution(message, chatId, senderId, event = null) {
     
     console.log('📝 Extracted Q&A pair:', qaPair);
     
+    // Resolve the ticket first, so nothing is added for a ticket that can't be resolved
+    try {
+      await resolveSupportTicket(ticketNumber, message, senderId);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      console.log('⚠️ Ticket not resolved:', error.message);
+      await sendMessage(chatId, `⚠️ ${error.message}. The solution was not added to the knowledge base.`, { replyTo: event?.message?.message_id });
+      // Handled: the agent has been told why
+      return true;
+    }
+    
     // Update knowledge base (database-first approach)
     const success = await addToKnowledgeBase({...qaPair, ticketNumber});
     if (success) {
-      // Update ticket status to resolved
-      await supabase
-        .schema('support')
-        .from('support_tickets')
-        .update({ 
-          status: 'resolved',
-          resolved_at: new Date().toISOString(),
-          resolution_notes: message
-        })
-        .eq('ticket_number', ticketNumber);
-      
       // Send confirmation message
       const confirmationMessage = `✅ **Knowledge Base Updated**
 
@@ -2913,7 +3348,7 @@ async function processSupportSolution(message, chatId, senderId, event = null) {
 Your solution has been saved to the knowledge base and will help resolve similar issues automatically. Thank you! 🤖📚`;
 
       console.log('📤 Sending knowledge base update confirmation...');
-      await sendMessage(chatId, confirmationMessage);
+      await sendMessage(chatId, confirmationMessage, { replyTo: event?.message?.message_id });
       
       return true;
     }
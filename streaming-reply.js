@@ -0,0 +1,141 @@
+/**
+ * Streaming replies
+ *
+ * Posts a "Looking into it…" card as soon as a question arrives and patches
+ * it with the answer as it is generated, so users are not left waiting on an
+ * empty chat. Lark allows a handful of updates per second on one message, so
+ * patches are throttled to LARK_STREAM_UPDATE_MS.
+ */
+
+const larkClient = require('./lark-client');
+const messageRenderer = require('./message-renderer');
+
+const STREAM_RESPONSES = process.env.LARK_STREAM_RESPONSES !== 'false';
+const UPDATE_INTERVAL_MS = parseInt(process.env.LARK_STREAM_UPDATE_MS || '800', 10);
+const PLACEHOLDER_TEXT = '⏳ Looking into it…';
+const CURSOR = ' ▍';
+
+/**
+ * Streaming needs interactive cards - other message types cannot be patched
+ */
+function isStreamingEnabled() {
+  return STREAM_RESPONSES && messageRenderer.getDefaultFormat() === 'card';
+}
+
+async function patchCard(messageId, card) {
+  const result = await larkClient.request('PATCH', `/open-apis/im/v1/messages/${messageId}`, {
+    body: { content: JSON.stringify(card) }
+  });
+
+  if (result.code !== 0) {
+    throw new Error(`Failed to update message: ${result.msg || 'Unknown error'}`);
+  }
+}
+
+/**
+ * Post the placeholder card (as a reply when replyTo is set) and return a
+ * streamer for it, or null if the placeholder could not be posted.
+ */
+async function startStreamingReply(chatId, { replyTo = null, replyInThread = false } = {}) {
+  const content = JSON.stringify(messageRenderer.renderCard(PLACEHOLDER_TEXT));
+  const uuid = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  let result;
+  try {
+    result = replyTo
+      ? await larkClient.request('POST', `/open-apis/im/v1/messages/${replyTo}/reply`, {
+        body: { msg_type: 'interactive', content, reply_in_thread: !!replyInThread, uuid }
+      })
+      : await larkClient.request('POST', '/open-apis/im/v1/messages', {
+        query: { receive_id_type: larkClient.getReceiveIdType(chatId) },
+        body: { receive_id: chatId, msg_type: 'interactive', content, uuid }
+      });
+  } catch (error) {
+    console.error('❌ Error posting placeholder message:', error.message);
+    return null;
+  }
+
+  if (result.code !== 0 || !result.data) {
+    console.error('❌ Error posting placeholder message:', result.msg);
+    return null;
+  }
+
+  const messageId = result.data.message_id;
+  console.log('⏳ Placeholder posted, streaming into message:', messageId);
+
+  let latestText = null;
+  let lastUpdateAt = 0;
+  let timer = null;
+  let finished = false;
+  let updateChain = Promise.resolve();
+
+  // Updates run one at a time so they land in order
+  const queueUpdate = (card) => {
+    updateChain = updateChain
+      .then(() => patchCard(messageId, card))
+      .catch(error => console.log('⚠️ Streaming update failed:', error.message));
+    return updateChain;
+  };
+
+  const flush = () => {
+    timer = null;
+    if (finished || latestText === null) return;
+    lastUpdateAt = Date.now();
+    queueUpdate(messageRenderer.renderCard(`${latestText}${CURSOR}`));
+  };
+
+  return {
+    messageId,
+
+    /**
+     * Show the text generated so far (throttled)
+     */
+    update(text) {
+      if (finished || !text) return;
+      latestText = text;
+      if (timer) return;
+
+      const wait = Math.max(UPDATE_INTERVAL_MS - (Date.now() - lastUpdateAt), 0);
+      timer = setTimeout(flush, wait);
+    },
+
+    /**
+     * Replace the card with the final answer. Returns false if the final
+     * update failed so the caller can send the answer another way.
+     */
+    async finish(markdown, options = {}) {
+      finished = true;
+      clearTimeout(timer);
+      await updateChain;
+
+      try {
+        await patchCard(messageId, messageRenderer.renderCard(markdown, options));
+        return true;
+      } catch (error) {
+        console.error('❌ Error finishing streamed message:', error.message);
+        await this.discard();
+        return false;
+      }
+    },
+
+    /**
+     * Remove the placeholder (e.g. when the answer is sent another way)
+     */
+    async discard() {
+      finished = true;
+      clearTimeout(timer);
+      await updateChain;
+
+      try {
+        await larkClient.request('DELETE', `/open-apis/im/v1/messages/${messageId}`);
+      } catch (error) {
+        console.log('⚠️ Could not remove placeholder message:', error.message);
+      }
+    }
+  };
+}
+
+module.exports = {
+  isStreamingEnabled,
+  startStreamingReply
+};
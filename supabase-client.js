@@ -0,0 +1,14 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+
+// Shared Supabase client for the support schema
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY,
+  {
+    db: { schema: 'support' },
+    auth: { persistSession: false }
+  }
+);
+
+module.exports = supabase;
@@ -15,13 +15,25 @@ CREATE TABLE support_tickets (
   urgency_level VARCHAR(20) DEFAULT 'medium', -- 'low', 'medium', 'high', 'critical'
   status VARCHAR(20) DEFAULT 'open', -- 'open', 'in_progress', 'resolved', 'closed'
   assigned_to VARCHAR(100), -- Support agent ID
+  assigned_at TIMESTAMP WITH TIME ZONE, -- When assigned_to last changed (drives round-robin routing)
   conversation_context JSONB, -- Last few messages for context
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   resolved_at TIMESTAMP WITH TIME ZONE,
   resolution_notes TEXT,
   satisfaction_rating INTEGER CHECK (satisfaction_rating >= 1 AND satisfaction_rating <= 5),
-  tags TEXT[] -- For categorization and search
+  tags TEXT[], -- For categorization and search
+  attachments JSONB, -- Screenshots/files the user sent before raising the ticket
+  intake_id VARCHAR(100) UNIQUE, -- The intake draft it was created from, so a retried submit finds it
+  support_chat_id VARCHAR(100), -- Support group the ticket was announced in
+  support_message_id VARCHAR(100), -- The announcement; replies in its thread are relayed to the requester
+  first_response_at TIMESTAMP WITH TIME ZONE, -- First reply or status change by an agent
+  first_response_due_at TIMESTAMP WITH TIME ZONE, -- SLA deadlines from the sla_policies config
+  resolution_due_at TIMESTAMP WITH TIME ZONE,
+  sla_alerts JSONB DEFAULT '{}', -- When each SLA warning/breach alert was sent
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    to_tsvector('english', coalesce(issue_title, '') || ' ' || coalesce(issue_description, '') || ' ' || coalesce(resolution_notes, ''))
+  ) STORED -- Full-text search for GET /tickets?q=
 );
 
 -- Knowledge Base Table for auto-updating Q&A pairs
@@ -47,6 +59,7 @@ CREATE TABLE message_logs (
   message_type VARCHAR(20) NOT NULL, -- 'user_message', 'bot_response', 'system_message'
   message_content TEXT NOT NULL, -- The actual message content
   message_intent VARCHAR(100), -- Detected intent/category of the message
+  intent_confidence REAL, -- 0-1 confidence of message_intent
   response_type VARCHAR(50), -- 'ai_generated', 'knowledge_base', 'cached', 'template', 'escalation'
   processing_time_ms INTEGER, -- Time taken to process/respond (for bot messages)
   knowledge_base_hit BOOLEAN DEFAULT FALSE, -- Whether knowledge base was used
@@ -54,20 +67,110 @@ CREATE TABLE message_logs (
   ticket_number VARCHAR(20), -- Associated ticket if any
   conversation_turn INTEGER DEFAULT 1, -- Turn number in conversation
   sentiment VARCHAR(20), -- 'positive', 'negative', 'neutral', 'frustrated'
+  sentiment_confidence REAL, -- 0-1 confidence of sentiment
   urgency_detected VARCHAR(20), -- 'low', 'medium', 'high', 'critical'
+  urgency_confidence REAL, -- 0-1 confidence of urgency_detected
+  classifier_source VARCHAR(100), -- Which classifier produced the labels: 'llm:<provider>:<model>' or 'keyword'
   escalated_to_human BOOLEAN DEFAULT FALSE, -- Whether escalated to human support
   session_id VARCHAR(100), -- Session identifier for grouping related messages
   user_metadata JSONB, -- Additional user context (timezone, department, etc.)
-  message_metadata JSONB, -- Additional message context (rich content, attachments, etc.)
+  message_metadata JSONB, -- Additional message context (rich content, mentions, etc.)
+  attachments JSONB, -- Images/files/audio sent with the message (Supabase Storage paths, screenshot text)
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   response_satisfaction INTEGER CHECK (response_satisfaction >= 1 AND response_satisfaction <= 5) -- User feedback on bot response
 );
 
+-- Processed Lark deliveries, shared by every instance to de-duplicate retries
+CREATE TABLE processed_events (
+  event_key VARCHAR(255) PRIMARY KEY, -- 'event:<event_id>' or 'message:<message_id>'
+  status VARCHAR(20) NOT NULL DEFAULT 'in_progress', -- 'in_progress', 'done'
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL, -- Claim can be taken over / purged after this
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Background job queue (Lark events are acknowledged first and processed from here)
+CREATE TABLE job_queue (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  job_type VARCHAR(50) NOT NULL, -- 'lark_message', ...
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'running'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(), -- Not picked up before this (retry backoff)
+  locked_at TIMESTAMP WITH TIME ZONE, -- When a worker claimed the job
+  last_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Jobs that ran out of attempts
+CREATE TABLE job_dead_letters (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  job_id UUID,
+  job_type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  attempts INTEGER NOT NULL,
+  last_error TEXT,
+  failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Knowledge base chunks with embeddings (KNOWLEDGE_EMBEDDINGS=true) need the
+-- pgvector extension, so they are created separately:
+-- KNOWLEDGE_EMBEDDINGS=true node migrate-tables.js prints the SQL
+
+-- Bot configuration edited through /api/config (FAQs, issue categories, escalation rules, ...)
+-- Every save is a new version; the highest version of a key is the live value
+CREATE TABLE bot_config_versions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  config_key VARCHAR(100) NOT NULL, -- 'faq_responses', 'issue_categories', 'escalation_rules', ...
+  version INTEGER NOT NULL,
+  value JSONB NOT NULL,
+  updated_by VARCHAR(255),
+  comment TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (config_key, version) -- Two concurrent edits of the same version conflict
+);
+
+-- Live value of each key
+CREATE VIEW bot_config AS
+SELECT DISTINCT ON (config_key) *
+FROM bot_config_versions
+ORDER BY config_key, version DESC;
+
+-- History of every change to a ticket (created, status changes, comments, ...)
+CREATE TABLE ticket_events (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  ticket_id UUID NOT NULL REFERENCES support_tickets(id) ON DELETE CASCADE,
+  ticket_number VARCHAR(20) NOT NULL,
+  event_type VARCHAR(50) NOT NULL, -- 'created', 'status_changed', 'assigned', 'updated', 'comment', 'agent_reply', 'internal_note', ...
+  actor_type VARCHAR(20) NOT NULL DEFAULT 'system', -- 'user', 'agent', 'bot', 'system'
+  actor_id VARCHAR(100), -- Lark user ID of whoever made the change
+  actor_name VARCHAR(255),
+  details JSONB DEFAULT '{}', -- { from, to } for status changes, { changes: { field: { from, to } } } for edits, { text } for messages
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Tickets users are part-way through creating (the intake survives cold starts)
+CREATE TABLE ticket_intake_sessions (
+  intake_key VARCHAR(255) PRIMARY KEY, -- chat_id[:thread root]:sender open_id
+  state JSONB NOT NULL, -- Answers so far, question being asked, paused flag
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL, -- Pushed back on every message; purged after this
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Indexes for performance
 CREATE INDEX idx_support_tickets_status ON support_tickets(status);
 CREATE INDEX idx_support_tickets_user_id ON support_tickets(user_id);
 CREATE INDEX idx_support_tickets_created_at ON support_tickets(created_at);
 CREATE INDEX idx_support_tickets_urgency ON support_tickets(urgency_level);
+CREATE INDEX idx_support_tickets_support_message_id ON support_tickets(support_message_id);
+CREATE INDEX idx_support_tickets_assigned_to ON support_tickets(assigned_to);
+CREATE INDEX idx_support_tickets_category_assigned_at ON support_tickets(issue_category, assigned_at);
+CREATE INDEX idx_support_tickets_search ON support_tickets USING GIN (search_vector);
+CREATE INDEX idx_support_tickets_tags ON support_tickets USING GIN (tags);
+CREATE INDEX idx_ticket_events_ticket_id_created_at ON ticket_events(ticket_id, created_at);
 
 -- Knowledge base indexes
 CREATE INDEX idx_knowledge_base_category ON knowledge_base(category);
@@ -87,6 +190,14 @@ CREATE INDEX idx_message_logs_session_id ON message_logs(session_id);
 CREATE INDEX idx_message_logs_ticket_number ON message_logs(ticket_number);
 CREATE INDEX idx_message_logs_escalated ON message_logs(escalated_to_human);
 
+-- Processed events index for purging expired keys
+CREATE INDEX idx_processed_events_expires_at ON processed_events(expires_at);
+CREATE INDEX idx_ticket_intake_sessions_expires_at ON ticket_intake_sessions(expires_at);
+
+-- Job queue indexes
+CREATE INDEX idx_job_queue_status_run_at ON job_queue(status, run_at);
+CREATE INDEX idx_job_dead_letters_failed_at ON job_dead_letters(failed_at);
+
 -- Auto-update timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -117,4 +228,70 @@ CREATE SEQUENCE ticket_sequence START 1;
 
 CREATE TRIGGER generate_ticket_number_trigger
     BEFORE INSERT ON support_tickets
-    FOR EACH ROW EXECUTE FUNCTION generate_ticket_number(); 
\ No newline at end of file
+    FOR EACH ROW EXECUTE FUNCTION generate_ticket_number(); 
+
+-- Claim due jobs for a worker. SKIP LOCKED keeps concurrent instances from
+-- picking up the same job; running jobs whose lock expired are reclaimed.
+CREATE OR REPLACE FUNCTION claim_jobs(batch_size INTEGER, lock_timeout_seconds INTEGER DEFAULT 300)
+RETURNS SETOF job_queue AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE job_queue
+    SET status = 'running',
+        attempts = attempts + 1,
+        locked_at = NOW(),
+        updated_at = NOW()
+    WHERE id IN (
+        SELECT id FROM job_queue
+        WHERE (status = 'pending' AND run_at <= NOW())
+           OR (status = 'running' AND locked_at < NOW() - make_interval(secs => lock_timeout_seconds))
+        ORDER BY run_at
+        LIMIT batch_size
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+END;
+$$ language 'plpgsql';
+
+-- Ticket counts per status, urgency, category and assignee for GET /tickets.
+-- Every count uses the search's other filters but not its own, so a filter
+-- chip still shows how many tickets the other choices would find.
+CREATE OR REPLACE FUNCTION ticket_search_facets(
+    search_query TEXT DEFAULT NULL,
+    user_ids TEXT[] DEFAULT NULL,
+    tag_list TEXT[] DEFAULT NULL,
+    created_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    created_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    statuses TEXT[] DEFAULT NULL,
+    urgencies TEXT[] DEFAULT NULL,
+    categories TEXT[] DEFAULT NULL,
+    assignees TEXT[] DEFAULT NULL,
+    unassigned BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (facet TEXT, facet_value TEXT, ticket_count BIGINT) AS $$
+    WITH matches AS (
+        SELECT status, urgency_level, issue_category, assigned_to,
+               (statuses IS NULL OR status = ANY(statuses)) AS status_match,
+               (urgencies IS NULL OR urgency_level = ANY(urgencies)) AS urgency_match,
+               (categories IS NULL OR issue_category = ANY(categories)) AS category_match,
+               (CASE WHEN unassigned THEN assigned_to IS NULL
+                     ELSE assignees IS NULL OR assigned_to = ANY(assignees) END) AS assignee_match
+        FROM support_tickets
+        WHERE (search_query IS NULL OR search_vector @@ websearch_to_tsquery('english', search_query))
+          AND (user_ids IS NULL OR user_id = ANY(user_ids))
+          AND (tag_list IS NULL OR tags @> tag_list)
+          AND (created_from IS NULL OR created_at >= created_from)
+          AND (created_to IS NULL OR created_at <= created_to)
+    )
+    SELECT 'status', COALESCE(status, 'unknown'), COUNT(*) FROM matches
+    WHERE urgency_match AND category_match AND assignee_match GROUP BY 2
+    UNION ALL
+    SELECT 'urgency', COALESCE(urgency_level, 'unknown'), COUNT(*) FROM matches
+    WHERE status_match AND category_match AND assignee_match GROUP BY 2
+    UNION ALL
+    SELECT 'category', COALESCE(issue_category, 'unknown'), COUNT(*) FROM matches
+    WHERE status_match AND urgency_match AND assignee_match GROUP BY 2
+    UNION ALL
+    SELECT 'assigned_to', COALESCE(assigned_to, 'none'), COUNT(*) FROM matches
+    WHERE status_match AND urgency_match AND category_match GROUP BY 2;
+$$ language 'sql' STABLE;
@@ -0,0 +1,148 @@
+/**
+ * In-memory stand-in for the Supabase client, covering the query builder
+ * calls the ticket modules make. Tables are plain arrays of rows.
+ */
+
+function sameValue(cell, value) {
+  if (cell !== null && typeof cell === 'object') {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return JSON.stringify(sortKeys(cell)) === JSON.stringify(sortKeys(parsed));
+  }
+  return cell === value;
+}
+
+function sortKeys(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+}
+
+class Query {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.filters = [];
+    this.orders = [];
+    this.action = 'select';
+    this.returning = false;
+  }
+
+  rows() {
+    this.db.tables[this.table] = this.db.tables[this.table] || [];
+    return this.db.tables[this.table];
+  }
+
+  select(columns = '*', { count = null } = {}) {
+    if (this.action !== 'select') this.returning = true;
+    this.counted = count === 'exact';
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.values = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  eq(column, value) { this.filters.push(row => sameValue(row[column] ?? null, value)); return this; }
+  neq(column, value) { this.filters.push(row => !sameValue(row[column] ?? null, value)); return this; }
+  in(column, values) { this.filters.push(row => values.includes(row[column])); return this; }
+  is(column, value) { this.filters.push(row => (row[column] ?? null) === value); return this; }
+  gte(column, value) { this.filters.push(row => row[column] >= value); return this; }
+  lte(column, value) { this.filters.push(row => row[column] <= value); return this; }
+
+  // PostgREST or=(...) with eq/gt/lt conditions and nested and(...) groups
+  or(expression) {
+    const split = text => text.split(/,(?![^(]*\))/);
+    const condition = part => {
+      if (part.startsWith('and(')) {
+        const conditions = split(part.slice(4, -1)).map(condition);
+        return row => conditions.every(matches => matches(row));
+      }
+      const [column, op, ...rest] = part.split('.');
+      const value = rest.join('.').replace(/^"|"$/g, '');
+      return row => ({ eq: row[column] === value, gt: row[column] > value, lt: row[column] < value })[op];
+    };
+    const conditions = split(expression).map(condition);
+    this.filters.push(row => conditions.some(matches => matches(row)));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  range(from, to) {
+    this.offset = from;
+    this.count = to - from + 1;
+    return this;
+  }
+
+  limit(count) {
+    this.count = count;
+    return this;
+  }
+
+  single() {
+    this.one = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.one = 'maybeSingle';
+    return this;
+  }
+
+  run() {
+    const matches = this.rows().filter(row => this.filters.every(filter => filter(row)));
+    let data;
+
+    if (this.action === 'insert') {
+      data = this.values.map(values => ({ id: `id-${++this.db.sequence}`, created_at: new Date().toISOString(), ...values }));
+      this.rows().push(...data);
+    } else if (this.action === 'update') {
+      matches.forEach(row => Object.assign(row, this.values));
+      data = matches;
+    } else {
+      data = matches.slice().sort((a, b) => {
+        for (const { column, ascending } of this.orders) {
+          if (a[column] === b[column]) continue;
+          return (a[column] < b[column] ? -1 : 1) * (ascending ? 1 : -1);
+        }
+        return 0;
+      });
+      const offset = this.offset || 0;
+      data = data.slice(offset, this.count === undefined ? undefined : offset + this.count);
+    }
+
+    const count = matches.length;
+    data = data.map(row => ({ ...row }));
+    if (this.action !== 'select' && !this.returning) return { data: null, error: null };
+    if (!this.one) return this.counted ? { data, count, error: null } : { data, error: null };
+    if (data.length === 1) return { data: data[0], error: null };
+    if (data.length === 0 && this.one === 'maybeSingle') return { data: null, error: null };
+    return { data: null, error: { code: 'PGRST116', message: `Expected one row, got ${data.length}` } };
+  }
+
+  then(resolve, reject) {
+    // Settle on a later tick, like a network round trip, so concurrent callers interleave
+    return new Promise(done => setImmediate(done)).then(() => this.run()).then(resolve, reject);
+  }
+}
+
+function createFakeClient(tables = {}) {
+  const db = { tables, sequence: 0 };
+  return {
+    tables,
+    from: table => new Query(db, table),
+    rpc: async () => ({ data: [], error: null })
+  };
+}
+
+module.exports = { createFakeClient };
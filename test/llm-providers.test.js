@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const OpenAI = require('openai');
+const llm = require('../llm-providers');
+
+function withModels(task, models, fn) {
+  const name = `LLM_${task.toUpperCase()}_MODELS`;
+  const previous = process.env[name];
+  process.env[name] = models;
+  return Promise.resolve(fn()).finally(() => {
+    if (previous === undefined) delete process.env[name];
+    else process.env[name] = previous;
+  });
+}
+
+test('the stub answers deterministically from the last user message', () =>
+  withModels('answer', 'stub:echo', async () => {
+    const messages = [
+      { role: 'system', content: 'You are helpful' },
+      { role: 'user', content: 'How do I add a candidate?' }
+    ];
+    const first = await llm.complete('answer', { messages });
+    const second = await llm.complete('answer', { messages });
+
+    assert.equal(first.content, '[stub:echo] How do I add a candidate?');
+    assert.equal(second.content, first.content);
+    assert.equal(first.provider, 'stub');
+    assert.equal(first.model, 'echo');
+  }));
+
+test('the stub returns an empty object for JSON requests', () =>
+  withModels('extraction', 'stub:json', async () => {
+    const result = await llm.complete('extraction', { messages: [{ role: 'user', content: 'x' }], json: true });
+    assert.equal(result.content, '{}');
+  }));
+
+test('the stub streams its answer through onPartial', () =>
+  withModels('answer', 'stub:stream', async () => {
+    const partials = [];
+    const result = await llm.complete('answer', { messages: [{ role: 'user', content: 'hi' }], onPartial: text => partials.push(text) });
+    assert.deepEqual(partials, [result.content]);
+  }));
+
+test('an unavailable provider falls back to the next model in the chain', () =>
+  withModels('answer', 'missing:model-a,stub:model-b', async () => {
+    const result = await llm.complete('answer', { messages: [{ role: 'user', content: 'hi' }] });
+
+    assert.equal(result.model, 'model-b');
+    assert.deepEqual(result.attempts.map(attempt => [attempt.provider, attempt.ok]), [['missing', false], ['stub', true]]);
+  }));
+
+test('the last error is thrown with every attempt when the whole chain fails', () =>
+  withModels('answer', 'missing:a,unknown:b', async () => {
+    await assert.rejects(
+      llm.complete('answer', { messages: [{ role: 'user', content: 'hi' }] }),
+      error => {
+        assert.match(error.message, /Unknown LLM provider: unknown/);
+        assert.equal(error.attempts.length, 2);
+        return true;
+      }
+    );
+  }));
+
+test('duplicate entries in a chain are tried once', () =>
+  withModels('answer', 'stub:a, stub:a ,stub:b', () => {
+    assert.deepEqual(llm.getModelChain('answer'), [
+      { provider: 'stub', model: 'a' },
+      { provider: 'stub', model: 'b' }
+    ]);
+  }));
+
+test('the stub embeds texts deterministically', () => {
+  const previous = process.env.LLM_EMBEDDING_MODEL;
+  process.env.LLM_EMBEDDING_MODEL = 'stub:embed';
+  return llm.embed(['abc', 'abc', 'xyz']).then(([a, b, c]) => {
+    assert.equal(a.length, 1536);
+    assert.deepEqual(a, b);
+    assert.notDeepEqual(a, c);
+  }).finally(() => {
+    if (previous === undefined) delete process.env.LLM_EMBEDDING_MODEL;
+    else process.env.LLM_EMBEDDING_MODEL = previous;
+  });
+});
+
+test('isFallbackError: rate limits, timeouts, 5xx and unavailable providers move on', () => {
+  assert.equal(llm.isFallbackError({ status: 429 }), true);
+  assert.equal(llm.isFallbackError({ status: 408 }), true);
+  assert.equal(llm.isFallbackError({ status: 500 }), true);
+  assert.equal(llm.isFallbackError({ status: 503 }), true);
+  assert.equal(llm.isFallbackError({ providerUnavailable: true }), true);
+  assert.equal(llm.isFallbackError(new Error('Request timed out.')), true);
+  assert.equal(llm.isFallbackError(new OpenAI.APIConnectionError({ message: 'Connection error.' })), true);
+});
+
+test('isFallbackError: request errors stop the chain', () => {
+  assert.equal(llm.isFallbackError({ status: 400, message: 'Bad request' }), false);
+  assert.equal(llm.isFallbackError({ status: 401, message: 'Invalid API key' }), false);
+  assert.equal(llm.isFallbackError({ status: 404, message: 'Model not found' }), false);
+  assert.equal(llm.isFallbackError(new Error('Unexpected token in JSON')), false);
+});
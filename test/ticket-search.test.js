@@ -0,0 +1,102 @@
+process.env.CONFIG_STORE_BACKEND = 'memory';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeClient } = require('./fake-supabase');
+const ticketSearch = require('../ticket-search');
+
+// Two pairs of tickets share a created_at, so paging has to break ties by id
+const CREATED_AT = [
+  '2026-10-18T10:00:00.000Z',
+  '2026-10-18T11:00:00.000Z',
+  '2026-10-18T11:00:00.000Z',
+  '2026-10-18T12:00:00.000Z',
+  '2026-10-18T13:00:00.000Z',
+  '2026-10-18T13:00:00.000Z',
+  '2026-10-18T14:00:00.000Z'
+];
+
+function makeClient() {
+  return createFakeClient({
+    support_tickets: CREATED_AT.map((createdAt, index) => ({
+      id: `ticket-${index + 1}`,
+      ticket_number: `PMN-20261018-000${index + 1}`,
+      status: 'open',
+      created_at: createdAt
+    }))
+  });
+}
+
+async function readAllPages(query) {
+  const client = makeClient();
+  const pages = [];
+  let cursor = null;
+
+  do {
+    const search = ticketSearch.parseSearchQuery({ ...query, ...(cursor ? { cursor } : {}) });
+    const page = await ticketSearch.searchTickets(search, client);
+    pages.push(page);
+    cursor = page.next_cursor;
+  } while (cursor && pages.length < 10);
+
+  return pages;
+}
+
+test('paging newest first returns every ticket once, ties included', async () => {
+  const pages = await readAllPages({ limit: '2' });
+
+  assert.deepEqual(pages.map(page => page.tickets.map(ticket => ticket.id)), [
+    ['ticket-7', 'ticket-6'],
+    ['ticket-5', 'ticket-4'],
+    ['ticket-3', 'ticket-2'],
+    ['ticket-1']
+  ]);
+  assert.deepEqual(pages.map(page => page.total), [7, 7, 7, 7]);
+  assert.equal(pages[pages.length - 1].next_cursor, null);
+});
+
+test('paging oldest first returns every ticket once, ties included', async () => {
+  const pages = await readAllPages({ limit: '3', order: 'asc' });
+
+  assert.deepEqual(pages.map(page => page.tickets.map(ticket => ticket.id)), [
+    ['ticket-1', 'ticket-2', 'ticket-3'],
+    ['ticket-4', 'ticket-5', 'ticket-6'],
+    ['ticket-7']
+  ]);
+  assert.deepEqual(pages.map(page => page.total), [7, 7, 7]);
+});
+
+test('a page that ends exactly at the last ticket has no next cursor', async () => {
+  const pages = await readAllPages({ limit: '7' });
+
+  assert.equal(pages.length, 1);
+  assert.equal(pages[0].tickets.length, 7);
+  assert.equal(pages[0].next_cursor, null);
+});
+
+test('a cursor only works with the sort order it was made for', async () => {
+  const [first] = await readAllPages({ limit: '5' });
+
+  assert.throws(
+    () => ticketSearch.parseSearchQuery({ cursor: first.next_cursor, order: 'asc' }),
+    { statusCode: 400, message: 'The cursor is for a different sort order: start again without it' }
+  );
+});
+
+test('malformed or tampered cursors are rejected', () => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const valid = { sort: 'created_at', order: 'desc', value: '2026-10-18T10:00:00.000Z', id: 'ticket-1', seen: 2 };
+
+  [
+    'not a cursor',
+    encode({ ...valid, value: '2026-10-18") ,id.gt.("' }),
+    encode({ ...valid, id: 'ticket\\1' }),
+    encode({ ...valid, seen: -1 }),
+    encode({ ...valid, seen: 1.5 }),
+    encode({ ...valid, value: 42 })
+  ].forEach(cursor => {
+    assert.throws(() => ticketSearch.parseSearchQuery({ cursor }), { statusCode: 400, message: 'Invalid cursor' });
+  });
+
+  assert.equal(ticketSearch.parseSearchQuery({ cursor: encode(valid) }).cursor.seen, 2);
+});
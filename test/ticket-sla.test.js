@@ -0,0 +1,125 @@
+process.env.CONFIG_STORE_BACKEND = 'memory';
+delete process.env.LARK_SUPPORT_LEAD_ID;
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeClient } = require('./fake-supabase');
+const ticketSla = require('../ticket-sla');
+
+// Keep the progress logs out of the test report
+mock.method(console, 'log', () => {});
+
+const MINUTE_MS = 60 * 1000;
+const NOW = Date.parse('2026-10-18T12:00:00Z');
+
+function makeTicket(number, overrides = {}) {
+  return {
+    id: `ticket-${number}`,
+    ticket_number: `PMN-20261018-${String(number).padStart(4, '0')}`,
+    issue_title: 'Cannot log in',
+    status: 'open',
+    urgency_level: 'critical',
+    support_chat_id: 'oc_support',
+    sla_alerts: {},
+    created_at: new Date(NOW - number * MINUTE_MS).toISOString(),
+    ...overrides
+  };
+}
+
+// Critical tickets need a first response within an hour, so 50 minutes in is at risk
+function atRiskTicket(number = 1) {
+  return makeTicket(number, { created_at: new Date(NOW - 50 * MINUTE_MS).toISOString() });
+}
+
+function recorder(result = { message_id: 'om_sent' }) {
+  const sent = [];
+  const sendMessage = async (chatId, text) => {
+    sent.push({ chatId, text });
+    return typeof result === 'function' ? result(chatId) : result;
+  };
+  return { sent, sendMessage };
+}
+
+test('every open ticket is checked, not just the first page', async () => {
+  const tickets = Array.from({ length: 1203 }, (_, index) => makeTicket(index, { urgency_level: 'low', created_at: new Date(NOW).toISOString() }));
+  tickets.push(makeTicket(9999, { status: 'closed' }));
+  const client = createFakeClient({ support_tickets: tickets });
+
+  const result = await ticketSla.checkTickets(recorder().sendMessage, { now: NOW }, client);
+
+  assert.equal(result.checked, 1203);
+});
+
+test('a warning is sent once and recorded in sla_alerts and ticket_events', async () => {
+  const client = createFakeClient({ support_tickets: [atRiskTicket()] });
+  const { sent, sendMessage } = recorder();
+
+  const first = await ticketSla.checkTickets(sendMessage, { now: NOW }, client);
+  const second = await ticketSla.checkTickets(sendMessage, { now: NOW }, client);
+
+  assert.equal(first.warnings, 1);
+  assert.equal(second.warnings, 0);
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].text, /SLA warning/);
+  assert.ok(client.tables.support_tickets[0].sla_alerts.first_response_warning);
+  assert.deepEqual(client.tables.ticket_events.map(event => event.event_type), ['sla_warning']);
+});
+
+test('overlapping checks send each alert once', async () => {
+  const client = createFakeClient({ support_tickets: [atRiskTicket()] });
+  const { sent, sendMessage } = recorder();
+
+  const results = await Promise.all([
+    ticketSla.checkTickets(sendMessage, { now: NOW }, client),
+    ticketSla.checkTickets(sendMessage, { now: NOW }, client)
+  ]);
+
+  assert.equal(sent.length, 1);
+  assert.equal(results[0].warnings + results[1].warnings, 1);
+  assert.equal(client.tables.ticket_events.length, 1);
+});
+
+test('an alert that could not be delivered is retried on the next check', async () => {
+  const client = createFakeClient({ support_tickets: [atRiskTicket()] });
+
+  const failed = await ticketSla.checkTickets(recorder(null).sendMessage, { now: NOW }, client);
+  assert.equal(failed.warnings, 0);
+  assert.deepEqual(client.tables.support_tickets[0].sla_alerts, {});
+  assert.equal(client.tables.ticket_events, undefined);
+
+  const { sent, sendMessage } = recorder();
+  const retried = await ticketSla.checkTickets(sendMessage, { now: NOW }, client);
+  assert.equal(retried.warnings, 1);
+  assert.equal(sent.length, 1);
+});
+
+test('a breach reaches the support lead even without a support group', async () => {
+  process.env.LARK_SUPPORT_LEAD_ID = 'ou_lead';
+  const previousGroup = process.env.LARK_SUPPORT_GROUP_ID;
+  delete process.env.LARK_SUPPORT_GROUP_ID;
+
+  try {
+    const ticket = makeTicket(1, { support_chat_id: null, created_at: new Date(NOW - 90 * MINUTE_MS).toISOString() });
+    const client = createFakeClient({ support_tickets: [ticket] });
+    const { sent, sendMessage } = recorder();
+
+    const result = await ticketSla.checkTickets(sendMessage, { now: NOW }, client);
+
+    assert.equal(result.breaches, 1);
+    assert.deepEqual(sent.map(message => message.chatId), ['ou_lead']);
+    assert.equal(client.tables.ticket_events[0].details.escalatedTo, 'ou_lead');
+  } finally {
+    delete process.env.LARK_SUPPORT_LEAD_ID;
+    if (previousGroup !== undefined) process.env.LARK_SUPPORT_GROUP_ID = previousGroup;
+  }
+});
+
+test('target states follow the deadlines', () => {
+  const ticket = makeTicket(1, { created_at: new Date(NOW).toISOString() });
+
+  assert.equal(ticketSla.getTargetState(ticket, 'first_response', NOW + 30 * MINUTE_MS).state, 'on_track');
+  assert.equal(ticketSla.getTargetState(ticket, 'first_response', NOW + 50 * MINUTE_MS).state, 'at_risk');
+  assert.equal(ticketSla.getTargetState(ticket, 'first_response', NOW + 70 * MINUTE_MS).state, 'breached');
+  assert.equal(ticketSla.getTargetState({ ...ticket, first_response_at: new Date(NOW + 10 * MINUTE_MS).toISOString() }, 'first_response', NOW + 120 * MINUTE_MS).state, 'met');
+  assert.equal(ticketSla.getTargetState({ ...ticket, status: 'closed' }, 'resolution', NOW).state, 'not_applicable');
+});
@@ -0,0 +1,124 @@
+process.env.CONFIG_STORE_BACKEND = 'memory';
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeClient } = require('./fake-supabase');
+const ticketUpdates = require('../ticket-updates');
+const ticketCommands = require('../ticket-commands');
+
+// Keep the progress logs out of the test report
+mock.method(console, 'log', () => {});
+
+const AGENT = { type: 'agent', id: 'ou_agent' };
+const REQUESTER = { userIds: ['ou_user'], name: 'Requester' };
+
+function makeClient(status, overrides = {}) {
+  return createFakeClient({
+    support_tickets: [{
+      id: 'ticket-1',
+      ticket_number: 'PMN-20261018-0001',
+      issue_title: 'Cannot log in',
+      issue_description: 'The login page spins forever',
+      user_id: 'ou_user',
+      status,
+      urgency_level: 'medium',
+      resolved_at: null,
+      created_at: '2026-10-18T10:00:00.000Z',
+      ...overrides
+    }]
+  });
+}
+
+function statusEvents(client) {
+  return (client.tables.ticket_events || [])
+    .filter(event => event.event_type === 'status_changed')
+    .map(event => `${event.details.from}->${event.details.to}`);
+}
+
+test('every status can only go where STATUS_TRANSITIONS allows', () => {
+  const statuses = Object.keys(ticketUpdates.STATUS_TRANSITIONS);
+  const allowed = statuses.flatMap(from => statuses.filter(to => to !== from && ticketUpdates.canTransition(from, to)).map(to => `${from}->${to}`));
+
+  assert.deepEqual(allowed, [
+    'open->in_progress', 'open->resolved', 'open->closed',
+    'in_progress->resolved', 'in_progress->closed',
+    'resolved->open', 'resolved->closed',
+    'closed->open'
+  ]);
+});
+
+test('an open ticket is resolved in a single step', async () => {
+  const client = makeClient('open');
+
+  const ticket = await ticketUpdates.updateTicket('PMN-20261018-0001', { status: 'resolved', resolution_notes: ' Clear the cache ' }, AGENT, client);
+
+  assert.equal(ticket.status, 'resolved');
+  assert.equal(ticket.resolution_notes, 'Clear the cache');
+  assert.ok(ticket.resolved_at);
+  assert.deepEqual(statusEvents(client), ['open->resolved']);
+});
+
+test('a move the table does not allow is rejected with a 409', async () => {
+  const client = makeClient('closed');
+
+  await assert.rejects(
+    ticketUpdates.updateTicket('PMN-20261018-0001', { status: 'resolved' }, AGENT, client),
+    { statusCode: 409, message: 'Cannot move a ticket from closed to resolved; it can go to: open' }
+  );
+  assert.equal(client.tables.support_tickets[0].status, 'closed');
+});
+
+test('of two concurrent status changes only the first is applied', async () => {
+  const client = makeClient('open');
+
+  const results = await Promise.allSettled([
+    ticketUpdates.updateTicket('PMN-20261018-0001', { status: 'in_progress' }, AGENT, client),
+    ticketUpdates.updateTicket('PMN-20261018-0001', { status: 'closed' }, AGENT, client)
+  ]);
+
+  assert.equal(results[0].status, 'fulfilled');
+  assert.equal(results[1].status, 'rejected');
+  assert.equal(results[1].reason.statusCode, 409);
+  assert.equal(client.tables.support_tickets[0].status, 'in_progress');
+  assert.deepEqual(statusEvents(client), ['open->in_progress']);
+});
+
+test('/close moves the requester\'s ticket through the state machine', async () => {
+  const client = makeClient('in_progress');
+
+  const reply = await ticketCommands.runCommand(ticketCommands.parseCommand('/close PMN-20261018-0001'), REQUESTER, client);
+
+  assert.match(reply, /is now closed/);
+  assert.equal(client.tables.support_tickets[0].status, 'closed');
+  assert.deepEqual(statusEvents(client), ['in_progress->closed']);
+  assert.equal(client.tables.ticket_events[0].actor_type, 'user');
+});
+
+test('/reopen clears resolved_at', async () => {
+  const client = makeClient('resolved', { resolved_at: '2026-10-18T11:00:00.000Z' });
+
+  const reply = await ticketCommands.runCommand(ticketCommands.parseCommand('/reopen PMN-20261018-0001'), REQUESTER, client);
+
+  assert.match(reply, /has been reopened/);
+  assert.equal(client.tables.support_tickets[0].status, 'open');
+  assert.equal(client.tables.support_tickets[0].resolved_at, null);
+  assert.deepEqual(statusEvents(client), ['resolved->open']);
+});
+
+test('/reopen leaves an open ticket alone', async () => {
+  const client = makeClient('open');
+
+  const reply = await ticketCommands.runCommand(ticketCommands.parseCommand('/reopen PMN-20261018-0001'), REQUESTER, client);
+
+  assert.match(reply, /nothing to reopen/);
+  assert.deepEqual(statusEvents(client), []);
+});
+
+test('commands only find the requester\'s own tickets', async () => {
+  const client = makeClient('open', { user_id: 'ou_someone_else' });
+
+  const reply = await ticketCommands.runCommand(ticketCommands.parseCommand('/close PMN-20261018-0001'), REQUESTER, client);
+
+  assert.match(reply, /couldn't find ticket/);
+  assert.equal(client.tables.support_tickets[0].status, 'open');
+});
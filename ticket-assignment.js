@@ -0,0 +1,314 @@
+/**
+ * Ticket assignment
+ *
+ * Routes new tickets to the support agents in the support_agents config.
+ * An agent takes tickets in their categories (all categories if none are
+ * listed) while they are inside their working hours; when nobody is working,
+ * agents marked on_call are used. Each category is routed round-robin or to
+ * the agent with the fewest open tickets (least_loaded). Tickets nobody
+ * could be found for are left for an agent to claim from the support group.
+ * Every assignment is recorded as an 'assigned' ticket event, and the agent
+ * gets a direct message about it.
+ */
+
+const configStore = require('./config-store');
+const ticketEvents = require('./ticket-events');
+
+const TICKETS_TABLE = 'support_tickets';
+const OPEN_STATUSES = ['open', 'in_progress'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function getRoster() {
+  return configStore.get('support_agents');
+}
+
+/**
+ * The roster entry for a Lark ID, or null
+ */
+function findAgent(agentId) {
+  return getRoster().agents.find(agent => agent.id === agentId) || null;
+}
+
+function getAgentName(agentId) {
+  return findAgent(agentId)?.name || null;
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether an agent is inside their working hours at `now` (always, if they
+ * have none). Shifts may run past midnight (start later than end).
+ */
+function isWorking(agent, now = new Date()) {
+  const hours = agent.working_hours;
+  if (!hours) return true;
+
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: agent.timezone || 'UTC',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).map(part => [part.type, part.value]));
+
+  const day = WEEKDAYS.indexOf(parts.weekday);
+  const minute = Number(parts.hour) * 60 + Number(parts.minute);
+  const start = toMinutes(hours.start);
+  const end = toMinutes(hours.end);
+  const days = hours.days || [1, 2, 3, 4, 5];
+
+  if (start <= end) {
+    return days.includes(day) && minute >= start && minute < end;
+  }
+  // Overnight shift: the early hours belong to the previous day's shift
+  return (days.includes(day) && minute >= start) || (days.includes((day + 6) % 7) && minute < end);
+}
+
+/**
+ * Active agents who handle a category, in roster order
+ */
+function getCategoryAgents(category) {
+  return getRoster().agents.filter(agent =>
+    agent.active !== false &&
+    (!agent.categories || agent.categories.length === 0 || agent.categories.includes(category))
+  );
+}
+
+/**
+ * Agents a ticket in this category can go to now: those working, or the
+ * on-call agents when nobody is
+ */
+function getAvailableAgents(category, now = new Date()) {
+  const agents = getCategoryAgents(category);
+  const working = agents.filter(agent => isWorking(agent, now));
+  return working.length > 0 ? working : agents.filter(agent => agent.on_call);
+}
+
+function getStrategy(category) {
+  const roster = getRoster();
+  return roster.category_strategies?.[category] || roster.strategy || 'round_robin';
+}
+
+/**
+ * The available agent after whoever got the last ticket in this category
+ */
+async function pickRoundRobin(category, available, client) {
+  const { data, error } = await client
+    .from(TICKETS_TABLE)
+    .select('assigned_to')
+    .eq('issue_category', category)
+    .not('assigned_at', 'is', null)
+    .order('assigned_at', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+
+  // Walk the category's full rotation so an agent who is off doesn't reset it
+  const rotation = getCategoryAgents(category);
+  const lastIndex = rotation.findIndex(agent => agent.id === data?.[0]?.assigned_to);
+  for (let step = 1; step <= rotation.length; step++) {
+    const candidate = rotation[(lastIndex + step) % rotation.length];
+    if (available.some(agent => agent.id === candidate.id)) {
+      return candidate;
+    }
+  }
+  return available[0];
+}
+
+/**
+ * The available agent with the fewest open tickets (roster order breaks ties)
+ */
+async function pickLeastLoaded(available, client) {
+  const { data, error } = await client
+    .from(TICKETS_TABLE)
+    .select('assigned_to')
+    .in('assigned_to', available.map(agent => agent.id))
+    .in('status', OPEN_STATUSES);
+
+  if (error) throw error;
+
+  const load = new Map(available.map(agent => [agent.id, 0]));
+  (data || []).forEach(row => load.set(row.assigned_to, (load.get(row.assigned_to) || 0) + 1));
+
+  return available.reduce((best, agent) => (load.get(agent.id) < load.get(best.id) ? agent : best));
+}
+
+/**
+ * The agent a new ticket should go to, as { agent, strategy }, or null if
+ * nobody is available
+ */
+async function chooseAgent(ticket, { now = new Date() } = {}, client = require('./supabase-client')) {
+  const category = ticket.issue_category || 'general';
+  const available = getAvailableAgents(category, now);
+  if (available.length === 0) return null;
+
+  const strategy = getStrategy(category);
+  const agent = strategy === 'least_loaded'
+    ? await pickLeastLoaded(available, client)
+    : await pickRoundRobin(category, available, client);
+
+  return { agent, strategy };
+}
+
+/**
+ * Assign a ticket to an agent ({ id, name }) and record it. actor is who made
+ * the change ({ type, id, name }); details are added to the event (e.g. the
+ * routing used). With onlyIfUnassigned the ticket is left alone if someone
+ * else got it first. Returns the updated ticket, or null if it wasn't changed.
+ */
+async function assignTicket(ticket, agent, actor, { details = {}, onlyIfUnassigned = false } = {}, client = require('./supabase-client')) {
+  let query = client
+    .from(TICKETS_TABLE)
+    .update({ assigned_to: agent.id, assigned_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('id', ticket.id);
+
+  if (onlyIfUnassigned) {
+    query = query.is('assigned_to', null);
+  }
+
+  const { data, error } = await query.select().maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+
+  await ticketEvents.recordEvent(data, 'assigned', actor, {
+    from: ticket.assigned_to || null,
+    to: agent.id,
+    toName: agent.name || getAgentName(agent.id),
+    ...details
+  }, client);
+
+  return data;
+}
+
+/**
+ * Route a new ticket to an available agent. Returns the updated ticket, or
+ * null if it was left unassigned.
+ */
+async function autoAssign(ticket, client = require('./supabase-client')) {
+  try {
+    await configStore.refresh();
+    const choice = await chooseAgent(ticket, {}, client);
+    if (!choice) {
+      console.log('👥 No support agent available for', ticket.ticket_number, '- leaving it to be claimed');
+      return null;
+    }
+
+    const assigned = await assignTicket(ticket, choice.agent, { type: 'system' }, {
+      details: { routing: choice.strategy },
+      onlyIfUnassigned: true
+    }, client);
+
+    if (assigned) {
+      console.log(`👥 Ticket ${ticket.ticket_number} assigned to ${choice.agent.name || choice.agent.id} (${choice.strategy})`);
+    }
+    return assigned;
+  } catch (error) {
+    console.error('❌ Error assigning ticket:', ticket.ticket_number, error.message);
+    return null;
+  }
+}
+
+/**
+ * An agent claiming an unassigned ticket from the support group card.
+ * operator is the Lark user who clicked; name is their display name.
+ * When a roster is configured only agents on it can claim.
+ * Returns { ok, message, ticket }.
+ */
+async function claimTicket(ticketNumber, operator = {}, name = null, client = require('./supabase-client')) {
+  const agentId = operator.open_id || operator.user_id;
+  if (!agentId) {
+    return { ok: false, message: 'Could not tell who you are.' };
+  }
+
+  try {
+    await configStore.refresh();
+    const roster = getRoster();
+    const rosterAgent = findAgent(agentId);
+    if (roster.agents.length > 0 && !rosterAgent) {
+      return { ok: false, message: 'Only support agents can claim tickets.' };
+    }
+
+    const { data: ticket, error } = await client
+      .from(TICKETS_TABLE)
+      .select('*')
+      .eq('ticket_number', ticketNumber)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!ticket) {
+      return { ok: false, message: `Ticket ${ticketNumber} was not found.` };
+    }
+    if (ticket.assigned_to) {
+      return {
+        ok: false,
+        message: ticket.assigned_to === agentId
+          ? 'This ticket is already yours.'
+          : `Already assigned to ${getAgentName(ticket.assigned_to) || ticket.assigned_to}.`,
+        ticket
+      };
+    }
+
+    const agent = { id: agentId, name: rosterAgent?.name || name };
+    const assigned = await assignTicket(ticket, agent, { type: 'agent', id: agentId, name: agent.name }, {
+      details: { routing: 'claimed' },
+      onlyIfUnassigned: true
+    }, client);
+
+    if (!assigned) {
+      return { ok: false, message: 'Someone else claimed this ticket first.' };
+    }
+    return { ok: true, message: `You claimed ${ticketNumber}.`, ticket: assigned };
+  } catch (error) {
+    console.error('❌ Error claiming ticket:', ticketNumber, error);
+    return { ok: false, message: 'Could not claim the ticket, please try again.' };
+  }
+}
+
+/**
+ * Whether the new assignee gets a direct message about an event. Agents who
+ * claimed a ticket themselves already know.
+ */
+function shouldNotifyAgent(event) {
+  return event.event_type === 'assigned' &&
+    !!event.details?.to &&
+    !(event.actor_type === 'agent' && event.actor_id === event.details.to);
+}
+
+/**
+ * Direct message the agent a ticket was assigned to. sendMessage is the
+ * bot's sendMessage(chatId, text, options).
+ */
+async function notifyAgent(ticket, event, sendMessage) {
+  if (!shouldNotifyAgent(event)) return null;
+
+  const sent = await sendMessage(event.details.to, `📥 **Ticket assigned to you**
+
+**Ticket**: ${ticket.ticket_number}
+**Title**: ${ticket.issue_title}
+**Urgency**: ${(ticket.urgency_level || 'medium').toUpperCase()}
+**Category**: ${ticket.issue_category || 'general'}
+**Requester**: ${ticket.user_name || 'Unknown'}${ticket.first_response_due_at ? `\n**First response due**: ${new Date(ticket.first_response_due_at).toISOString().substring(0, 16).replace('T', ' ')} UTC` : ''}
+
+**Description**: ${ticket.issue_description}
+
+Reply in the ticket's thread in the support group to answer the requester.`);
+
+  console.log(`📥 Agent ${event.details.to} ${sent ? 'notified' : 'could not be notified'} of ${ticket.ticket_number}`);
+  return sent;
+}
+
+module.exports = {
+  findAgent,
+  getAgentName,
+  isWorking,
+  getAvailableAgents,
+  chooseAgent,
+  assignTicket,
+  autoAssign,
+  claimTicket,
+  shouldNotifyAgent,
+  notifyAgent
+};
@@ -0,0 +1,211 @@
+/**
+ * Ticket commands
+ *
+ * Lets users follow up on their own tickets from Lark:
+ *   /mytickets [all]              - the user's tickets (open ones unless "all")
+ *   /ticket <number>              - details and recent comments
+ *   /close <number>               - close a ticket the user no longer needs
+ *   /reopen <number>              - reopen a resolved or closed ticket
+ *   /comment <number> <text>      - add information to a ticket
+ * Commands only see tickets whose user_id is the requesting user, and every
+ * change is recorded as a ticket event.
+ */
+
+const ticketEvents = require('./ticket-events');
+const ticketUpdates = require('./ticket-updates');
+
+const TICKETS_TABLE = 'support_tickets';
+const COMMAND_PATTERN = /^\/(mytickets|my-tickets|ticket|close|reopen|comment|tickethelp)\b\s*([\s\S]*)$/i;
+const TICKET_NUMBER_PATTERN = /^PMN-\d{8}-\d{4,}$/i;
+const DONE_STATUSES = ['resolved', 'closed'];
+const MAX_LISTED_TICKETS = 10;
+const MAX_SHOWN_COMMENTS = 5;
+const MAX_COMMENT_LENGTH = 2000;
+
+const STATUS_LABELS = {
+  open: '🟢 Open',
+  in_progress: '🔵 In progress',
+  resolved: '✅ Resolved',
+  closed: '⚪ Closed'
+};
+
+const HELP_TEXT = `**Ticket commands**
+• \`/mytickets\` - your open tickets (\`/mytickets all\` for every ticket)
+• \`/ticket PMN-20251018-0001\` - ticket details
+• \`/close PMN-20251018-0001\` - close a ticket you no longer need
+• \`/reopen PMN-20251018-0001\` - reopen a resolved or closed ticket
+• \`/comment PMN-20251018-0001 your message\` - add information to a ticket`;
+
+/**
+ * Parse a chat message into { name, ticketNumber, text }, or null if it is
+ * not a ticket command
+ */
+function parseCommand(message) {
+  const match = String(message || '').trim().match(COMMAND_PATTERN);
+  if (!match) return null;
+
+  const name = match[1].toLowerCase() === 'my-tickets' ? 'mytickets' : match[1].toLowerCase();
+  const args = match[2].trim();
+  const firstArg = args.split(/\s+/)[0];
+
+  if (name === 'mytickets') {
+    return { name, all: firstArg.toLowerCase() === 'all' };
+  }
+
+  return {
+    name,
+    ticketNumber: TICKET_NUMBER_PATTERN.test(firstArg) ? firstArg.toUpperCase() : null,
+    text: args.substring(firstArg.length).trim()
+  };
+}
+
+function formatStatus(status) {
+  return STATUS_LABELS[status] || status;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().substring(0, 16).replace('T', ' ') + ' UTC' : 'Unknown';
+}
+
+/**
+ * The requester's ticket with this number, or null. Other users' tickets are
+ * treated as not found so their numbers can't be probed.
+ */
+async function findUserTicket(client, ticketNumber, userIds) {
+  const { data, error } = await client
+    .from(TICKETS_TABLE)
+    .select('*')
+    .eq('ticket_number', ticketNumber)
+    .in('user_id', userIds)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function listTickets(client, userIds, all) {
+  let query = client
+    .from(TICKETS_TABLE)
+    .select('ticket_number, issue_title, status, urgency_level, created_at')
+    .in('user_id', userIds)
+    .order('created_at', { ascending: false })
+    .limit(MAX_LISTED_TICKETS);
+
+  if (!all) {
+    query = query.not('status', 'in', `(${DONE_STATUSES.join(',')})`);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  if (!data || data.length === 0) {
+    return all
+      ? 'You have no support tickets.'
+      : 'You have no open support tickets. Use `/mytickets all` to include resolved and closed ones.';
+  }
+
+  const lines = data.map(ticket =>
+    `• **${ticket.ticket_number}** - ${ticket.issue_title} (${formatStatus(ticket.status)}, ${(ticket.urgency_level || 'medium').toUpperCase()})`
+  );
+  return `🎫 **Your ${all ? '' : 'open '}tickets**${data.length === MAX_LISTED_TICKETS ? ` (latest ${MAX_LISTED_TICKETS})` : ''}
+
+${lines.join('\n')}
+
+Use \`/ticket <number>\` for details.`;
+}
+
+async function showTicket(client, ticket) {
+  const comments = (await ticketEvents.listEvents(ticket.id, { eventTypes: ['comment'] }, client))
+    .slice(-MAX_SHOWN_COMMENTS);
+
+  const commentLines = comments.map(event =>
+    `• ${event.actor_name || event.actor_type} (${formatDate(event.created_at)}): ${event.details?.text || ''}`
+  );
+
+  return `🎫 **${ticket.ticket_number}** - ${ticket.issue_title}
+
+**Status**: ${formatStatus(ticket.status)}
+**Urgency**: ${(ticket.urgency_level || 'medium').toUpperCase()}
+**Category**: ${ticket.issue_category || 'general'}
+**Created**: ${formatDate(ticket.created_at)}
+**Last updated**: ${formatDate(ticket.updated_at)}
+
+**Description**: ${ticket.issue_description}${ticket.resolution_notes ? `\n\n**Resolution**: ${ticket.resolution_notes}` : ''}${commentLines.length > 0 ? `\n\n**Recent comments**\n${commentLines.join('\n')}` : ''}`;
+}
+
+/**
+ * Run a parsed command for the requester ({ userIds, name }): userIds are the
+ * Lark IDs the user may be stored under. Returns the reply text.
+ */
+async function runCommand(command, requester, client = require('./supabase-client')) {
+  const userIds = (requester.userIds || []).filter(Boolean);
+  const actor = { type: 'user', id: userIds[0] || null, name: requester.name || null };
+
+  if (command.name === 'tickethelp') {
+    return HELP_TEXT;
+  }
+  if (userIds.length === 0) {
+    return '❌ I couldn\'t tell who you are, so I can\'t look up your tickets.';
+  }
+
+  try {
+    if (command.name === 'mytickets') {
+      return await listTickets(client, userIds, command.all);
+    }
+
+    if (!command.ticketNumber) {
+      return `Please include a ticket number, e.g. \`/${command.name} PMN-20251018-0001${command.name === 'comment' ? ' your message' : ''}\`.\n\n${HELP_TEXT}`;
+    }
+
+    const ticket = await findUserTicket(client, command.ticketNumber, userIds);
+    if (!ticket) {
+      return `I couldn't find ticket **${command.ticketNumber}** among your tickets. Use \`/mytickets all\` to see them.`;
+    }
+
+    switch (command.name) {
+      case 'ticket':
+        return await showTicket(client, ticket);
+
+      case 'close':
+        if (ticket.status === 'closed') {
+          return `Ticket **${ticket.ticket_number}** is already closed.`;
+        }
+        await ticketUpdates.updateTicket(ticket.ticket_number, { status: 'closed' }, actor, client);
+        return `⚪ Ticket **${ticket.ticket_number}** is now closed. Use \`/reopen ${ticket.ticket_number}\` if you need it again.`;
+
+      case 'reopen':
+        if (!DONE_STATUSES.includes(ticket.status)) {
+          return `Ticket **${ticket.ticket_number}** is still ${formatStatus(ticket.status).toLowerCase()} - there's nothing to reopen.`;
+        }
+        await ticketUpdates.updateTicket(ticket.ticket_number, { status: 'open' }, actor, client);
+        return `🟢 Ticket **${ticket.ticket_number}** has been reopened. Our support team will take another look.`;
+
+      case 'comment': {
+        const text = command.text.substring(0, MAX_COMMENT_LENGTH);
+        if (!text) {
+          return `Please add your comment after the ticket number, e.g. \`/comment ${ticket.ticket_number} it also happens on Safari\`.`;
+        }
+        const event = await ticketEvents.recordEvent(ticket, 'comment', actor, { text }, client);
+        if (!event) {
+          return '❌ I couldn\'t save your comment. Please try again in a moment.';
+        }
+        return `💬 Your comment was added to ticket **${ticket.ticket_number}**.`;
+      }
+
+      default:
+        return HELP_TEXT;
+    }
+  } catch (error) {
+    // A status change that isn't allowed, or raced with another one
+    if (error.statusCode) {
+      return `⚠️ ${error.message}.`;
+    }
+    console.error(`❌ Error running /${command.name}:`, error);
+    return '❌ Something went wrong while looking up your tickets. Please try again in a moment.';
+  }
+}
+
+module.exports = {
+  parseCommand,
+  runCommand
+};
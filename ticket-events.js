@@ -0,0 +1,222 @@
+/**
+ * Ticket events
+ *
+ * Every change to a support ticket (created, status changed, assigned, fields
+ * edited, comments and relayed replies, ...) is stored as a row in
+ * ticket_events with who made it, so a ticket's history can be shown to the
+ * requester and to the support team. Other modules subscribe to new events
+ * (e.g. to notify the requester).
+ */
+
+const TICKET_EVENTS_TABLE = 'ticket_events';
+const MESSAGE_LOGS_TABLE = 'message_logs';
+const MAX_TIMELINE_ENTRIES = 1000;
+
+// Who made a change
+const ACTOR_TYPES = ['user', 'agent', 'bot', 'system'];
+
+// async listener(ticket, event), called after each event is stored
+const listeners = [];
+
+/**
+ * Call listener(ticket, event) for every event recorded from now on
+ */
+function subscribe(listener) {
+  listeners.push(listener);
+}
+
+async function notifyListeners(ticket, event) {
+  for (const listener of listeners) {
+    try {
+      await listener(ticket, event);
+    } catch (error) {
+      console.error('❌ Ticket event listener failed:', error.message);
+    }
+  }
+}
+
+/**
+ * Record an event for a ticket ({ id, ticket_number }).
+ * actor is { type, id, name }; details holds event-specific data such as
+ * { from, to } for a status change or { text } for a comment.
+ * Returns the stored event, or null if it could not be saved.
+ */
+async function recordEvent(ticket, eventType, actor = {}, details = {}, client = require('./supabase-client')) {
+  const actorType = ACTOR_TYPES.includes(actor.type) ? actor.type : 'system';
+
+  try {
+    const { data, error } = await client
+      .from(TICKET_EVENTS_TABLE)
+      .insert([{
+        ticket_id: ticket.id,
+        ticket_number: ticket.ticket_number,
+        event_type: eventType,
+        actor_type: actorType,
+        actor_id: actor.id || null,
+        actor_name: actor.name || null,
+        details
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Error recording ticket event:', error);
+      return null;
+    }
+
+    console.log(`🗒️ Ticket ${ticket.ticket_number}: ${eventType} by ${actorType}${actor.name ? ` (${actor.name})` : ''}`);
+    await notifyListeners(ticket, data);
+    return data;
+  } catch (error) {
+    console.error('❌ Exception recording ticket event:', error);
+    return null;
+  }
+}
+
+/**
+ * Events for a ticket, oldest first
+ */
+async function listEvents(ticketId, { limit = 100, eventTypes = null } = {}, client = require('./supabase-client')) {
+  try {
+    let query = client
+      .from(TICKET_EVENTS_TABLE)
+      .select('*')
+      .eq('ticket_id', ticketId)
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (eventTypes) {
+      query = query.in('event_type', eventTypes);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('❌ Error fetching ticket events:', error);
+      return [];
+    }
+    return data || [];
+  } catch (error) {
+    console.error('❌ Exception fetching ticket events:', error);
+    return [];
+  }
+}
+
+/**
+ * The fields that differ between two versions of a ticket, as
+ * { field: { from, to } }. Only the given fields are compared.
+ */
+function diffFields(before = {}, after = {}, fields = Object.keys(after)) {
+  const changes = {};
+  fields.forEach(field => {
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+  return changes;
+}
+
+function shorten(text, length = 120) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > length ? `${value.substring(0, length - 1)}…` : value;
+}
+
+/**
+ * One line describing an event, for timelines
+ */
+function describeEvent(event) {
+  const details = event.details || {};
+
+  switch (event.event_type) {
+    case 'created':
+      return `Ticket created (${details.category || 'general'}, ${details.urgency || 'medium'} urgency)`;
+    case 'status_changed':
+      return `Status changed from ${details.from || 'none'} to ${details.to}`;
+    case 'assigned':
+      return details.to
+        ? `Assigned to ${details.toName || details.to}${details.routing ? ` (${details.routing.replace('_', ' ')})` : ''}`
+        : 'Unassigned';
+    case 'updated':
+      return `Updated ${Object.keys(details.changes || {}).join(', ') || 'ticket'}`;
+    case 'comment':
+      return `Requester: ${shorten(details.text)}`;
+    case 'agent_reply':
+      return `Support reply: ${shorten(details.text)}`;
+    case 'internal_note':
+      return `Internal note: ${shorten(details.text)}`;
+    case 'satisfaction_rated':
+      return `Rated ${details.rating}/5`;
+    case 'sla_warning':
+      return `SLA warning: ${String(details.target || '').replace('_', ' ')} due ${details.dueAt}`;
+    case 'sla_breached':
+      return `SLA breached: ${String(details.target || '').replace('_', ' ')} was due ${details.dueAt}`;
+    default:
+      return event.event_type.replace(/_/g, ' ');
+  }
+}
+
+/**
+ * Everything that happened to a ticket, oldest first: its events plus the
+ * messages logged against its number (what the requester said, what was
+ * relayed, replies in its support thread). Each entry is
+ * { at, source: 'event' | 'message', type, actor: { type, id, name }, summary, details }.
+ */
+async function buildTimeline(ticket, client = require('./supabase-client')) {
+  const events = await listEvents(ticket.id, { limit: MAX_TIMELINE_ENTRIES }, client);
+
+  let messages = [];
+  try {
+    const { data, error } = await client
+      .from(MESSAGE_LOGS_TABLE)
+      .select('id, chat_id, user_id, user_name, message_type, message_content, response_type, message_metadata, created_at')
+      .eq('ticket_number', ticket.ticket_number)
+      .order('created_at', { ascending: true })
+      .limit(MAX_TIMELINE_ENTRIES);
+
+    if (error) throw error;
+    messages = data || [];
+  } catch (error) {
+    console.error('❌ Error fetching messages for ticket timeline:', error.message || error);
+  }
+
+  const entries = [
+    ...events.map(event => ({
+      at: event.created_at,
+      source: 'event',
+      type: event.event_type,
+      actor: { type: event.actor_type, id: event.actor_id, name: event.actor_name },
+      summary: describeEvent(event),
+      details: event.details || {}
+    })),
+    ...messages.map(message => ({
+      at: message.created_at,
+      source: 'message',
+      type: message.message_type,
+      actor: message.message_type === 'user_message'
+        ? { type: 'user', id: message.user_id, name: message.user_name }
+        : { type: 'bot', id: null, name: null },
+      summary: shorten(message.message_content),
+      details: {
+        messageId: message.id,
+        chatId: message.chat_id,
+        text: message.message_content,
+        responseType: message.response_type,
+        relay: message.message_metadata?.relay || null
+      }
+    }))
+  ];
+
+  // Stable sort keeps an event ahead of the message it caused when times tie
+  return entries.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+module.exports = {
+  ACTOR_TYPES,
+  subscribe,
+  recordEvent,
+  listEvents,
+  diffFields,
+  describeEvent,
+  buildTimeline
+};
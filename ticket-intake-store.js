@@ -0,0 +1,175 @@
+/**
+ * Ticket intake session store
+ *
+ * Holds the ticket a user is part-way through creating (the answers so far,
+ * the question being asked, the draft shown for confirmation). On Vercel a
+ * cold start or a second instance would lose an in-memory draft mid-flow, so
+ * sessions live in Supabase by default. A session expires after
+ * TICKET_INTAKE_TTL_MS without activity.
+ */
+
+const SESSIONS_TABLE = 'ticket_intake_sessions';
+
+const INTAKE_TTL_MS = parseInt(process.env.TICKET_INTAKE_TTL_MS || String(30 * 60 * 1000), 10);
+
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * In-memory backend - sessions are lost when the instance restarts
+ */
+function createMemoryBackend() {
+  const sessions = new Map(); // key -> { state, expiresAt }
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = sessions.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        sessions.delete(key);
+        return null;
+      }
+      return JSON.parse(JSON.stringify(entry.state));
+    },
+
+    async set(key, state, ttlMs) {
+      sessions.set(key, { state: JSON.parse(JSON.stringify(state)), expiresAt: Date.now() + ttlMs });
+    },
+
+    async delete(key) {
+      sessions.delete(key);
+    }
+  };
+}
+
+/**
+ * Supabase/Postgres backend - shared by every instance
+ */
+function createSupabaseBackend(client = require('./supabase-client')) {
+  let lastPurge = 0;
+
+  async function purgeExpired() {
+    if (Date.now() - lastPurge < PURGE_INTERVAL_MS) return;
+    lastPurge = Date.now();
+
+    const { error } = await client
+      .from(SESSIONS_TABLE)
+      .delete()
+      .lt('expires_at', new Date().toISOString());
+
+    if (error) {
+      console.log('⚠️ Could not purge expired ticket intake sessions:', error.message);
+    }
+  }
+
+  return {
+    name: 'supabase',
+
+    async get(key) {
+      const { data, error } = await client
+        .from(SESSIONS_TABLE)
+        .select('state, expires_at')
+        .eq('intake_key', key)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) return null;
+
+      if (new Date(data.expires_at).getTime() <= Date.now()) {
+        await this.delete(key);
+        return null;
+      }
+      return data.state;
+    },
+
+    async set(key, state, ttlMs) {
+      const now = new Date();
+      const { error } = await client
+        .from(SESSIONS_TABLE)
+        .upsert({
+          intake_key: key,
+          state,
+          expires_at: new Date(now.getTime() + ttlMs).toISOString(),
+          updated_at: now.toISOString()
+        }, { onConflict: 'intake_key' });
+
+      if (error) throw error;
+      purgeExpired().catch(() => {});
+    },
+
+    async delete(key) {
+      const { error } = await client
+        .from(SESSIONS_TABLE)
+        .delete()
+        .eq('intake_key', key);
+
+      if (error) throw error;
+    }
+  };
+}
+
+function createBackend(name) {
+  switch (name) {
+    case 'memory':
+      return createMemoryBackend();
+    case 'supabase':
+      return createSupabaseBackend();
+    default:
+      throw new Error(`Unknown ticket intake store backend: ${name}`);
+  }
+}
+
+/**
+ * Build an intake session store. If the shared backend errors we fall back
+ * to the in-memory one so the user can still finish their ticket.
+ */
+function createIntakeStore(options = {}) {
+  const backendName = options.backend ||
+    process.env.INTAKE_STORE_BACKEND ||
+    (process.env.SUPABASE_URL ? 'supabase' : 'memory');
+
+  const backend = typeof backendName === 'string' ? createBackend(backendName) : backendName;
+  const fallback = backend.name === 'memory' ? backend : createMemoryBackend();
+  const ttlMs = options.ttlMs || INTAKE_TTL_MS;
+
+  async function withFallback(operation, ...args) {
+    try {
+      return await backend[operation](...args);
+    } catch (error) {
+      console.log(`⚠️ Ticket intake store (${backend.name}) ${operation} failed, using in-memory fallback:`, error.message);
+      return fallback[operation](...args);
+    }
+  }
+
+  return {
+    backend: backend.name,
+    ttlMs,
+
+    /**
+     * The active session for a key, or null if there is none or it expired
+     */
+    async get(key) {
+      return withFallback('get', key);
+    },
+
+    /**
+     * Save a session; every save restarts the inactivity timer
+     */
+    async set(key, state) {
+      state.updatedAt = new Date().toISOString();
+      await withFallback('set', key, state, ttlMs);
+      return state;
+    },
+
+    async delete(key) {
+      await withFallback('delete', key);
+    }
+  };
+}
+
+module.exports = {
+  createIntakeStore,
+  createMemoryBackend,
+  createSupabaseBackend
+};
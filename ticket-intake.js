@@ -0,0 +1,402 @@
+/**
+ * Ticket intake
+ *
+ * Fills in a support ticket from the conversation instead of walking every
+ * user through the same questions. The model extracts title, description,
+ * steps attempted, browser, device and urgency from what the user already
+ * said; only the fields still missing are asked for, and the result is shown
+ * on a confirmation card whose fields can be edited before the ticket is
+ * created. Short replies like "cancel", "go back" or "skip" steer the flow,
+ * and a question about something else pauses it.
+ */
+
+const llm = require('./llm-providers');
+const messageClassifier = require('./message-classifier');
+
+const { URGENCY_LEVELS } = messageClassifier;
+const MAX_TITLE_LENGTH = 80;
+const MAX_CONVERSATION_MESSAGES = 12;
+const KEYWORD_URGENCY_REASON = 'from keywords in the conversation';
+const USER_URGENCY_REASON = 'set by the user';
+
+// Asked for in this order when the conversation does not cover them
+const ASKED_FIELDS = ['description', 'stepsAttempted'];
+
+const QUESTIONS = {
+  description: `**What's going wrong?**
+Please describe the issue: what you were trying to do, what happened instead, and any error message you saw.`,
+  stepsAttempted: `**What have you tried so far?**
+For example "refreshed the page, cleared cache, tried another browser". Reply **nothing** if you haven't tried anything yet.`
+};
+
+// Short replies that steer the flow instead of answering the question
+const MAX_COMMAND_WORDS = 5;
+const COMMANDS = [
+  { name: 'cancel', pattern: /^(please )?(cancel|stop|quit|abort|exit|never ?mind|nvm|forget (it|about it)|no ticket|don'?t create (a |the )?ticket)( it| that| the ticket| please)?$/ },
+  { name: 'restart', pattern: /^(please )?(restart|start (over|again)|reset|begin again)( please)?$/ },
+  { name: 'back', pattern: /^(please )?(go )?(back|previous( question)?|undo)( please)?$/ },
+  { name: 'skip', pattern: /^(skip|pass|next|i don'?t know|don'?t know|dunno|not sure)( (it|this|that|this one|please))?$/ },
+  { name: 'resume', pattern: /^(please )?(continue|resume|carry on|go on|back to (the |my )?ticket|continue (the |my )?ticket|let'?s continue)( please)?$/ },
+  { name: 'pause', pattern: /^(wait|hold on|hang on|one (sec|second|moment)|just a (sec|second|moment)|later|not now)$/ }
+];
+const CORRECTION_PREFIX = /^(?:(?:wait|hold on|sorry|oops|no)[,.!\s-]+)?(?:actually|i meant|i mean|correction)[,:.!\s-]+(.+)$/is;
+const QUESTION = /\?\s*$|^(how|what|where|when|why|who|which|can|could|is|are|does|do|should|will)\b/i;
+const OFF_TOPIC_TIMEOUT_MS = parseInt(process.env.MESSAGE_CLASSIFIER_TIMEOUT_MS || '4000', 10);
+
+const OFF_TOPIC_PROMPT = `The support bot of PM-Next, a recruitment management system, is collecting details for a support ticket.
+You get what the bot last asked (or the ticket draft it showed) and the user's reply.
+Decide whether the reply is part of filling in the ticket (an answer, a detail, a correction, a question about the ticket)
+or a separate question the user wants answered now (for example how to use a feature unrelated to the ticket).
+Reply with a JSON object: {"on_topic": true|false}`;
+
+const NOTHING_TRIED = /^(nothing|none|no|nope|not yet|n\/a|-)[.!]*$/i;
+const CONFIRMATION = /^(y|yes|yep|yeah|ok|okay|sure|confirm(ed)?|submit|create( it| the ticket)?|looks good|go ahead)( please)?[.!]*$/i;
+
+const EXTRACTION_PROMPT = `You prepare support tickets for PM-Next, a recruitment management system, from a conversation between a user and the support bot.
+Reply with a JSON object:
+{
+  "title": short summary of the problem (max ${MAX_TITLE_LENGTH} characters) or null,
+  "description": what goes wrong, where in the app and any error messages, or null if the user has not described a problem,
+  "steps_attempted": list of things the user already tried (empty list if none mentioned),
+  "browser": browser the user mentioned or null,
+  "device": device or operating system the user mentioned or null,
+  "urgency": one of ${JSON.stringify(URGENCY_LEVELS)},
+  "urgency_reason": a few words explaining the urgency
+}
+Only use facts the user stated - never invent details. A request like "I want to talk to a human" is not a description.
+Urgency: critical = data loss, many users blocked or a deadline today; high = the user cannot do their own work;
+medium = a problem with a workaround; low = a question or cosmetic issue.`;
+
+function cleanString(value, maxLength = 2000) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (!trimmed || /^(null|none|n\/a|unknown|not specified)$/i.test(trimmed)) return null;
+  return trimmed.substring(0, maxLength);
+}
+
+function parseSteps(value) {
+  if (Array.isArray(value)) {
+    return value.map(step => cleanString(step, 300)).filter(Boolean);
+  }
+  if (typeof value === 'string') {
+    if (NOTHING_TRIED.test(value.trim())) return [];
+    return value.split(/[,\n]|;/).map(step => cleanString(step, 300)).filter(Boolean);
+  }
+  return null;
+}
+
+/**
+ * First sentence of the description, used when the model gives no title
+ */
+function deriveTitle(description) {
+  const firstSentence = description.split(/(?<=[.!?])\s|\n/)[0].trim();
+  return firstSentence.length > MAX_TITLE_LENGTH
+    ? `${firstSentence.substring(0, MAX_TITLE_LENGTH - 1).trim()}…`
+    : firstSentence;
+}
+
+/**
+ * Highest urgency the keyword classifier finds in the user's messages
+ */
+function detectUrgency(userMessages) {
+  if (userMessages.length === 0) return 'medium';
+
+  let highest = 'low';
+  userMessages.forEach(message => {
+    const level = messageClassifier.detectUrgency(message);
+    if (URGENCY_LEVELS.indexOf(level) > URGENCY_LEVELS.indexOf(highest)) {
+      highest = level;
+    }
+  });
+  return highest;
+}
+
+function formatConversation(conversation) {
+  return conversation
+    .slice(-MAX_CONVERSATION_MESSAGES)
+    .map(message => `${message.role === 'assistant' ? 'Bot' : 'User'}: ${String(message.content).substring(0, 1500)}`)
+    .join('\n');
+}
+
+/**
+ * Ask the model for ticket fields. Returns {} when the model is unavailable
+ * so the intake falls back to asking.
+ */
+async function extractWithModel(conversation, current, correction) {
+  const parts = [`Conversation:\n${formatConversation(conversation)}`];
+  if (current) {
+    parts.push(`Current ticket:\n${JSON.stringify(current)}`);
+  }
+  if (correction) {
+    parts.push(`The user asked for this change - apply it and return the whole updated ticket:\n${correction}`);
+  }
+
+  try {
+    const completion = await llm.complete('extraction', {
+      messages: [
+        { role: 'system', content: EXTRACTION_PROMPT },
+        { role: 'user', content: parts.join('\n\n') }
+      ],
+      maxTokens: 500,
+      temperature: 0,
+      json: true
+    });
+    return JSON.parse(completion.content) || {};
+  } catch (error) {
+    console.error('❌ Error extracting ticket fields:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Fill ticket fields from the conversation ([{ role, content }], oldest first).
+ * Fields already in `data` are kept, apart from guessed titles and urgencies,
+ * unless `correction` (a user's "change the urgency to high") asks to change
+ * them. Returns the updated data.
+ */
+async function extractTicketFields(conversation, data = {}, { correction = null } = {}) {
+  const current = Object.keys(data).length > 0 ? {
+    title: data.title || null,
+    description: data.description || null,
+    steps_attempted: data.stepsAttempted || [],
+    browser: data.browser || null,
+    device: data.device || null,
+    urgency: data.urgency || null
+  } : null;
+
+  const extracted = await extractWithModel(conversation, current, correction);
+  const next = { ...data };
+
+  // Guesses (a title cut from the description, the urgency) are updated as
+  // the conversation goes on; what the user gave or chose is kept
+  const isGuess = field => {
+    if (field === 'title') return !!next.description && next.title === deriveTitle(next.description);
+    if (field === 'urgency') return next.urgencyReason !== USER_URGENCY_REASON;
+    return false;
+  };
+  const fill = (field, value) => {
+    if (value === null || value === undefined) return;
+    if (correction || next[field] === undefined || next[field] === null || isGuess(field)) {
+      next[field] = value;
+    }
+  };
+
+  fill('description', cleanString(extracted.description));
+  fill('title', cleanString(extracted.title, MAX_TITLE_LENGTH));
+  fill('browser', cleanString(extracted.browser, 100));
+  fill('device', cleanString(extracted.device, 100));
+
+  const steps = parseSteps(extracted.steps_attempted);
+  if (steps && (steps.length > 0 || correction)) {
+    fill('stepsAttempted', steps);
+  }
+
+  if (URGENCY_LEVELS.includes(extracted.urgency) && (correction || isGuess('urgency'))) {
+    next.urgency = extracted.urgency;
+    next.urgencyReason = cleanString(extracted.urgency_reason, 200) || (correction ? USER_URGENCY_REASON : null);
+  } else if (next.urgencyReason === KEYWORD_URGENCY_REASON) {
+    delete next.urgency; // Re-run the keyword guess over the longer conversation
+  }
+
+  if (!next.urgency) {
+    const userMessages = conversation.filter(message => message.role === 'user').map(message => String(message.content));
+    next.urgency = detectUrgency(userMessages);
+    next.urgencyReason = KEYWORD_URGENCY_REASON;
+  }
+
+  if (!next.title && next.description) {
+    next.title = deriveTitle(next.description);
+  }
+
+  return next;
+}
+
+/**
+ * Recognise a reply that steers the intake rather than answers it.
+ * Returns { name } for cancel, restart, back, skip, resume and pause,
+ * { name: 'correct', text } for "wait, actually it's on Safari", or null.
+ */
+function parseIntakeCommand(message) {
+  const text = String(message || '').trim();
+
+  const correction = text.match(CORRECTION_PREFIX);
+  if (correction && correction[1].trim()) {
+    return { name: 'correct', text: correction[1].trim() };
+  }
+
+  const normalized = text.toLowerCase().replace(/[.!?…]+$/, '').replace(/\s+/g, ' ').trim();
+  if (!normalized || normalized.split(' ').length > MAX_COMMAND_WORDS) return null;
+
+  const command = COMMANDS.find(({ pattern }) => pattern.test(normalized));
+  return command ? { name: command.name } : null;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Off-topic check timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Whether a reply during the intake is a separate question rather than part
+ * of the ticket. Only questions are sent to the model; when it is unavailable
+ * the reply is treated as part of the ticket.
+ */
+async function isOffTopic(prompt, message) {
+  if (!QUESTION.test(String(message || '').trim())) return false;
+
+  try {
+    const completion = await withTimeout(llm.complete('classification', {
+      messages: [
+        { role: 'system', content: OFF_TOPIC_PROMPT },
+        { role: 'user', content: `Bot: ${String(prompt || '').substring(0, 1500)}\n\nUser: ${String(message).substring(0, 1000)}` }
+      ],
+      maxTokens: 20,
+      temperature: 0,
+      json: true
+    }), OFF_TOPIC_TIMEOUT_MS);
+    return JSON.parse(completion.content).on_topic === false;
+  } catch (error) {
+    console.error('❌ Error checking intake reply topic:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Store the user's answer to the question that was asked
+ */
+function applyAnswer(data, field, answer) {
+  const next = { ...data };
+  if (field === 'stepsAttempted') {
+    next.stepsAttempted = parseSteps(answer) || [];
+  } else if (field === 'description') {
+    next.description = cleanString(answer);
+    if (next.description && !next.title) {
+      next.title = deriveTitle(next.description);
+    }
+  }
+  return next;
+}
+
+/**
+ * Forget an answer so the question is asked again (for "go back")
+ */
+function clearField(data, field) {
+  const next = { ...data };
+  if (field === 'description' && next.description && next.title === deriveTitle(next.description)) {
+    delete next.title;
+  }
+  delete next[field];
+  return next;
+}
+
+/**
+ * Whether a field can be skipped - the ticket is useless without a description
+ */
+function isSkippable(field) {
+  return field !== 'description';
+}
+
+/**
+ * Next field to ask about, or null when the ticket can be confirmed
+ */
+function getNextMissingField(data) {
+  return ASKED_FIELDS.find(field => data[field] === undefined || data[field] === null) || null;
+}
+
+function getQuestion(field) {
+  return QUESTIONS[field];
+}
+
+function isConfirmation(message) {
+  return CONFIRMATION.test(String(message || '').trim());
+}
+
+/**
+ * Markdown summary of the ticket, used as the card body and text fallback.
+ * With submitted set it is the read-only version shown once the card is sent.
+ */
+function formatSummary(data, { submitted = false } = {}) {
+  const steps = data.stepsAttempted && data.stepsAttempted.length > 0 ? data.stepsAttempted.join(', ') : 'None';
+  const heading = submitted ? '⏳ **Creating Your Ticket…**' : '🎫 **Please Confirm Your Ticket**';
+  const footer = submitted
+    ? ''
+    : '\n\nReply **yes** to create the ticket, or tell me what to change (e.g. "the urgency is high").';
+
+  return `${heading}
+
+**Title**: ${data.title || 'Not specified'}
+**Description**: ${data.description || 'Not specified'}
+**Steps Attempted**: ${steps}
+**Browser / Device**: ${data.browser || 'Not specified'} / ${data.device || 'Not specified'}
+**Urgency**: ${(data.urgency || 'medium').toUpperCase()}${data.urgencyReason ? ` (${data.urgencyReason})` : ''}${footer}`;
+}
+
+/**
+ * Editable fields for the confirmation card (see messageRenderer form option)
+ */
+function buildConfirmationForm(data, submitValue) {
+  return {
+    name: 'ticket_intake',
+    fields: [
+      { name: 'title', label: 'Title', value: data.title || '', maxLength: MAX_TITLE_LENGTH },
+      { name: 'description', label: 'Description', value: data.description || '', multiline: true },
+      {
+        name: 'steps_attempted',
+        label: 'Steps attempted (comma separated)',
+        value: (data.stepsAttempted || []).join(', '),
+        multiline: true
+      },
+      { name: 'browser', label: 'Browser', value: data.browser || '' },
+      { name: 'device', label: 'Device', value: data.device || '' },
+      {
+        name: 'urgency',
+        label: 'Urgency',
+        value: data.urgency || 'medium',
+        options: URGENCY_LEVELS.map(level => ({ value: level, text: level.charAt(0).toUpperCase() + level.slice(1) }))
+      }
+    ],
+    submit: { text: '✅ Create ticket', value: submitValue }
+  };
+}
+
+/**
+ * Apply the edited card fields to the ticket data
+ */
+function applyFormValues(data, formValue = {}) {
+  const next = { ...data };
+
+  const title = cleanString(formValue.title, MAX_TITLE_LENGTH);
+  if (title) next.title = title;
+  const description = cleanString(formValue.description);
+  if (description) next.description = description;
+  if (formValue.steps_attempted !== undefined) {
+    next.stepsAttempted = parseSteps(formValue.steps_attempted) || [];
+  }
+  if (formValue.browser !== undefined) next.browser = cleanString(formValue.browser, 100);
+  if (formValue.device !== undefined) next.device = cleanString(formValue.device, 100);
+  if (URGENCY_LEVELS.includes(formValue.urgency) && formValue.urgency !== next.urgency) {
+    next.urgency = formValue.urgency;
+    next.urgencyReason = USER_URGENCY_REASON;
+  }
+
+  return next;
+}
+
+module.exports = {
+  ASKED_FIELDS,
+  extractTicketFields,
+  parseIntakeCommand,
+  isOffTopic,
+  applyAnswer,
+  clearField,
+  isSkippable,
+  getNextMissingField,
+  getQuestion,
+  isConfirmation,
+  formatSummary,
+  buildConfirmationForm,
+  applyFormValues
+};
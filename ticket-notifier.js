@@ -0,0 +1,195 @@
+/**
+ * Ticket notifier
+ *
+ * Tells the requester about changes to their ticket made by someone else:
+ * assignment, status changes, replies from the support team and resolution.
+ * Messages go to the requester directly in Lark (falling back to the chat the
+ * ticket was raised in). A resolution includes the resolution notes and
+ * asks the requester to rate the support they got, which is stored in
+ * support_tickets.satisfaction_rating.
+ */
+
+const { button } = require('./card-actions');
+const ticketEvents = require('./ticket-events');
+
+const TICKETS_TABLE = 'support_tickets';
+const SATISFACTION_RATINGS = [1, 2, 3, 4, 5];
+
+// Events the requester is told about
+const NOTIFIED_EVENTS = ['assigned', 'status_changed', 'agent_reply'];
+
+const STATUS_UPDATES = {
+  open: { icon: '🟢', text: 'has been reopened' },
+  in_progress: { icon: '🔵', text: 'is now being worked on' },
+  closed: { icon: '⚪', text: 'has been closed' }
+};
+
+/**
+ * Where to message the requester: their open_id/union_id when the ticket
+ * has one, otherwise the chat the ticket came from
+ */
+function getRecipient(ticket) {
+  const userId = ticket.user_id || '';
+  if (userId.startsWith('ou_') || userId.startsWith('on_')) {
+    return userId;
+  }
+  const openId = ticket.conversation_context?.user_info?.open_id;
+  return openId || ticket.chat_id || null;
+}
+
+/**
+ * Rating buttons for a resolved ticket
+ */
+function buildSatisfactionActions(ticketNumber) {
+  return SATISFACTION_RATINGS.map(rating =>
+    button('⭐'.repeat(rating), { action: 'rate_ticket', ticket_number: ticketNumber, rating })
+  );
+}
+
+function ticketHeading(ticket) {
+  return `**Ticket**: ${ticket.ticket_number}\n**Title**: ${ticket.issue_title}`;
+}
+
+/**
+ * The message for an event, as { text, actions }, or null if the requester
+ * doesn't need to hear about it
+ */
+function buildNotification(ticket, event) {
+  const details = event.details || {};
+
+  switch (event.event_type) {
+    case 'assigned':
+      if (!details.to) return null;
+      return {
+        text: `👤 **Your ticket has been assigned**
+
+${ticketHeading(ticket)}
+
+${details.toName || 'A member of our support team'} is now looking into it.`
+      };
+
+    case 'agent_reply':
+      return {
+        text: `💬 **New reply on your ticket**
+
+${ticketHeading(ticket)}
+
+${event.actor_name ? `**${event.actor_name}**: ` : ''}${details.text || ''}
+
+Reply to this message to answer, or use \`/comment ${ticket.ticket_number} <message>\`.`
+      };
+
+    case 'status_changed': {
+      if (!details.to || details.to === details.from) return null;
+
+      if (details.to === 'resolved') {
+        const notes = details.resolutionNotes || ticket.resolution_notes;
+        return {
+          text: `✅ **Your ticket has been resolved**
+
+${ticketHeading(ticket)}${notes ? `\n\n**Resolution**: ${notes}` : ''}
+
+How satisfied are you with the support you received? If the problem isn't fixed, use \`/reopen ${ticket.ticket_number}\`.`,
+          actions: buildSatisfactionActions(ticket.ticket_number)
+        };
+      }
+
+      const update = STATUS_UPDATES[details.to] || { icon: '🎫', text: `is now ${details.to.replace('_', ' ')}` };
+      return {
+        text: `${update.icon} **Your ticket ${update.text}**
+
+${ticketHeading(ticket)}`
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether the requester is told about an event. Changes the requester made
+ * themselves (e.g. /close) are not echoed back.
+ */
+function shouldNotify(event) {
+  return NOTIFIED_EVENTS.includes(event.event_type) && event.actor_type !== 'user';
+}
+
+/**
+ * Message the requester about a ticket event. sendMessage is the bot's
+ * sendMessage(chatId, text, options). Returns the sent Lark message with the
+ * recipient and text, or null.
+ */
+async function notifyRequester(ticket, event, sendMessage) {
+  if (!shouldNotify(event)) {
+    return null;
+  }
+
+  const notification = buildNotification(ticket, event);
+  if (!notification) return null;
+
+  const recipient = getRecipient(ticket);
+  if (!recipient) {
+    console.log('⚠️ No way to reach the requester of ticket', ticket.ticket_number);
+    return null;
+  }
+
+  const sent = await sendMessage(recipient, notification.text, { actions: notification.actions || [] });
+  console.log(`📬 Requester ${sent ? 'notified' : 'could not be notified'} of ${event.event_type} on ${ticket.ticket_number}`);
+  return sent ? { ...sent, recipient, text: notification.text } : null;
+}
+
+/**
+ * Store the requester's satisfaction rating (1-5). Only the requester can
+ * rate; operator is the Lark user who clicked ({ open_id, user_id, union_id }).
+ * Returns { ok, message }.
+ */
+async function recordSatisfaction(ticketNumber, rating, operator = {}, client = require('./supabase-client')) {
+  if (!SATISFACTION_RATINGS.includes(rating)) {
+    return { ok: false, message: 'Invalid rating.' };
+  }
+
+  try {
+    const { data: ticket, error } = await client
+      .from(TICKETS_TABLE)
+      .select('*')
+      .eq('ticket_number', ticketNumber)
+      .maybeSingle();
+
+    if (error) throw error;
+    const operatorIds = [operator.open_id, operator.user_id, operator.union_id].filter(Boolean);
+    if (!ticket || !operatorIds.includes(ticket.user_id)) {
+      return { ok: false, message: 'Only the person who raised this ticket can rate it.' };
+    }
+
+    const { data: updated, error: updateError } = await client
+      .from(TICKETS_TABLE)
+      .update({ satisfaction_rating: rating, updated_at: new Date().toISOString() })
+      .eq('id', ticket.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    await ticketEvents.recordEvent(updated, 'satisfaction_rated', {
+      type: 'user',
+      id: ticket.user_id,
+      name: ticket.user_name
+    }, { rating, previous: ticket.satisfaction_rating || null }, client);
+
+    return { ok: true, message: 'Thanks for rating our support!' };
+  } catch (error) {
+    console.error('❌ Error saving ticket satisfaction rating:', error);
+    return { ok: false, message: 'Could not save your rating, please try again.' };
+  }
+}
+
+module.exports = {
+  SATISFACTION_RATINGS,
+  getRecipient,
+  buildNotification,
+  buildSatisfactionActions,
+  shouldNotify,
+  notifyRequester,
+  recordSatisfaction
+};
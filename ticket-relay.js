@@ -0,0 +1,222 @@
+/**
+ * Ticket relay
+ *
+ * Connects a ticket's thread in the support group with the person who raised
+ * it. Agent replies in the thread are passed on to the requester (as
+ * 'agent_reply' events, which the ticket notifier delivers), and the
+ * requester's replies to those messages - or /comment - are posted back into
+ * the thread. Agents keep a message to the team by starting it with
+ * TICKET_INTERNAL_NOTE_PREFIX, and resolve the ticket with "/resolve <notes>".
+ * Every relayed message is logged in message_logs against the ticket number.
+ * Set TICKET_RELAY_ENABLED=false to go back to treating thread replies as
+ * solutions only.
+ */
+
+const messageLogger = require('./message-logger');
+
+const TICKETS_TABLE = 'support_tickets';
+const MESSAGE_LOGS_TABLE = 'message_logs';
+const RESOLVE_PREFIX = '/resolve';
+const MAX_RELAYED_LENGTH = 4000;
+
+function isEnabled() {
+  return process.env.TICKET_RELAY_ENABLED !== 'false';
+}
+
+function getSupportGroupId() {
+  return process.env.LARK_SUPPORT_GROUP_ID || null;
+}
+
+function getInternalNotePrefix() {
+  return (process.env.TICKET_INTERNAL_NOTE_PREFIX || '#internal').toLowerCase();
+}
+
+/**
+ * What an agent's message in a ticket thread is for:
+ * { kind: 'note' | 'resolve' | 'reply', text }
+ */
+function parseAgentMessage(message) {
+  const text = String(message || '').trim();
+  const lower = text.toLowerCase();
+  const notePrefix = getInternalNotePrefix();
+
+  if (lower.startsWith(notePrefix)) {
+    return { kind: 'note', text: text.substring(notePrefix.length).replace(/^[\s:-]+/, '') };
+  }
+  if (lower === RESOLVE_PREFIX || lower.startsWith(`${RESOLVE_PREFIX} `) || lower.startsWith(`${RESOLVE_PREFIX}\n`)) {
+    return { kind: 'resolve', text: text.substring(RESOLVE_PREFIX.length).trim() };
+  }
+  return { kind: 'reply', text: text.substring(0, MAX_RELAYED_LENGTH) };
+}
+
+/**
+ * The ticket whose support-group thread this Lark message is in, or null
+ */
+async function findSupportThreadTicket(message, client = require('./supabase-client')) {
+  const supportGroupId = getSupportGroupId();
+  if (!isEnabled() || !supportGroupId || message.chat_id !== supportGroupId || !message.root_id) {
+    return null;
+  }
+
+  try {
+    const { data, error } = await client
+      .from(TICKETS_TABLE)
+      .select('*')
+      .eq('support_chat_id', supportGroupId)
+      .eq('support_message_id', message.root_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('❌ Error looking up ticket for support thread:', error.message);
+    return null;
+  }
+}
+
+/**
+ * The ticket a requester is answering when they reply to a message we
+ * relayed to them, or null. Only the requester (one of senderIds) counts.
+ */
+async function findRequesterReplyTicket(message, senderIds, client = require('./supabase-client')) {
+  const repliedTo = [...new Set([message.parent_id, message.root_id].filter(Boolean))];
+  const ids = senderIds.filter(Boolean);
+  if (!isEnabled() || repliedTo.length === 0 || ids.length === 0) {
+    return null;
+  }
+
+  try {
+    for (const messageId of repliedTo) {
+      const { data: logs, error } = await client
+        .from(MESSAGE_LOGS_TABLE)
+        .select('ticket_number')
+        .not('ticket_number', 'is', null)
+        .contains('message_metadata', { relayMessageId: messageId })
+        .limit(1);
+
+      if (error) throw error;
+      if (!logs || logs.length === 0) continue;
+
+      const { data: ticket, error: ticketError } = await client
+        .from(TICKETS_TABLE)
+        .select('*')
+        .eq('ticket_number', logs[0].ticket_number)
+        .in('user_id', ids)
+        .maybeSingle();
+
+      if (ticketError) throw ticketError;
+      return ticket;
+    }
+    return null;
+  } catch (error) {
+    console.error('❌ Error looking up relayed message:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Remember the support-group message announcing a ticket, so replies in its
+ * thread can be matched to the ticket
+ */
+async function rememberSupportThread(ticket, chatId, sentMessage, client = require('./supabase-client')) {
+  if (!sentMessage?.message_id) return false;
+
+  try {
+    const { error } = await client
+      .from(TICKETS_TABLE)
+      .update({ support_chat_id: chatId, support_message_id: sentMessage.message_id })
+      .eq('id', ticket.id);
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving support thread for ticket:', ticket.ticket_number, error.message);
+    return false;
+  }
+}
+
+/**
+ * Log a message the bot relayed (or posted) for a ticket. relayMessageId is
+ * the Lark message sent, so a reply to it can be traced back to the ticket.
+ */
+async function logRelayedMessage(ticket, { chatId, text, direction, sentMessage = null, event = null }) {
+  return messageLogger.logSystemMessage({
+    chatId,
+    message: text,
+    ticketNumber: ticket.ticket_number,
+    messageMetadata: {
+      relay: direction,
+      relayMessageId: sentMessage?.message_id || null,
+      ticketEventId: event?.id || null,
+      ticketEventType: event?.event_type || null
+    }
+  });
+}
+
+/**
+ * Whether an event is passed on to the support team: anything the requester
+ * adds to their ticket, by replying or with /comment
+ */
+function shouldRelayToSupport(event) {
+  return isEnabled() && event.event_type === 'comment' && event.actor_type === 'user';
+}
+
+/**
+ * Post the requester's comment into the ticket's support thread (or the
+ * support group, for tickets raised before threads were tracked).
+ * sendMessage is the bot's sendMessage(chatId, text, options).
+ */
+async function relayToSupport(ticket, event, sendMessage, client = require('./supabase-client')) {
+  const { data: current } = await client
+    .from(TICKETS_TABLE)
+    .select('*')
+    .eq('id', ticket.id)
+    .maybeSingle();
+
+  const target = current || ticket;
+  const chatId = target.support_chat_id || getSupportGroupId();
+  if (!chatId) {
+    console.log('⚠️ No support group configured, not relaying comment on', ticket.ticket_number);
+    return null;
+  }
+
+  const text = `💬 **${event.actor_name || target.user_name || 'The requester'}** replied on ${target.ticket_number}:
+
+${event.details?.text || ''}`;
+
+  const sent = await sendMessage(chatId, text, target.support_message_id
+    ? { replyTo: target.support_message_id, replyInThread: true }
+    : {});
+
+  if (sent) {
+    await logRelayedMessage(target, { chatId, text, direction: 'to_support', sentMessage: sent, event });
+  }
+  console.log(`🔁 Requester comment on ${target.ticket_number} ${sent ? 'relayed to' : 'could not be relayed to'} the support team`);
+  return sent;
+}
+
+/**
+ * Tell the ticket's thread that an agent reply didn't reach the requester
+ */
+async function reportUndelivered(ticket, sendMessage) {
+  if (!ticket.support_chat_id || !ticket.support_message_id) return null;
+
+  return sendMessage(ticket.support_chat_id,
+    `⚠️ Your reply on ${ticket.ticket_number} could not be delivered to ${ticket.user_name || 'the requester'}.`,
+    { replyTo: ticket.support_message_id, replyInThread: true });
+}
+
+module.exports = {
+  RESOLVE_PREFIX,
+  MAX_RELAYED_LENGTH,
+  isEnabled,
+  getInternalNotePrefix,
+  parseAgentMessage,
+  findSupportThreadTicket,
+  findRequesterReplyTicket,
+  rememberSupportThread,
+  logRelayedMessage,
+  shouldRelayToSupport,
+  relayToSupport,
+  reportUndelivered
+};
@@ -0,0 +1,249 @@
+/**
+ * Ticket search
+ *
+ * Backs GET /tickets: full-text search over the title, description and
+ * resolution notes (the search_vector column), filters, sorting and cursor
+ * pagination. Cursors are opaque and hold the sort value and id of the last
+ * ticket on the page, so pages stay stable while new tickets come in, and how
+ * many tickets came before it, so the total can be counted with the page.
+ * Each response also counts the matching tickets per status, urgency,
+ * category and assignee for filter chips (the ticket_search_facets database
+ * function); a facet's count ignores that facet's own filter, so the other
+ * choices stay visible.
+ */
+
+const { STATUS_TRANSITIONS, getKnownCategories } = require('./ticket-updates');
+const { URGENCY_LEVELS } = require('./message-classifier');
+
+const TICKETS_TABLE = 'support_tickets';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+const MAX_QUERY_LENGTH = 200;
+const SORT_FIELDS = ['created_at', 'updated_at', 'ticket_number'];
+const UNASSIGNED = 'none';
+
+// Every ticket column except search_vector, which is only for searching
+const TICKET_COLUMNS = [
+  'id', 'ticket_number', 'user_id', 'chat_id', 'user_name', 'issue_category', 'issue_title',
+  'issue_description', 'steps_attempted', 'browser_info', 'device_info', 'error_messages',
+  'urgency_level', 'status', 'assigned_to', 'assigned_at', 'conversation_context', 'created_at',
+  'updated_at', 'resolved_at', 'resolution_notes', 'satisfaction_rating', 'tags', 'attachments',
+  'intake_id', 'support_chat_id', 'support_message_id', 'first_response_at',
+  'first_response_due_at', 'resolution_due_at', 'sla_alerts'
+].join(', ');
+
+// Query parameter -> ticket column, for the filters that are also facets
+const FACETS = {
+  status: 'status',
+  urgency: 'urgency_level',
+  category: 'issue_category',
+  assigned_to: 'assigned_to'
+};
+
+function searchError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function parseList(value) {
+  if (value === undefined || value === '') return [];
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function requireKnown(name, values, known) {
+  const unknown = values.filter(value => !known.includes(value));
+  if (unknown.length > 0) {
+    throw searchError(`Unknown ${name} ${unknown.join(', ')}: use ${known.join(', ')}`);
+  }
+  return values;
+}
+
+function parseDate(name, value) {
+  if (value === undefined || value === '') return null;
+  if (isNaN(Date.parse(value))) {
+    throw searchError(`${name} must be an ISO date`);
+  }
+  return new Date(value).toISOString();
+}
+
+function encodeCursor(sort, order, ticket, seen) {
+  return Buffer.from(JSON.stringify({ sort, order, value: ticket[sort], id: ticket.id, seen })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw searchError('Invalid cursor');
+  }
+  // The values go into a PostgREST filter, so they must be plain strings
+  const isSafe = value => typeof value === 'string' && value.length > 0 && !/["\\]/.test(value);
+  if (!decoded || !isSafe(decoded.value) || !isSafe(decoded.id) || !Number.isInteger(decoded.seen) || decoded.seen < 0) {
+    throw searchError('Invalid cursor');
+  }
+  if (decoded.sort !== sort || decoded.order !== order) {
+    throw searchError('The cursor is for a different sort order: start again without it');
+  }
+  return decoded;
+}
+
+/**
+ * Check GET /tickets query parameters. Returns the search to run; throws
+ * (statusCode 400) with what is wrong. Categories are checked against the
+ * loaded config, so refresh configStore first.
+ */
+function parseSearchQuery(query = {}) {
+  const q = String(query.q || '').trim();
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw searchError(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  // Open tickets unless asked otherwise, as before
+  const statuses = query.status === 'all' ? [] : parseList(query.status || 'open');
+  requireKnown('status', statuses, Object.keys(STATUS_TRANSITIONS));
+
+  const assignees = parseList(query.assigned_to);
+  if (assignees.includes(UNASSIGNED) && assignees.length > 1) {
+    throw searchError(`assigned_to=${UNASSIGNED} finds unassigned tickets and can't be combined with agent IDs`);
+  }
+
+  const sort = query.sort || 'created_at';
+  requireKnown('sort', [sort], SORT_FIELDS);
+  const order = query.order || 'desc';
+  requireKnown('order', [order], ['asc', 'desc']);
+
+  const from = parseDate('from', query.from);
+  const to = parseDate('to', query.to);
+  if (from && to && from > to) {
+    throw searchError('from must be before to');
+  }
+
+  return {
+    q,
+    filters: {
+      status: statuses,
+      urgency: requireKnown('urgency', parseList(query.urgency), URGENCY_LEVELS),
+      category: requireKnown('category', parseList(query.category), getKnownCategories()),
+      assigned_to: assignees
+    },
+    userIds: parseList(query.user_id),
+    tags: parseList(query.tags),
+    from,
+    to,
+    sort,
+    order,
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT),
+    cursor: query.cursor ? decodeCursor(query.cursor, sort, order) : null
+  };
+}
+
+/**
+ * Filters that aren't facets: text, requester, dates and tags
+ */
+function applyBaseFilters(query, search) {
+  if (search.q) {
+    query = query.textSearch('search_vector', search.q, { config: 'english', type: 'websearch' });
+  }
+  if (search.userIds.length > 0) query = query.in('user_id', search.userIds);
+  if (search.tags.length > 0) query = query.contains('tags', search.tags);
+  if (search.from) query = query.gte('created_at', search.from);
+  if (search.to) query = query.lte('created_at', search.to);
+  return query;
+}
+
+function applyFacetFilter(query, facet, values) {
+  if (values.length === 0) return query;
+  if (facet === 'assigned_to' && values[0] === UNASSIGNED) {
+    return query.is('assigned_to', null);
+  }
+  return query.in(FACETS[facet], values);
+}
+
+/**
+ * Counts per facet value over the tickets matching every other filter,
+ * grouped in the database
+ */
+async function buildFacets(search, client) {
+  const listOrNull = values => (values.length > 0 ? values : null);
+  const unassigned = search.filters.assigned_to[0] === UNASSIGNED;
+
+  const { data, error } = await client.rpc('ticket_search_facets', {
+    search_query: search.q || null,
+    user_ids: listOrNull(search.userIds),
+    tag_list: listOrNull(search.tags),
+    created_from: search.from,
+    created_to: search.to,
+    statuses: listOrNull(search.filters.status),
+    urgencies: listOrNull(search.filters.urgency),
+    categories: listOrNull(search.filters.category),
+    assignees: unassigned ? null : listOrNull(search.filters.assigned_to),
+    unassigned
+  });
+
+  if (error) throw error;
+
+  const facets = {};
+  Object.keys(FACETS).forEach(facet => {
+    facets[facet] = {};
+  });
+  (data || []).forEach(row => {
+    facets[row.facet][row.facet_value] = Number(row.ticket_count);
+  });
+  return facets;
+}
+
+/**
+ * The tickets matching every filter
+ */
+function buildFilteredQuery(search, select, options, client) {
+  let query = applyBaseFilters(client.from(TICKETS_TABLE).select(select, options), search);
+  Object.keys(FACETS).forEach(facet => {
+    query = applyFacetFilter(query, facet, search.filters[facet]);
+  });
+  return query;
+}
+
+/**
+ * Run a search from parseSearchQuery. Returns { tickets, total, next_cursor,
+ * facets }; total counts every match, next_cursor is null on the last page.
+ */
+async function searchTickets(search, client = require('./supabase-client')) {
+  const ascending = search.order === 'asc';
+  // The count covers this page and everything after it
+  let query = buildFilteredQuery(search, TICKET_COLUMNS, { count: 'exact' }, client);
+
+  if (search.cursor) {
+    // Tickets after the cursor; id breaks ties between equal sort values
+    const { value, id } = search.cursor;
+    const op = ascending ? 'gt' : 'lt';
+    query = query.or(`${search.sort}.${op}."${value}",and(${search.sort}.eq."${value}",id.${op}."${id}")`);
+  }
+
+  // One extra row tells whether there is another page
+  const { data, error, count } = await query
+    .order(search.sort, { ascending })
+    .order('id', { ascending })
+    .limit(search.limit + 1);
+
+  if (error) throw error;
+
+  const seen = search.cursor ? search.cursor.seen : 0;
+  const tickets = (data || []).slice(0, search.limit);
+  const hasMore = (data || []).length > search.limit;
+
+  return {
+    tickets,
+    total: seen + count,
+    next_cursor: hasMore ? encodeCursor(search.sort, search.order, tickets[tickets.length - 1], seen + tickets.length) : null,
+    facets: await buildFacets(search, client)
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  MAX_LIMIT,
+  parseSearchQuery,
+  searchTickets
+};
@@ -0,0 +1,372 @@
+/**
+ * Ticket SLAs
+ *
+ * Each ticket gets a first-response and a resolution deadline from the
+ * sla_policies config (targets per urgency_level, optionally overridden per
+ * category). The first response is the first reply or status change by an
+ * agent. checkTickets() - run from cron through /tickets/sla/check - warns the
+ * support group when a deadline is getting close and escalates to the support
+ * lead (LARK_SUPPORT_LEAD_ID) once it has passed. buildReport() summarises
+ * compliance per agent and per category.
+ */
+
+const configStore = require('./config-store');
+const ticketEvents = require('./ticket-events');
+
+const TICKETS_TABLE = 'support_tickets';
+const OPEN_STATUSES = ['open', 'in_progress'];
+const CHECK_PAGE_SIZE = 500;
+const MAX_REPORTED_TICKETS = 5000;
+const DEFAULT_WARN_AT_PERCENT = 75;
+
+// Agent events that count as responding to the requester
+const RESPONSE_EVENTS = ['agent_reply', 'status_changed'];
+
+const TARGETS = {
+  first_response: {
+    label: 'first response',
+    dueColumn: 'first_response_due_at',
+    doneColumn: 'first_response_at'
+  },
+  resolution: {
+    label: 'resolution',
+    dueColumn: 'resolution_due_at',
+    doneColumn: 'resolved_at'
+  }
+};
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Targets in minutes for an urgency and category:
+ * { first_response_minutes, resolution_minutes }
+ */
+function getPolicy(urgency, category) {
+  const policies = configStore.get('sla_policies');
+  const base = policies.urgency[urgency] || policies.urgency.medium;
+  const override = policies.categories?.[category]?.[urgency] || {};
+  return { ...base, ...override };
+}
+
+/**
+ * Deadlines for a ticket, counted from when it was created:
+ * { first_response_due_at, resolution_due_at }
+ */
+function getDueDates(ticket) {
+  const policy = getPolicy(ticket.urgency_level || 'medium', ticket.issue_category);
+  const createdAt = ticket.created_at ? new Date(ticket.created_at).getTime() : Date.now();
+
+  return {
+    first_response_due_at: new Date(createdAt + policy.first_response_minutes * MINUTE_MS).toISOString(),
+    resolution_due_at: new Date(createdAt + policy.resolution_minutes * MINUTE_MS).toISOString()
+  };
+}
+
+/**
+ * "1 hour", "4 hours", "90 minutes", ...
+ */
+function formatMinutes(minutes) {
+  const rounded = Math.max(0, Math.round(minutes));
+  if (rounded < 60 || (rounded < 120 && rounded % 60 !== 0)) {
+    return `${rounded} minute${rounded === 1 ? '' : 's'}`;
+  }
+  const hours = Math.round(rounded / 60);
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+/**
+ * The first response times we promise, one line per urgency, most urgent first
+ */
+function describeResponseTimes(category = null) {
+  return ['critical', 'high', 'medium', 'low']
+    .map(urgency => `• ${urgency.charAt(0).toUpperCase()}${urgency.slice(1)}: Within ${formatMinutes(getPolicy(urgency, category).first_response_minutes)}`)
+    .join('\n');
+}
+
+/**
+ * Stamp first_response_at the first time an agent answers the requester.
+ * Called for every ticket event.
+ */
+async function recordFirstResponse(ticket, event, client = require('./supabase-client')) {
+  if (event.actor_type !== 'agent' || !RESPONSE_EVENTS.includes(event.event_type) || ticket.first_response_at) {
+    return false;
+  }
+
+  try {
+    const { error } = await client
+      .from(TICKETS_TABLE)
+      .update({ first_response_at: event.created_at || new Date().toISOString() })
+      .eq('id', ticket.id)
+      .is('first_response_at', null);
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    console.error('❌ Error recording first response for ticket:', ticket.ticket_number, error.message);
+    return false;
+  }
+}
+
+/**
+ * Where a ticket stands against one target at `now`:
+ * { dueAt, doneAt, state: 'met' | 'breached' | 'at_risk' | 'on_track' | 'not_applicable' }
+ */
+function getTargetState(ticket, targetName, now = Date.now()) {
+  const target = TARGETS[targetName];
+  const dueAt = ticket[target.dueColumn] || getDueDates(ticket)[target.dueColumn];
+  const doneAt = ticket[target.doneColumn] || null;
+  const due = new Date(dueAt).getTime();
+
+  if (doneAt) {
+    return { dueAt, doneAt, state: new Date(doneAt).getTime() <= due ? 'met' : 'breached' };
+  }
+  // Closed by the requester without being resolved
+  if (!OPEN_STATUSES.includes(ticket.status)) {
+    return { dueAt, doneAt, state: 'not_applicable' };
+  }
+  if (now > due) {
+    return { dueAt, doneAt, state: 'breached' };
+  }
+
+  const warnAt = configStore.get('sla_policies').warn_at_percent || DEFAULT_WARN_AT_PERCENT;
+  const start = new Date(ticket.created_at || now).getTime();
+  const atRisk = now >= start + (due - start) * warnAt / 100;
+  return { dueAt, doneAt, state: atRisk ? 'at_risk' : 'on_track' };
+}
+
+function getSupportThreadOptions(ticket) {
+  return ticket.support_message_id ? { replyTo: ticket.support_message_id, replyInThread: true } : {};
+}
+
+async function sendWarning(ticket, targetName, dueAt, now, sendMessage) {
+  const supportChatId = ticket.support_chat_id || process.env.LARK_SUPPORT_GROUP_ID;
+  if (!supportChatId) return null;
+
+  const remaining = formatMinutes((new Date(dueAt).getTime() - now) / MINUTE_MS);
+  return sendMessage(supportChatId, `⏰ **SLA warning**: ${ticket.ticket_number} (${(ticket.urgency_level || 'medium').toUpperCase()}) needs its ${TARGETS[targetName].label} within ${remaining}.
+
+**Title**: ${ticket.issue_title}
+**Assigned to**: ${ticket.assigned_to || 'Nobody yet'}
+**Due**: ${new Date(dueAt).toISOString().substring(0, 16).replace('T', ' ')} UTC`, getSupportThreadOptions(ticket));
+}
+
+async function sendBreach(ticket, targetName, dueAt, now, sendMessage) {
+  const overdue = formatMinutes((now - new Date(dueAt).getTime()) / MINUTE_MS);
+  const leadId = process.env.LARK_SUPPORT_LEAD_ID;
+  const text = `🚨 **SLA breached**: the ${TARGETS[targetName].label} on ${ticket.ticket_number} (${(ticket.urgency_level || 'medium').toUpperCase()}) is ${overdue} overdue.
+
+**Title**: ${ticket.issue_title}
+**Requester**: ${ticket.user_name || 'Unknown'}
+**Assigned to**: ${ticket.assigned_to || 'Nobody yet'}
+**Status**: ${ticket.status}`;
+
+  const supportChatId = ticket.support_chat_id || process.env.LARK_SUPPORT_GROUP_ID;
+  const sent = supportChatId
+    ? await sendMessage(supportChatId, `${text}${leadId ? '\n\nEscalated to the support lead.' : ''}`, getSupportThreadOptions(ticket))
+    : null;
+
+  const sentToLead = leadId ? await sendMessage(leadId, text) : null;
+  return sent || sentToLead;
+}
+
+/**
+ * Open tickets, a page at a time (oldest first)
+ */
+async function* listOpenTickets(client) {
+  for (let offset = 0; ; offset += CHECK_PAGE_SIZE) {
+    const { data: tickets, error } = await client
+      .from(TICKETS_TABLE)
+      .select('*')
+      .in('status', OPEN_STATUSES)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + CHECK_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    yield* tickets || [];
+    if ((tickets || []).length < CHECK_PAGE_SIZE) return;
+  }
+}
+
+/**
+ * Swap a ticket's sla_alerts for `next`, only if they are still `current`.
+ * Returns false when another check changed them first.
+ */
+async function swapAlerts(client, ticket, current, next) {
+  let query = client
+    .from(TICKETS_TABLE)
+    .update({ sla_alerts: next })
+    .eq('id', ticket.id);
+  query = current === null ? query.is('sla_alerts', null) : query.eq('sla_alerts', JSON.stringify(current));
+
+  const { data, error } = await query.select('id');
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+/**
+ * Warn about tickets close to a deadline and escalate the ones past it. Each
+ * alert is sent once per ticket and target (tracked in sla_alerts): the alert
+ * is claimed in sla_alerts before it is sent, so overlapping checks don't both
+ * send it, and released again when nothing could be delivered.
+ * sendMessage is the bot's sendMessage(chatId, text, options).
+ * Returns { checked, warnings, breaches }.
+ */
+async function checkTickets(sendMessage, { now = Date.now() } = {}, client = require('./supabase-client')) {
+  await configStore.refresh();
+
+  const result = { checked: 0, warnings: 0, breaches: 0 };
+
+  for await (const ticket of listOpenTickets(client)) {
+    result.checked++;
+    let alerts = ticket.sla_alerts ?? null;
+
+    for (const targetName of Object.keys(TARGETS)) {
+      const { dueAt, state } = getTargetState(ticket, targetName, now);
+      const alert = state === 'breached'
+        ? { key: `${targetName}_breached`, eventType: 'sla_breached', send: sendBreach }
+        : state === 'at_risk' ? { key: `${targetName}_warning`, eventType: 'sla_warning', send: sendWarning } : null;
+
+      if (!alert || alerts?.[alert.key]) continue;
+
+      try {
+        const claimed = { ...(alerts || {}), [alert.key]: new Date(now).toISOString() };
+        if (!await swapAlerts(client, ticket, alerts, claimed)) break;
+
+        let sent = null;
+        try {
+          sent = await alert.send(ticket, targetName, dueAt, now, sendMessage);
+        } catch (error) {
+          console.error('❌ Error sending SLA alert for ticket:', ticket.ticket_number, error.message);
+        }
+
+        if (!sent) {
+          console.log(`⚠️ SLA ${alert.eventType === 'sla_breached' ? 'breach' : 'warning'} for ${ticket.ticket_number} could not be delivered, retrying on the next check`);
+          await swapAlerts(client, ticket, claimed, alerts);
+          break;
+        }
+        alerts = claimed;
+      } catch (error) {
+        console.error('❌ Error saving SLA alerts for ticket:', ticket.ticket_number, error.message);
+        break;
+      }
+
+      const details = { target: targetName, dueAt };
+      if (alert.eventType === 'sla_breached') {
+        details.escalatedTo = process.env.LARK_SUPPORT_LEAD_ID || null;
+        result.breaches++;
+      } else {
+        result.warnings++;
+      }
+      await ticketEvents.recordEvent(ticket, alert.eventType, { type: 'system' }, details, client);
+    }
+  }
+
+  console.log(`⏱️ SLA check: ${result.checked} open tickets, ${result.warnings} warnings, ${result.breaches} breaches`);
+  return result;
+}
+
+function emptyStats() {
+  return {
+    tickets: 0,
+    first_response: { met: 0, breached: 0, pending: 0, compliance: null },
+    resolution: { met: 0, breached: 0, pending: 0, compliance: null },
+    average_first_response_minutes: null,
+    average_resolution_minutes: null,
+    totals: { firstResponseMinutes: 0, firstResponses: 0, resolutionMinutes: 0, resolutions: 0 }
+  };
+}
+
+function addToStats(stats, ticket, now) {
+  stats.tickets++;
+  const createdAt = new Date(ticket.created_at).getTime();
+
+  Object.keys(TARGETS).forEach(targetName => {
+    const { doneAt, state } = getTargetState(ticket, targetName, now);
+    if (state === 'met' || state === 'breached') {
+      stats[targetName][state]++;
+    } else if (state !== 'not_applicable') {
+      stats[targetName].pending++;
+    }
+
+    if (doneAt) {
+      const minutes = (new Date(doneAt).getTime() - createdAt) / MINUTE_MS;
+      if (targetName === 'first_response') {
+        stats.totals.firstResponseMinutes += minutes;
+        stats.totals.firstResponses++;
+      } else {
+        stats.totals.resolutionMinutes += minutes;
+        stats.totals.resolutions++;
+      }
+    }
+  });
+}
+
+function finishStats(stats) {
+  Object.keys(TARGETS).forEach(targetName => {
+    const { met, breached } = stats[targetName];
+    stats[targetName].compliance = met + breached > 0 ? Math.round(met / (met + breached) * 1000) / 10 : null;
+  });
+
+  const { totals } = stats;
+  stats.average_first_response_minutes = totals.firstResponses > 0 ? Math.round(totals.firstResponseMinutes / totals.firstResponses) : null;
+  stats.average_resolution_minutes = totals.resolutions > 0 ? Math.round(totals.resolutionMinutes / totals.resolutions) : null;
+  delete stats.totals;
+  return stats;
+}
+
+/**
+ * SLA compliance for tickets created between from and to, overall, per agent
+ * (assigned_to) and per category. Compliance is the percentage of tickets
+ * whose deadline has been decided (met or breached) that met it.
+ */
+async function buildReport({ from, to = new Date() } = {}, client = require('./supabase-client')) {
+  await configStore.refresh();
+
+  const now = Date.now();
+  const since = from ? new Date(from) : new Date(now - 30 * 24 * 60 * MINUTE_MS);
+
+  const { data: tickets, error } = await client
+    .from(TICKETS_TABLE)
+    .select('*')
+    .gte('created_at', since.toISOString())
+    .lte('created_at', new Date(to).toISOString())
+    .order('created_at', { ascending: false })
+    .limit(MAX_REPORTED_TICKETS);
+
+  if (error) throw error;
+
+  const overall = emptyStats();
+  const byAgent = {};
+  const byCategory = {};
+
+  (tickets || []).forEach(ticket => {
+    const agent = ticket.assigned_to || 'unassigned';
+    const category = ticket.issue_category || 'general';
+    byAgent[agent] = byAgent[agent] || emptyStats();
+    byCategory[category] = byCategory[category] || emptyStats();
+
+    [overall, byAgent[agent], byCategory[category]].forEach(stats => addToStats(stats, ticket, now));
+  });
+
+  const finishGroup = group => Object.fromEntries(Object.entries(group).map(([key, stats]) => [key, finishStats(stats)]));
+
+  return {
+    from: since.toISOString(),
+    to: new Date(to).toISOString(),
+    truncated: (tickets || []).length === MAX_REPORTED_TICKETS,
+    overall: finishStats(overall),
+    by_agent: finishGroup(byAgent),
+    by_category: finishGroup(byCategory)
+  };
+}
+
+module.exports = {
+  getPolicy,
+  getDueDates,
+  describeResponseTimes,
+  recordFirstResponse,
+  getTargetState,
+  checkTickets,
+  buildReport
+};
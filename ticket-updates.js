@@ -0,0 +1,234 @@
+/**
+ * Ticket updates
+ *
+ * Checks a change to a ticket made through PATCH /tickets/:ticketNumber
+ * (and the /close, /reopen and resolve commands) before it reaches the
+ * database. Only EDITABLE_FIELDS can be changed and each value is validated;
+ * urgency and category must be known values. Status follows
+ * STATUS_TRANSITIONS: open -> in_progress -> resolved -> closed, with the
+ * shortcuts listed there. The fields that follow from a
+ * change (resolved_at, assigned_at, the SLA deadlines) are filled in here,
+ * and the change is recorded as ticket events.
+ */
+
+const configStore = require('./config-store');
+const ticketEvents = require('./ticket-events');
+const ticketAssignment = require('./ticket-assignment');
+const ticketSla = require('./ticket-sla');
+const { URGENCY_LEVELS } = require('./message-classifier');
+
+const TICKETS_TABLE = 'support_tickets';
+const MAX_SHORT_TEXT_LENGTH = 255;
+
+// Where a ticket can go from each status. An agent can resolve a ticket
+// nobody picked up yet, a requester can close a ticket they no longer need at
+// any point, and resolved or closed tickets are reopened to open.
+const STATUS_TRANSITIONS = {
+  open: ['in_progress', 'resolved', 'closed'],
+  in_progress: ['resolved', 'closed'],
+  resolved: ['closed', 'open'],
+  closed: ['open']
+};
+
+// Fields with their own events (or set alongside them), left out of 'updated' diffs
+const AUDITED_SEPARATELY = ['status', 'assigned_to', 'assigned_at', 'resolved_at', 'updated_at'];
+
+function updateError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function requireText(field, value, { maxLength = null, nullable = false } = {}) {
+  if (value === null && nullable) return null;
+  if (typeof value !== 'string' || (!nullable && value.trim().length === 0)) {
+    throw updateError(`${field} must be ${nullable ? 'a string or null' : 'a non-empty string'}`);
+  }
+  const text = value.trim();
+  if (maxLength && text.length > maxLength) {
+    throw updateError(`${field} must be at most ${maxLength} characters`);
+  }
+  return text;
+}
+
+function requireTextList(field, value) {
+  if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item.trim().length > 0)) {
+    throw updateError(`${field} must be a list of non-empty strings`);
+  }
+  return value.map(item => item.trim());
+}
+
+/**
+ * Categories a ticket can be filed under: those the issue_categories config
+ * maps keywords to, plus 'general'
+ */
+function getKnownCategories() {
+  return [...new Set([...Object.values(configStore.get('issue_categories')), 'general'])].sort();
+}
+
+function validateAssignee(value) {
+  if (value === null) return null;
+  const agentId = requireText('assigned_to', value, { maxLength: 100 });
+
+  const roster = configStore.get('support_agents');
+  if (roster.agents.length > 0 && !ticketAssignment.findAgent(agentId)) {
+    throw updateError(`assigned_to must be an agent in the support_agents roster: ${roster.agents.map(agent => agent.id).join(', ')}`);
+  }
+  return agentId;
+}
+
+// Field -> validator returning the value to store
+const EDITABLE_FIELDS = {
+  issue_title: value => requireText('issue_title', value, { maxLength: MAX_SHORT_TEXT_LENGTH }),
+  issue_description: value => requireText('issue_description', value),
+  issue_category: value => {
+    const categories = getKnownCategories();
+    if (!categories.includes(value)) {
+      throw updateError(`issue_category must be one of: ${categories.join(', ')}`);
+    }
+    return value;
+  },
+  urgency_level: value => {
+    if (!URGENCY_LEVELS.includes(value)) {
+      throw updateError(`urgency_level must be one of: ${URGENCY_LEVELS.join(', ')}`);
+    }
+    return value;
+  },
+  status: value => {
+    if (!Object.keys(STATUS_TRANSITIONS).includes(value)) {
+      throw updateError(`status must be one of: ${Object.keys(STATUS_TRANSITIONS).join(', ')}`);
+    }
+    return value;
+  },
+  assigned_to: validateAssignee,
+  resolution_notes: value => requireText('resolution_notes', value, { nullable: true }),
+  tags: value => requireTextList('tags', value),
+  steps_attempted: value => requireTextList('steps_attempted', value),
+  browser_info: value => requireText('browser_info', value, { maxLength: MAX_SHORT_TEXT_LENGTH, nullable: true }),
+  device_info: value => requireText('device_info', value, { maxLength: MAX_SHORT_TEXT_LENGTH, nullable: true }),
+  error_messages: value => requireText('error_messages', value, { nullable: true })
+};
+
+function canTransition(from, to) {
+  return from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * The database update for a requested change to a ticket. Throws an error
+ * with a statusCode (400 invalid, 409 status transition not allowed).
+ */
+function buildUpdate(ticket, changes) {
+  if (!configStore.isPlainObject(changes)) {
+    throw updateError('Send a JSON object of the fields to change');
+  }
+
+  const fields = Object.keys(changes);
+  const unknown = fields.filter(field => !EDITABLE_FIELDS[field]);
+  if (unknown.length > 0) {
+    throw updateError(`Cannot update ${unknown.join(', ')}. Editable fields: ${Object.keys(EDITABLE_FIELDS).join(', ')}`);
+  }
+  if (fields.length === 0) {
+    throw updateError(`Nothing to update. Editable fields: ${Object.keys(EDITABLE_FIELDS).join(', ')}`);
+  }
+
+  const updates = {};
+  fields.forEach(field => {
+    updates[field] = EDITABLE_FIELDS[field](changes[field]);
+  });
+
+  const now = new Date().toISOString();
+  if (updates.status && updates.status !== ticket.status) {
+    if (!canTransition(ticket.status, updates.status)) {
+      const next = STATUS_TRANSITIONS[ticket.status] || [];
+      throw updateError(`Cannot move a ticket from ${ticket.status} to ${updates.status}` +
+        (next.length > 0 ? `; it can go to: ${next.join(', ')}` : ''), 409);
+    }
+    if (updates.status === 'resolved') {
+      updates.resolved_at = now;
+    } else if (updates.status === 'open') {
+      updates.resolved_at = null;
+    }
+  }
+
+  if (updates.assigned_to !== undefined && updates.assigned_to !== ticket.assigned_to) {
+    updates.assigned_at = updates.assigned_to ? now : null;
+  }
+
+  // A new urgency or category moves the SLA deadlines
+  if ((updates.urgency_level && updates.urgency_level !== ticket.urgency_level) ||
+      (updates.issue_category && updates.issue_category !== ticket.issue_category)) {
+    Object.assign(updates, ticketSla.getDueDates({ ...ticket, ...updates }));
+  }
+
+  updates.updated_at = now;
+  return updates;
+}
+
+/**
+ * Apply a change to a ticket and record it (which also notifies the
+ * requester and the new assignee). actor is who made it ({ type, id, name }).
+ * Returns the updated ticket; throws an error with a statusCode when the
+ * ticket doesn't exist (404) or the change isn't allowed (400/409).
+ */
+async function updateTicket(ticketNumber, changes, actor, client = require('./supabase-client')) {
+  await configStore.refresh();
+
+  const { data: ticket, error: findError } = await client
+    .from(TICKETS_TABLE)
+    .select('*')
+    .eq('ticket_number', ticketNumber)
+    .maybeSingle();
+
+  if (findError) throw findError;
+  if (!ticket) {
+    throw updateError(`Ticket ${ticketNumber} not found`, 404);
+  }
+
+  const updates = buildUpdate(ticket, changes);
+
+  // Only if the status is still the one the transition was checked against
+  const { data, error } = await client
+    .from(TICKETS_TABLE)
+    .update(updates)
+    .eq('id', ticket.id)
+    .eq('status', ticket.status)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) {
+    throw updateError(`Ticket ${ticketNumber} changed status while it was being updated, please try again`, 409);
+  }
+
+  if (updates.status && updates.status !== ticket.status) {
+    await ticketEvents.recordEvent(data, 'status_changed', actor, {
+      from: ticket.status,
+      to: updates.status,
+      resolutionNotes: updates.resolution_notes || null
+    }, client);
+  }
+
+  const changed = ticketEvents.diffFields(ticket, data, Object.keys(updates).filter(field => !AUDITED_SEPARATELY.includes(field)));
+  if (Object.keys(changed).length > 0) {
+    await ticketEvents.recordEvent(data, 'updated', actor, { changes: changed }, client);
+  }
+
+  if (updates.assigned_to !== undefined && updates.assigned_to !== ticket.assigned_to) {
+    await ticketEvents.recordEvent(data, 'assigned', actor, {
+      from: ticket.assigned_to || null,
+      to: updates.assigned_to,
+      toName: updates.assigned_to ? ticketAssignment.getAgentName(updates.assigned_to) : null
+    }, client);
+  }
+
+  return data;
+}
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  EDITABLE_FIELDS,
+  getKnownCategories,
+  canTransition,
+  buildUpdate,
+  updateTicket
+};